@@ -1,15 +1,29 @@
 // background.js - service worker
 // Responsible for brokering API calls, caching, and message routing.
 
+import { DEFAULT_CACHE_MAX_ENTRIES, cacheClear, cacheGetMany, cachePutMany, cacheRecent } from './util/cacheStore.js';
+import { clearRuns, listRuns, recordRun, summarizeRuns } from './util/metricsStore.js';
+import {
+  OVERRIDE_ACTIONS, clearOverrides, deleteOverride, listOverrides, overridePatternError, overridesForPage, removeOverrideByKey, saveOverride, sitePattern
+} from './util/overrideStore.js';
+import { cancelTabJobs, onQueueChange, refreshQueuePositions, scheduleJob, setTabPriorityResolver } from './util/scheduler.js';
+import { HEURISTIC_BACKEND_ID, getBackend, listBackends, localEndpointError, resolveBackendId } from './classifier/backends.js';
+import { normalizeClassification, normalizeStoredClasses, renderPrompt, sanitizeForSend } from './classifier/prompt.js';
+import { DEFAULT_EXAMPLE_TOKEN_BUDGET, buildExampleBank, normalizeExampleBank, selectExamples } from './classifier/examples.js';
+import { calibrationSamples, fitCalibration, reliabilityBins } from './classifier/calibration.js';
+
 const MODEL_VERSION = 'prompt-v1';
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24h
-
-const DEFAULT_CLASS_DEFS = [
-  { id: 'false', label: 'False', definition: 'Contradicts well-established facts.' },
-  { id: 'debated', label: 'Debated', definition: 'Credible expert disagreement presented as fact.' },
-  { id: 'hyperbole', label: 'Hyperbole', definition: 'Rhetorical or promotional exaggeration.' },
-  { id: 'neutral', label: 'Neutral', definition: 'No issues detected.' }
+const PROTOCOL_VERSION = 1;
+const MEMORY_CACHE_LIMIT = 1000;
+const CONFIG_SETTING_KEYS = [
+  'enablePromptApi', 'modelId', 'promptTemplate', 'classificationClasses',
+  'classifierBackend', 'localEndpoint', 'localModel', 'rulePacks', 'exampleBank', 'exampleTokenBudget'
 ];
+// Corrections feeding the example bank, newest first.
+const MAX_CORRECTION_EXAMPLES = 500;
+const TEST_STATEMENT = 'This revolutionary gadget will literally change everything forever.';
+const WARM_UP_ENTRIES = 300;
 
 function debugLog(enabled, ...args) {
   if (!enabled) return;
@@ -24,61 +38,228 @@ function nowMs() {
 }
 
 /**
- * In-memory LRU-ish cache (resets when service worker unloads). For persistence we also mirror to chrome.storage.local.
+ * In-memory LRU tier in front of the IndexedDB store (see util/cacheStore.js).
+ * It resets when the service worker unloads and is warmed lazily on the next batch.
  */
 const memoryCache = new Map();
+let warmUpPromise = null;
 
-function normalizeStoredClasses(raw) {
-  const normalized = [];
-  const seen = new Set();
-  if (Array.isArray(raw) && raw.length) {
-    for (const item of raw) {
-      if (!item || typeof item !== 'object') continue;
-      const id = String(item.id || item.key || '').trim().toLowerCase();
-      if (!id || seen.has(id)) continue;
-      const label = String(item.label || item.name || id).trim() || id;
-      const definition = String(item.definition || item.description || '').trim();
-      normalized.push({ id, label, definition });
-      seen.add(id);
-    }
-  } else {
-    return DEFAULT_CLASS_DEFS.map(c => ({ ...c }));
+function rememberInMemory(key, entry) {
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  while (memoryCache.size > MEMORY_CACHE_LIMIT) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+function freshFromMemory(key, now, ttlMs) {
+  const entry = memoryCache.get(key);
+  if (!entry) return null;
+  if (now - entry.ts >= ttlMs) {
+    memoryCache.delete(key);
+    return null;
+  }
+  rememberInMemory(key, entry);
+  return entry;
+}
+
+function warmMemoryCache(ttlMs) {
+  if (!warmUpPromise) {
+    warmUpPromise = cacheRecent(WARM_UP_ENTRIES, ttlMs)
+      .then(records => {
+        // Oldest first so the most recent entries end up at the LRU head.
+        for (const record of records.reverse()) {
+          if (!memoryCache.has(record.key)) rememberInMemory(record.key, { ts: record.ts, data: record.data });
+        }
+      })
+      .catch(err => console.warn('[Debatable] Cache warm-up failed', err));
   }
-  if (!seen.has('neutral')) {
-    normalized.push({ id: 'neutral', label: 'Neutral', definition: 'No issues detected.' });
+  return warmUpPromise;
+}
+
+// Entries for an old configuration can never be hit again (their digest no longer
+// matches); drop them from memory right away and let LRU/TTL retire the persisted copies.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (CONFIG_SETTING_KEYS.some(key => Object.prototype.hasOwnProperty.call(changes, key))) {
+    memoryCache.clear();
+    digestMemo.clear();
+  }
+});
+
+async function readPersisted(keys, ttlMs) {
+  try {
+    return await cacheGetMany(keys, ttlMs);
+  } catch (err) {
+    console.warn('[Debatable] Persistent cache read failed', err);
+    return new Map();
+  }
+}
+
+async function writePersisted(entries, maxEntries) {
+  try {
+    await cachePutMany(entries, maxEntries);
+  } catch (err) {
+    console.warn('[Debatable] Persistent cache write failed', err);
   }
-  return normalized;
 }
 
-async function classifyBatch(sentences, pageUrl, options) {
+function cacheTtlFromSettings(hours) {
+  const num = Number(hours);
+  return num > 0 ? num * 60 * 60 * 1000 : CACHE_TTL_MS;
+}
+
+
+async function loadSettings() {
+  const rawSettings = await chrome.storage.local.get([
+    'enablePromptApi','modelId','privacyMode','promptTemplate','classificationClasses','debugLogging','cacheMaxEntries','cacheTtlHours',
+    'classifierBackend','localEndpoint','localModel','localApiKey','localTimeoutMs','rulePacks',
+    'exampleBank','exampleTokenBudget','learnFromCorrections'
+  ]);
+  return {
+    enablePromptApi: rawSettings.enablePromptApi ?? true,
+    classifierBackend: rawSettings.classifierBackend || null,
+    modelId: rawSettings.modelId || 'gemini-nano',
+    localEndpoint: rawSettings.localEndpoint || '',
+    localModel: rawSettings.localModel || '',
+    localApiKey: rawSettings.localApiKey || '',
+    localTimeoutMs: Number(rawSettings.localTimeoutMs) || 0,
+    privacyMode: rawSettings.privacyMode ?? false,
+    promptTemplate: rawSettings.promptTemplate || null,
+    classificationClasses: rawSettings.classificationClasses || null,
+    rulePacks: Array.isArray(rawSettings.rulePacks) ? rawSettings.rulePacks : null,
+    exampleBank: normalizeExampleBank(rawSettings.exampleBank),
+    // 0 turns few-shot examples off.
+    exampleTokenBudget: rawSettings.exampleTokenBudget == null
+      ? DEFAULT_EXAMPLE_TOKEN_BUDGET
+      : Math.max(0, Number(rawSettings.exampleTokenBudget) || 0),
+    learnFromCorrections: rawSettings.learnFromCorrections ?? true,
+    debugLogging: rawSettings.debugLogging ?? false,
+    cacheMaxEntries: Number(rawSettings.cacheMaxEntries) > 0 ? Number(rawSettings.cacheMaxEntries) : DEFAULT_CACHE_MAX_ENTRIES,
+    cacheTtlMs: cacheTtlFromSettings(rawSettings.cacheTtlHours)
+  };
+}
+
+/**
+ * Resolves every sentence against both cache tiers: the page tier (canonical URL +
+ * sentence) first, then the URL-independent sentence tier shared by all pages.
+ * Returns one { keys, entry } per sentence; entry is null on a miss.
+ */
+async function lookupCached(texts, pageKey, digest, ttlMs) {
+  const now = Date.now();
+  await warmMemoryCache(ttlMs);
+  const keys = await Promise.all(texts.map(async text => ({
+    page: hashKey(digest, pageKey, text),
+    sentence: await sentenceKey(digest, text)
+  })));
+  const missing = [];
+  for (const pair of keys) {
+    if (!freshFromMemory(pair.page, now, ttlMs)) missing.push(pair.page);
+    if (!freshFromMemory(pair.sentence, now, ttlMs)) missing.push(pair.sentence);
+  }
+  if (missing.length) {
+    const persisted = await readPersisted(missing, ttlMs);
+    for (const [key, entry] of persisted) rememberInMemory(key, entry);
+  }
+  return keys.map(pair => ({
+    keys: pair,
+    entry: freshFromMemory(pair.page, now, ttlMs) || freshFromMemory(pair.sentence, now, ttlMs)
+  }));
+}
+
+/**
+ * Records a result in both tiers; the persisted copies are appended to `fresh`.
+ */
+function storeCached(keys, data, ts, fresh) {
+  for (const key of [keys.page, keys.sentence]) {
+    rememberInMemory(key, { ts, data });
+    fresh.push({ key, ts, data });
+  }
+}
+
+/**
+ * Few-shot examples for a batch: the Options bank plus, unless turned off, the user's
+ * corrections, narrowed by selectExamples() to the budget. Example text passes the
+ * same PII scrub as the statements.
+ */
+async function promptExamples(settings, classDefs, texts) {
+  if (!(settings.exampleTokenBudget > 0)) return [];
+  let overrides = [];
+  if (settings.learnFromCorrections) {
+    overrides = await correctionsList().catch(err => {
+      console.warn('[Debatable] Corrections unavailable for examples', err);
+      return [];
+    });
+  }
+  const bank = buildExampleBank(settings.exampleBank, overrides.slice(0, MAX_CORRECTION_EXAMPLES), classDefs);
+  return selectExamples(bank, texts, { budgetTokens: settings.exampleTokenBudget })
+    .map(example => ({ ...example, text: sanitizeForSend(example.text, settings.privacyMode) }));
+}
+
+// Every batch reads the corrections (for examples) and the table fitted from them, so
+// both are kept until a correction is saved, removed or cleared.
+let correctionsMemo = null;
+let calibrationMemo = null;
+
+function correctionsList() {
+  if (!correctionsMemo) {
+    correctionsMemo = listOverrides().catch(err => {
+      correctionsMemo = null;
+      throw err;
+    });
+  }
+  return correctionsMemo;
+}
+
+function calibrationTable() {
+  if (!calibrationMemo) {
+    calibrationMemo = correctionsList().then(fitCalibration).catch(err => {
+      calibrationMemo = null;
+      throw err;
+    });
+  }
+  return calibrationMemo;
+}
+
+function forgetCorrections() {
+  correctionsMemo = null;
+  calibrationMemo = null;
+}
+
+async function classifyBatch(sentences, pageUrl, options = {}) {
   const batchStartMonotonic = nowMs();
-  // Basic cache key per sentence
   const modelVersion = MODEL_VERSION;
   const now = Date.now();
+
+  const settings = await loadSettings();
+  const ttlMs = settings.cacheTtlMs;
+  const classDefs = normalizeStoredClasses(settings.classificationClasses);
+  const backend = getBackend(resolveBackendId(settings));
+  const backendId = backend.id;
+  const digest = await configDigest(settings, classDefs, backend.cacheId(settings));
+  const pageKey = canonicalizePageUrl(options.canonicalUrl || pageUrl);
+  const lookups = await lookupCached(sentences, pageKey, digest, ttlMs);
+
   const cached = [];
   const toQuery = [];
+  const resolved = new Map();
+  // Backend behind each result, for per-backend confidence calibration in the page.
+  // Cache hits were keyed under the requested backend's digest, so they are its own.
+  const sources = new Map();
   for (let i = 0; i < sentences.length; i++) {
     const text = sentences[i];
-    const key = hashKey(pageUrl, text, modelVersion);
-    const mem = memoryCache.get(key);
-    if (mem && (now - mem.ts) < CACHE_TTL_MS) {
-      cached.push({ index: i, ...mem.data });
+    const { keys, entry } = lookups[i];
+    if (entry) {
+      cached.push({ index: i, ...entry.data });
+      resolved.set(i, entry.data);
+      sources.set(i, backendId);
     } else {
-      toQuery.push({ index: i, text, key });
+      toQuery.push({ index: i, text, keys, language: options.languages?.[i] || 'und' });
     }
   }
 
-  const rawSettings = await chrome.storage.local.get(['enablePromptApi','modelId','privacyMode','promptTemplate','classificationClasses','debugLogging']);
-  const settings = {
-    enablePromptApi: rawSettings.enablePromptApi ?? true,
-    modelId: rawSettings.modelId || 'gemini-nano',
-    privacyMode: rawSettings.privacyMode ?? false,
-    promptTemplate: rawSettings.promptTemplate || null,
-    classificationClasses: rawSettings.classificationClasses || null,
-    debugLogging: rawSettings.debugLogging ?? false
-  };
   const debugEnabled = Boolean(settings.debugLogging);
-  const classDefs = normalizeStoredClasses(settings.classificationClasses);
+  const fresh = [];
   let apiResults = [];
   let mode = 'heuristic';
   let errorMsg = '';
@@ -89,54 +270,101 @@ async function classifyBatch(sentences, pageUrl, options) {
     toQueryCount: toQuery.length,
     cachedCount: cached.length,
     pageUrl,
-    modelVersion
+    pageKey,
+    modelVersion,
+    backendId,
+    configDigest: digest
   });
 
   if (toQuery.length) {
     try {
-      if (settings.enablePromptApi) {
-        debugLog(debugEnabled, 'Dispatching remote classification batch', {
-          statements: toQuery.length,
-          pageUrl,
-          modelVersion
-        });
-        apiResults = await callPromptAPI(toQuery.map(x => x.text), settings, classDefs);
-        mode = 'remote';
-        if (apiResults && apiResults.debug) {
-          debugPayload = apiResults.debug;
-        }
-      } else {
-        apiResults = { items: toQuery.map(t => mockClassify(t.text, t.index, settings)) };
-        mode = 'heuristic';
+      debugLog(debugEnabled, 'Dispatching classification batch', {
+        backend: backendId,
+        statements: toQuery.length,
+        pageUrl,
+        modelVersion
+      });
+      // Rules ignore examples; skip the override read for them.
+      const examples = backendId === HEURISTIC_BACKEND_ID ? [] : await promptExamples(settings, classDefs, toQuery.map(x => x.text));
+      apiResults = await scheduleJob({
+        tabId: options.tabId ?? null,
+        runId: options.runId ?? null,
+        backendKey: backendId,
+        concurrency: backend.concurrency || 1,
+        run: () => backend.classify(toQuery.map(x => x.text), {
+          settings,
+          classDefs,
+          debugEnabled,
+          languages: toQuery.map(x => x.language),
+          examples
+        })
+      });
+      mode = backend.mode;
+      if (apiResults && apiResults.debug) {
+        debugPayload = apiResults.debug;
       }
 
-      for (let item of apiResults.items || []) {
-        const orig = toQuery[item.index];
-        if (!orig) continue;
-        const data = normalizeClassification(item, classDefs);
-        memoryCache.set(orig.key, { ts: now, data });
+      const returned = new Map();
+      for (const item of apiResults.items || []) {
+        if (item && toQuery[item.index]) returned.set(item.index, item);
       }
+      // The prompt tells models to omit neutral statements, so silence means neutral.
+      toQuery.forEach((orig, position) => {
+        const data = normalizeClassification(returned.get(position) || { category: 'neutral' }, classDefs);
+        storeCached(orig.keys, data, now, fresh);
+        resolved.set(orig.index, data);
+        sources.set(orig.index, backendId);
+      });
     } catch (e) {
+      // The tab closed, navigated or cancelled the run while queued; nobody is waiting for a fallback.
+      if (e?.code === 'CANCELLED') throw e;
+      // A misconfigured endpoint is the user's to fix; rules quietly standing in would hide it.
+      if (e?.code === 'INVALID_ENDPOINT') throw e;
       console.warn('Primary classification failed, using heuristic fallback', e);
-      debugLog(debugEnabled, 'Prompt API request failed, switching to heuristic fallback', {
+      debugLog(debugEnabled, `${backendId} backend failed, switching to heuristic fallback`, {
         message: e.message,
         statements: toQuery.length
       });
       if (debugEnabled && !debugPayload) {
         debugPayload = {
           error: e.message || String(e),
+          errorStatus: typeof e.status === 'number' ? e.status : undefined,
           statements: toQuery.length,
           mode: 'remote-error'
         };
       }
-      apiResults = { items: toQuery.map(t => mockClassify(t.text, t.index, settings, true)) };
-      mode = settings.enablePromptApi ? 'heuristic-fallback' : 'heuristic';
+      const heuristic = getBackend(HEURISTIC_BACKEND_ID);
+      apiResults = await heuristic.classify(toQuery.map(x => x.text), {
+        settings,
+        classDefs,
+        debugEnabled,
+        languages: toQuery.map(x => x.language)
+      });
+      mode = backendId === HEURISTIC_BACKEND_ID ? 'heuristic' : 'heuristic-fallback';
       errorMsg = e.message || String(e);
+      // Fallback results belong to the heuristic backend; caching them under the
+      // requested backend's digest would mask it once it recovers.
+      const fallbackDigest = await configDigest(settings, classDefs, heuristic.cacheId(settings));
       for (let item of apiResults.items) {
         const orig = toQuery[item.index];
         if (!orig) continue;
         const data = normalizeClassification(item, classDefs);
-        memoryCache.set(orig.key, { ts: now, data });
+        const keys = {
+          page: hashKey(fallbackDigest, pageKey, orig.text),
+          sentence: await sentenceKey(fallbackDigest, orig.text)
+        };
+        storeCached(keys, data, now, fresh);
+        resolved.set(orig.index, data);
+        sources.set(orig.index, HEURISTIC_BACKEND_ID);
+      }
+      // The model answered but its reply could not be read. What the rules flagged
+      // stands; the rest is inconclusive rather than neutral. Only the page is told:
+      // the cache keeps the rules' own verdict.
+      if (e?.code === 'PARSE_ERROR') {
+        for (const orig of toQuery) {
+          const data = resolved.get(orig.index);
+          if (!data || data.category === 'neutral') resolved.set(orig.index, { category: 'neutral', inconclusive: 'parse-error' });
+        }
       }
     }
   } else {
@@ -151,15 +379,16 @@ async function classifyBatch(sentences, pageUrl, options) {
     });
   }
 
+  await writePersisted(fresh, settings.cacheMaxEntries);
+
   // Compose final list in original order
   const merged = sentences.map((_, i) => {
     const text = sentences[i];
-    const key = hashKey(pageUrl, text, modelVersion);
-    const mem = memoryCache.get(key);
-    if (!mem) {
+    const data = resolved.get(i);
+    if (!data) {
       return { index: i, text, category: 'neutral', confidence: 0.0, rationale: 'Unclassified' };
     }
-    return { index: i, text, ...mem.data };
+    return { index: i, text, ...data, source: sources.get(i) };
   });
 
   const elapsedMs = nowMs() - batchStartMonotonic;
@@ -168,7 +397,9 @@ async function classifyBatch(sentences, pageUrl, options) {
     requested: sentences.length,
     remoteEvaluations: toQuery.length,
     cacheHits: cached.length,
-    mode
+    mode,
+    fallback: mode === 'heuristic-fallback',
+    tokens: apiResults?.tokens || null
   };
 
   debugLog(debugEnabled, 'Batch finished', {
@@ -180,7 +411,7 @@ async function classifyBatch(sentences, pageUrl, options) {
     remoteEvaluations: toQuery.length
   });
 
-  const summary = { modelVersion, items: merged, mode, error: errorMsg };
+  const summary = { modelVersion, configDigest: digest, items: merged, mode, error: errorMsg, metrics: batchMetrics };
 
   if (debugEnabled) {
     const combinedDebug = { ...(debugPayload || {}), batchMetrics };
@@ -192,152 +423,627 @@ async function classifyBatch(sentences, pageUrl, options) {
   return summary;
 }
 
-function normalizeClassification(item, classDefs) {
-  let { category, confidence, rationale } = item;
-  const allowed = new Set(allowedCategories(classDefs));
-  category = String(category || '').trim().toLowerCase();
-  if (!allowed.has(category)) category = 'neutral';
-  if (category === 'neutral') {
-    return { category };
-  }
-  confidence = typeof confidence === 'number' ? Math.min(1, Math.max(0, confidence)) : 0.5;
-  rationale = rationale ? String(rationale).slice(0, 400) : '';
-  return { category, confidence, rationale };
+function localDay(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
-async function callPromptAPI(sentences, settings, classDefs) {
-  // Note: This function is preserved for potential future external API integration
-  // Currently the extension primarily uses the on-device Gemini Nano path
-  throw new Error('External API not configured. Use on-device model (enablePromptApi should be false).');
+function count(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? Math.round(num) : 0;
 }
 
-function mockClassify(text, index, settings = {}, fallback = false) {
-  const lower = text.toLowerCase();
-  // improved patterns
-  if (/\bthe earth has two moons\b|\bperpetual motion machine\b/.test(lower)) {
-    return { index, category: 'false', confidence: 0.9, rationale: 'Contradicts established science.' };
-  }
-  if (/(quantum supremacy|ai has achieved consciousness|cold fusion has been solved)/.test(lower)) {
-    return { index, category: 'debated', confidence: 0.72, rationale: 'Claim area has ongoing expert debate.' };
-  }
-  const intense = /(literally|change.*forever|revolutionary|game-?changing|the best ever|unprecedented|absolutely incredible)/.test(lower);
-  const hasMetric = /\b(\d+%|\d+x|\d+\.\d+|megapixel|fps|nm|gigabit|tera|petaflop|times?)\b/.test(lower);
-  if (intense) {
-    return { index, category: 'hyperbole', confidence: hasMetric ? 0.5 : 0.62, rationale: 'Promotional / intensity phrasing' + (hasMetric ? ' (some evidence present)' : '') + '.' };
+/**
+ * Whitelists the numeric fields of a reported run and stamps it with time, local day
+ * and domain. Only the hostname is kept; the page path never reaches the metrics store.
+ */
+function runRecordFromPayload(raw, pageUrl) {
+  let domain = '';
+  try {
+    domain = new URL(pageUrl).hostname.replace(/^www\./, '');
+  } catch (e) {
+    domain = '';
   }
-  return { index, category: 'neutral' };
+  const tokens = raw.tokens && typeof raw.tokens === 'object' ? {
+    promptTokens: count(raw.tokens.promptTokens),
+    completionTokens: count(raw.tokens.completionTokens),
+    totalTokens: count(raw.tokens.totalTokens) || count(raw.tokens.promptTokens) + count(raw.tokens.completionTokens),
+    estimated: Boolean(raw.tokens.estimated)
+  } : null;
+  const ts = Date.now();
+  return {
+    ts,
+    day: localDay(ts),
+    domain,
+    mode: typeof raw.mode === 'string' ? raw.mode.slice(0, 40) : 'unknown',
+    sentences: count(raw.sentences),
+    flagged: count(raw.flagged),
+    evaluated: count(raw.evaluated),
+    cacheHits: count(raw.cacheHits),
+    batches: count(raw.batches),
+    fallbacks: count(raw.fallbacks),
+    latencyMs: count(raw.latencyMs),
+    tokens
+  };
+}
+
+function hashKey(digest, pageKey, text) {
+  return `${digest}::${pageKey}::${text.toLowerCase().trim()}`;
 }
 
-function sanitizeForSend(text, privacyMode) {
-  let t = text;
-  // Redact simple PII patterns
-  t = t.replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+/gi, '[EMAIL]');
-  t = t.replace(/\b\d{6,}\b/g, '[NUMBER]');
-  if (privacyMode) {
-    // Already just sentence; could truncate further
-    t = t.slice(0, 320);
+async function sha256Hex(str, byteLength = 8) {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(hash).slice(0, byteLength), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Normalizes a sentence for content addressing: Unicode compatibility forms,
+ * typographic quotes/dashes, case, whitespace and trailing punctuation.
+ */
+function normalizeSentence(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"')
+    .replace(/[\u2010-\u2015]/g, '-')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.!?…]+$/, '');
+}
+
+async function sentenceKey(digest, text) {
+  return `${digest}::sent::${await sha256Hex(normalizeSentence(text), 16)}`;
+}
+
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/i, /^mc_(cid|eid)$/i, /^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|ttclid)$/i,
+  /^(ref|ref_src|ref_url|spm|cmpid|_ga|_gl|_hsenc|_hsmi|oly_(anon|enc)_id|vero_(conv|id)|s_cid|amp)$/i
+];
+
+/**
+ * Page-tier cache key for a URL: the fragment, tracking parameters and
+ * AMP suffixes are dropped and remaining parameters are sorted, so mirrors of the
+ * same article that share a canonical URL share their cached classifications.
+ */
+function canonicalizePageUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    return String(rawUrl || '');
   }
-  return t;
+  if (!/^https?:$/.test(url.protocol)) return url.href;
+  url.hash = '';
+  url.hostname = url.hostname.replace(/^(www|m|amp)\./i, '');
+  url.pathname = url.pathname.replace(/\/amp\/?$/i, '/').replace(/\/+$/, '') || '/';
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAM_PATTERNS.some(re => re.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = '';
+  for (const [name, value] of params) url.searchParams.append(name, value);
+  return `${url.hostname}${url.port ? `:${url.port}` : ''}${url.pathname}${url.search}`;
 }
 
-function defaultPromptTemplate() {
-  return `You are a factuality, debate and rhetoric classifier. Output ONLY JSON. \nDefinitions: \n{{DEFINITIONS}} \nStatements (JSON array): \n{{STATEMENTS_JSON}} \nCategories: {{CLASS_IDS}} \nRules: \n- Return {"items":[...]} with objects that always include "category" ONLY WHEN CATEGORY IS NEUTRAL. \n- Do NOT RETURN if category is neutral. \n- Only include "confidence" (0-1) when category is not "neutral". \n- Do NOT add rationale for ANY category. \n- If insufficient info -> neutral.`
+const digestMemo = new Map();
+
+/**
+ * Stable digest of everything that shapes a classification: model version,
+ * rendered template (statements left as a placeholder), normalized category
+ * definitions, the Options example bank and the backend's cache identity. It is part
+ * of every cache key, so entries made under another configuration never match.
+ * Corrections are left out: each one would otherwise empty the cache, and the
+ * corrected sentence itself is settled by its override anyway.
+ */
+async function configDigest(settings, classDefs, backendKey) {
+  const material = JSON.stringify({
+    modelVersion: MODEL_VERSION,
+    template: renderPrompt(settings.promptTemplate, classDefs, null),
+    classes: classDefs.map(c => [c.id, c.label, c.definition]),
+    examples: [settings.exampleBank, settings.exampleTokenBudget],
+    backend: backendKey
+  });
+  const memo = digestMemo.get(material);
+  if (memo) return memo;
+  const hex = await sha256Hex(material);
+  if (digestMemo.size > 16) digestMemo.clear();
+  digestMemo.set(material, hex);
+  return hex;
 }
 
-function definitionsBlock(classDefs) {
-  const defs = classDefinitionsString(classDefs);
-  return defs || `\ndebated: Opinions disputed or with multiple viewpoints.\nhyperbole: Rhetorical or promotional exaggeration.\nneutral: none of the above.`;
+// ---- Scheduling --------------------------------------------------------------
+// Tab focus feeds the scheduler's priorities: the active tab of the focused window
+// first, then active tabs of other windows, then everything else. Pages report
+// when they become hidden (minimised window, covered by another app).
+
+const LEASE_TIMEOUT_MS = 2 * 60 * 1000;
+const tabFocus = { focusedWindowId: null, activeByWindow: new Map(), hidden: new Set() };
+const leases = new Map(); // leaseId -> { tabId, runId, finish }
+let nextLeaseId = 1;
+
+function tabPriority(tabId) {
+  if (tabId == null) return 0;
+  if (tabFocus.hidden.has(tabId)) return 2;
+  for (const [windowId, activeTabId] of tabFocus.activeByWindow) {
+    if (activeTabId === tabId) return windowId === tabFocus.focusedWindowId ? 0 : 1;
+  }
+  return 2;
 }
 
-function responseSchema(classIds) {
-  return {
-    type: 'object',
-    properties: {
-      items: {
-        type: 'array',
-        items: {
-          type: 'object',
-          properties: {
-            index: { type: 'integer' },
-            category: { type: 'string', enum: Array.isArray(classIds) && classIds.length ? classIds : undefined },
-            confidence: { type: 'number' },
-            rationale: { type: 'string' }
-          },
-          required: ['index','category']
-        }
-      }
-    },
-    required: ['items']
-  };
+function releaseTabLeases(tabId, runId = null) {
+  for (const lease of [...leases.values()]) {
+    if (lease.tabId !== tabId) continue;
+    if (runId != null && lease.runId !== runId) continue;
+    lease.finish();
+  }
 }
 
-function hashKey(pageUrl, text, modelVersion) {
-  return `${modelVersion}::${pageUrl}::${text.toLowerCase().trim()}`;
+function dropTabWork(tabId, reason, closed = false) {
+  const dropped = cancelTabJobs(tabId, reason, { closed });
+  releaseTabLeases(tabId);
+  if (!dropped) return;
+  chrome.storage.local.get('debugLogging')
+    .then(({ debugLogging }) => debugLog(Boolean(debugLogging), `Dropped ${dropped} queued job(s) for tab ${tabId}: ${reason}`))
+    .catch(() => {});
 }
 
-function extractTokenUsage(data) {
-  if (!data || typeof data !== 'object') return null;
-  const candidates = [];
-  const usage = data.usage;
-  if (usage && typeof usage === 'object') candidates.push(usage);
-  const tokenUsage = data.tokenUsage || data.token_usage;
-  if (tokenUsage && typeof tokenUsage === 'object') candidates.push(tokenUsage);
-  if (data.tokens && typeof data.tokens === 'object') candidates.push(data.tokens);
-  if (data.metrics && typeof data.metrics === 'object' && typeof data.metrics.tokens === 'object') {
-    candidates.push(data.metrics.tokens);
+setTabPriorityResolver(tabPriority);
+onQueueChange(changes => {
+  for (const [tabId, position] of changes) {
+    try {
+      Promise.resolve(chrome.tabs.sendMessage(tabId, { type: 'FACT_QUEUE_STATUS', position })).catch(() => {});
+    } catch (e) {
+      // tab already gone
+    }
   }
-  if (data.stats && typeof data.stats === 'object' && typeof data.stats.tokens === 'object') {
-    candidates.push(data.stats.tokens);
+});
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  tabFocus.activeByWindow.set(windowId, tabId);
+  refreshQueuePositions();
+});
+chrome.windows.onFocusChanged.addListener(windowId => {
+  tabFocus.focusedWindowId = windowId === chrome.windows.WINDOW_ID_NONE ? null : windowId;
+  refreshQueuePositions();
+});
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  dropTabWork(tabId, 'Tab closed', true);
+  tabFocus.hidden.delete(tabId);
+  if (removeInfo && tabFocus.activeByWindow.get(removeInfo.windowId) === tabId) {
+    tabFocus.activeByWindow.delete(removeInfo.windowId);
   }
-  if (!candidates.length) return null;
+});
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') dropTabWork(tabId, 'Page navigated');
+});
 
-  const promptKeys = ['promptTokens', 'prompt_tokens', 'inputTokens', 'input_tokens'];
-  const completionKeys = ['completionTokens', 'completion_tokens', 'outputTokens', 'output_tokens', 'generationTokens', 'generation_tokens'];
-  const totalKeys = ['totalTokens', 'total_tokens'];
+// The worker may start long after the browser did; seed focus state once.
+(async () => {
+  try {
+    const active = await chrome.tabs.query({ active: true });
+    for (const tab of active || []) tabFocus.activeByWindow.set(tab.windowId, tab.id);
+    const focused = await chrome.windows.getLastFocused();
+    if (focused && focused.focused) tabFocus.focusedWindowId = focused.id;
+  } catch (e) {
+    // priorities fall back to FIFO until the first focus event
+  }
+})();
 
-  let promptTokens = null;
-  let completionTokens = null;
-  let totalTokens = null;
+const FRAME_REPORT_KINDS = ['state', 'focus', 'gone'];
+const FRAME_RELAY_TYPES = ['FACT_PANEL_HOVER', 'FACT_PANEL_FOCUS', 'FACT_PANEL_RERUN', 'FACT_PANEL_OVERRIDE', 'FACT_SET_HIDDEN_CATEGORIES'];
 
-  const toNumber = (value) => {
-    if (typeof value === 'number' && Number.isFinite(value)) return value;
-    if (typeof value === 'string' && value.trim()) {
-      const parsed = Number(value.trim());
-      return Number.isFinite(parsed) ? parsed : null;
+/**
+ * Message contract (v1):
+ *   request:  { type, version, payload }
+ *   success:  { ok: true, type, version, result }
+ *   failure:  { ok: false, type, version, error: { code, message } }
+ * Messages without a version are treated as v1. Types that are not listed here
+ * (panel <-> content traffic) are ignored so other listeners can answer them.
+ */
+const MESSAGE_HANDLERS = {
+  CLASSIFY_BATCH: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || !Array.isArray(payload.sentences)) return 'payload.sentences must be an array';
+      if (payload.sentences.some(s => typeof s !== 'string')) return 'payload.sentences must contain strings';
+      if (payload.pageUrl != null && typeof payload.pageUrl !== 'string') return 'payload.pageUrl must be a string';
+      if (payload.languages != null) {
+        if (!Array.isArray(payload.languages) || payload.languages.length !== payload.sentences.length) {
+          return 'payload.languages must be an array parallel to payload.sentences';
+        }
+        if (payload.languages.some(l => typeof l !== 'string')) return 'payload.languages must contain strings';
+      }
+      return '';
+    },
+    handle(payload, sender) {
+      return classifyBatch(payload.sentences, payload.pageUrl || '', {
+        languages: payload.languages || null,
+        tabId: sender?.tab?.id ?? null,
+        runId: typeof payload.runId === 'string' ? payload.runId : null,
+        batchId: payload.batchId ?? null,
+        canonicalUrl: typeof payload.canonicalUrl === 'string' ? payload.canonicalUrl : null
+      });
     }
-    return null;
-  };
-
-  const readNumber = (source, keys) => {
-    for (const key of keys) {
-      if (Object.prototype.hasOwnProperty.call(source, key)) {
-        const num = toNumber(source[key]);
-        if (num != null) return num;
+  },
+  // Cache access for classifications produced outside the worker (on-device model in the page).
+  CACHE_LOOKUP: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || !Array.isArray(payload.sentences)) return 'payload.sentences must be an array';
+      if (typeof payload.backendId !== 'string' || !payload.backendId) return 'payload.backendId is required';
+      return '';
+    },
+    async handle(payload) {
+      const settings = await loadSettings();
+      const classDefs = normalizeStoredClasses(settings.classificationClasses);
+      const digest = await configDigest(settings, classDefs, payload.backendId);
+      const pageKey = canonicalizePageUrl(payload.canonicalUrl || payload.pageUrl || '');
+      const lookups = await lookupCached(payload.sentences.map(String), pageKey, digest, settings.cacheTtlMs);
+      return {
+        configDigest: digest,
+        items: lookups.map(({ entry }, index) => (entry ? { index, hit: true, ...entry.data } : { index, hit: false }))
+      };
+    }
+  },
+  CACHE_STORE: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || !Array.isArray(payload.items)) return 'payload.items must be an array';
+      if (payload.items.some(item => !item || typeof item.text !== 'string')) return 'payload.items[].text must be a string';
+      if (typeof payload.backendId !== 'string' || !payload.backendId) return 'payload.backendId is required';
+      return '';
+    },
+    async handle(payload) {
+      const settings = await loadSettings();
+      const classDefs = normalizeStoredClasses(settings.classificationClasses);
+      const digest = await configDigest(settings, classDefs, payload.backendId);
+      const pageKey = canonicalizePageUrl(payload.canonicalUrl || payload.pageUrl || '');
+      const now = Date.now();
+      const fresh = [];
+      for (const item of payload.items) {
+        const keys = { page: hashKey(digest, pageKey, item.text), sentence: await sentenceKey(digest, item.text) };
+        storeCached(keys, normalizeClassification(item, classDefs), now, fresh);
       }
+      await writePersisted(fresh, settings.cacheMaxEntries);
+      return { stored: payload.items.length };
+    }
+  },
+  LIST_BACKENDS: {
+    versions: [1],
+    validate() { return ''; },
+    async handle() {
+      const settings = await loadSettings();
+      return { active: resolveBackendId(settings), backends: listBackends() };
+    }
+  },
+  // Runs one sample statement through a backend, using unsaved Options values when given.
+  TEST_BACKEND: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.backendId !== 'string') return 'payload.backendId is required';
+      if (!getBackend(payload.backendId)) return `Unknown backend: ${payload.backendId}`;
+      if (payload.backendId === 'openai-compatible') return localEndpointError(payload.settings?.localEndpoint);
+      return '';
+    },
+    async handle(payload) {
+      const base = await loadSettings();
+      const overrides = payload.settings && typeof payload.settings === 'object' ? payload.settings : {};
+      const settings = { ...base };
+      for (const key of ['modelId', 'localEndpoint', 'localModel', 'localApiKey']) {
+        if (typeof overrides[key] === 'string') settings[key] = overrides[key].trim();
+      }
+      const classDefs = normalizeStoredClasses(settings.classificationClasses);
+      const backend = getBackend(payload.backendId);
+      const started = nowMs();
+      let result;
+      try {
+        result = await backend.classify([TEST_STATEMENT], { settings, classDefs, debugEnabled: false });
+      } catch (err) {
+        throw messageError('BACKEND_ERROR', err?.message || String(err));
+      }
+      return {
+        backendId: backend.id,
+        label: backend.label,
+        latencyMs: Number((nowMs() - started).toFixed(1)),
+        statement: TEST_STATEMENT,
+        items: (result.items || []).map(item => normalizeClassification(item, classDefs))
+      };
+    }
+  },
+  TAB_VISIBILITY: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.visible !== 'boolean') return 'payload.visible must be a boolean';
+      return '';
+    },
+    async handle(payload, sender) {
+      const tabId = sender?.tab?.id;
+      if (tabId == null) return { priority: 0 };
+      if (payload.visible) tabFocus.hidden.delete(tabId); else tabFocus.hidden.add(tabId);
+      refreshQueuePositions();
+      return { priority: tabPriority(tabId) };
+    }
+  },
+  // Model work that runs in the page (on-device prompts) borrows a scheduler slot:
+  // the reply arrives once it is this tab's turn, and the slot is held until
+  // SCHEDULER_RELEASE, tab close/navigation, or LEASE_TIMEOUT_MS.
+  SCHEDULER_ACQUIRE: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.backendId !== 'string') return 'payload.backendId is required';
+      if (!getBackend(payload.backendId)) return `Unknown backend: ${payload.backendId}`;
+      return '';
+    },
+    handle(payload, sender) {
+      const backend = getBackend(payload.backendId);
+      const tabId = sender?.tab?.id ?? null;
+      const runId = typeof payload.runId === 'string' ? payload.runId : null;
+      return new Promise((resolve, reject) => {
+        scheduleJob({
+          tabId,
+          runId,
+          backendKey: backend.id,
+          concurrency: backend.concurrency || 1,
+          run: () => new Promise(release => {
+            const leaseId = `lease-${nextLeaseId++}`;
+            const timer = setTimeout(() => finish(), LEASE_TIMEOUT_MS);
+            function finish() {
+              clearTimeout(timer);
+              leases.delete(leaseId);
+              release();
+            }
+            leases.set(leaseId, { tabId, runId, finish });
+            resolve({ leaseId });
+          })
+        }).catch(reject);
+      });
+    }
+  },
+  SCHEDULER_RELEASE: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.leaseId !== 'string') return 'payload.leaseId is required';
+      return '';
+    },
+    async handle(payload) {
+      const lease = leases.get(payload.leaseId);
+      if (lease) lease.finish();
+      return { released: Boolean(lease) };
+    }
+  },
+  // A subframe's results, departure or highlight click, forwarded to the top frame
+  // of the same tab, which owns the legend and panel.
+  FRAME_REPORT: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || !FRAME_REPORT_KINDS.includes(payload.kind)) return `payload.kind must be one of ${FRAME_REPORT_KINDS.join(', ')}`;
+      if (payload.kind === 'state' && (!payload.state || typeof payload.state !== 'object')) return 'payload.state is required';
+      if (payload.kind === 'focus' && typeof payload.id !== 'string') return 'payload.id is required';
+      return '';
+    },
+    async handle(payload, sender) {
+      const tabId = sender?.tab?.id;
+      if (tabId == null || !(sender.frameId > 0)) throw messageError('INVALID_SENDER', 'FRAME_REPORT must come from a subframe');
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'FACT_FRAME_REPORT',
+        frameId: sender.frameId,
+        kind: payload.kind,
+        state: payload.state,
+        id: payload.id
+      }, { frameId: 0 });
+      return { delivered: true };
+    }
+  },
+  // The top frame forwarding a panel action to the subframe that owns the statement.
+  RELAY_TO_FRAME: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || !Number.isInteger(payload.frameId) || payload.frameId <= 0) return 'payload.frameId must be a positive integer';
+      if (!payload.message || !FRAME_RELAY_TYPES.includes(payload.message.type)) return `payload.message.type must be one of ${FRAME_RELAY_TYPES.join(', ')}`;
+      return '';
+    },
+    async handle(payload, sender) {
+      const tabId = sender?.tab?.id;
+      if (tabId == null || sender.frameId !== 0) throw messageError('INVALID_SENDER', 'RELAY_TO_FRAME must come from the top frame');
+      const response = await chrome.tabs.sendMessage(tabId, payload.message, { frameId: payload.frameId });
+      return { response: response ?? null };
+    }
+  },
+  // Sent when a page run is cancelled or superseded by a re-run: its queued batches and
+  // held slots go to other work instead of a page that no longer wants the results.
+  CANCEL_RUN: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.runId !== 'string' || !payload.runId) return 'payload.runId is required';
+      return '';
+    },
+    async handle(payload, sender) {
+      const tabId = sender?.tab?.id;
+      if (tabId == null) return { dropped: 0 };
+      const dropped = cancelTabJobs(tabId, 'Run cancelled', { runId: payload.runId });
+      releaseTabLeases(tabId, payload.runId);
+      return { dropped };
+    }
+  },
+  // One record per page run, sent by the content script when classification settles.
+  RECORD_RUN_METRICS: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.run !== 'object' || !payload.run) return 'payload.run is required';
+      return '';
+    },
+    async handle(payload, sender) {
+      const run = runRecordFromPayload(payload.run, sender?.tab?.url || payload.pageUrl || '');
+      await recordRun(run);
+      return { recorded: true };
+    }
+  },
+  GET_USAGE_METRICS: {
+    versions: [1],
+    validate(payload) {
+      if (payload?.sinceDays != null && !(Number(payload.sinceDays) > 0)) return 'payload.sinceDays must be a positive number';
+      return '';
+    },
+    async handle(payload) {
+      const since = payload.sinceDays ? Date.now() - Number(payload.sinceDays) * 24 * 60 * 60 * 1000 : 0;
+      const runs = await listRuns(since);
+      return { summary: summarizeRuns(runs), runs: payload.includeRuns ? runs : undefined };
+    }
+  },
+  CLEAR_USAGE_METRICS: {
+    versions: [1],
+    validate() { return ''; },
+    async handle() {
+      return { cleared: await clearRuns() };
+    }
+  },
+  // User corrections from the tooltip or panel; see util/overrideStore.js.
+  SAVE_OVERRIDE: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.sentenceId !== 'string' || !payload.sentenceId) return 'payload.sentenceId is required';
+      if (!OVERRIDE_ACTIONS.includes(payload.action)) return `payload.action must be one of ${OVERRIDE_ACTIONS.join(', ')}`;
+      if (typeof payload.category !== 'string' || !payload.category) return 'payload.category is required';
+      if (typeof payload.pageUrl !== 'string' || !sitePattern(payload.pageUrl)) return 'payload.pageUrl must be an http(s) URL';
+      if (typeof payload.pattern === 'string' && payload.pattern) return overridePatternError(payload.pattern);
+      return '';
+    },
+    async handle(payload) {
+      const override = await saveOverride({
+        sentenceId: payload.sentenceId,
+        pattern: typeof payload.pattern === 'string' && payload.pattern ? payload.pattern : sitePattern(payload.pageUrl),
+        text: String(payload.text || '').slice(0, 1000),
+        action: payload.action,
+        category: payload.category,
+        modelCategory: typeof payload.modelCategory === 'string' ? payload.modelCategory : null,
+        modelConfidence: typeof payload.modelConfidence === 'number' ? payload.modelConfidence : null,
+        source: typeof payload.source === 'string' ? payload.source : null
+      });
+      forgetCorrections();
+      return { override };
+    }
+  },
+  DELETE_OVERRIDE: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || (typeof payload.key !== 'string' && typeof payload.sentenceId !== 'string')) return 'payload.key or payload.sentenceId is required';
+      return '';
+    },
+    async handle(payload) {
+      let removed = 1;
+      if (typeof payload.key === 'string') await removeOverrideByKey(payload.key);
+      else removed = await deleteOverride(payload.sentenceId, payload.pageUrl || '', typeof payload.text === 'string' ? payload.text : null);
+      forgetCorrections();
+      return { removed };
+    }
+  },
+  GET_PAGE_OVERRIDES: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || typeof payload.pageUrl !== 'string') return 'payload.pageUrl must be a string';
+      return '';
+    },
+    async handle(payload) {
+      return { overrides: await overridesForPage(payload.pageUrl) };
+    }
+  },
+  LIST_OVERRIDES: {
+    versions: [1],
+    validate() { return ''; },
+    async handle() {
+      return { overrides: await listOverrides() };
+    }
+  },
+  CLEAR_OVERRIDES: {
+    versions: [1],
+    validate() { return ''; },
+    async handle() {
+      const cleared = await clearOverrides();
+      forgetCorrections();
+      return { cleared };
+    }
+  },
+  // Per-backend, per-category confidence mappings (see classifier/calibration.js). Options
+  // asks for the reliability bins too.
+  GET_CALIBRATION: {
+    versions: [1],
+    validate() { return ''; },
+    async handle(payload) {
+      const calibration = await calibrationTable();
+      if (!payload?.includeReliability) return { calibration };
+      const samples = calibrationSamples(await correctionsList());
+      const reliability = [];
+      for (const [backend, byCategory] of Object.entries(samples)) {
+        for (const [category, list] of Object.entries(byCategory)) {
+          const model = calibration[backend]?.[category] || null;
+          reliability.push({ backend, category, samples: list.length, model, bins: reliabilityBins(list, model) });
+        }
+      }
+      return { calibration, reliability };
+    }
+  },
+  // The on-device model runs in the page, which renders its own prompt.
+  GET_PROMPT_EXAMPLES: {
+    versions: [1],
+    validate(payload) {
+      if (!payload || !Array.isArray(payload.sentences)) return 'payload.sentences must be an array';
+      if (payload.sentences.some(s => typeof s !== 'string')) return 'payload.sentences must contain strings';
+      return '';
+    },
+    async handle(payload) {
+      const settings = await loadSettings();
+      const classDefs = normalizeStoredClasses(settings.classificationClasses);
+      return { examples: await promptExamples(settings, classDefs, payload.sentences) };
+    }
+  },
+  PURGE_CACHE: {
+    versions: [1],
+    validate() { return ''; },
+    async handle() {
+      const cleared = memoryCache.size;
+      memoryCache.clear();
+      let persisted = 0;
+      try {
+        persisted = await cacheClear();
+      } catch (err) {
+        console.warn('[Debatable] Persistent cache purge failed', err);
+      }
+      return { cleared, persisted };
     }
-    return null;
-  };
-
-  for (const src of candidates) {
-    if (!src || typeof src !== 'object') continue;
-    if (promptTokens == null) promptTokens = readNumber(src, promptKeys);
-    if (completionTokens == null) completionTokens = readNumber(src, completionKeys);
-    if (totalTokens == null) totalTokens = readNumber(src, totalKeys);
   }
+};
 
-  if (totalTokens == null && promptTokens != null && completionTokens != null) {
-    totalTokens = promptTokens + completionTokens;
-  }
+function messageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
 
-  if (promptTokens == null && completionTokens == null && totalTokens == null) {
-    return null;
+async function dispatchMessage(msg, sender) {
+  const handler = MESSAGE_HANDLERS[msg.type];
+  const version = msg.version == null ? 1 : Number(msg.version);
+  if (!handler.versions.includes(version)) {
+    throw messageError('UNSUPPORTED_VERSION', `${msg.type} does not support protocol version ${msg.version}`);
   }
-
-  return {
-    promptTokens: promptTokens != null ? promptTokens : null,
-    completionTokens: completionTokens != null ? completionTokens : null,
-    totalTokens: totalTokens != null ? totalTokens : (promptTokens != null && completionTokens != null ? promptTokens + completionTokens : null)
-  };
+  const invalid = handler.validate(msg.payload, sender);
+  if (invalid) throw messageError('INVALID_PAYLOAD', invalid);
+  return handler.handle(msg.payload || {}, sender);
 }
 
-// (Optional) future: persist memoryCache periodically.
+chrome.runtime.onMessage.addListener((msg, sender, respond) => {
+  if (!msg || typeof msg !== 'object' || !Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, msg.type)) {
+    return false;
+  }
+  const envelope = { type: msg.type, version: PROTOCOL_VERSION };
+  dispatchMessage(msg, sender)
+    .then(result => respond({ ok: true, ...envelope, result }))
+    .catch(err => {
+      console.warn(`[Debatable] ${msg.type} failed`, err);
+      respond({
+        ok: false,
+        ...envelope,
+        error: { code: err?.code || 'INTERNAL', message: err?.message || String(err) }
+      });
+    });
+  return true; // async response
+});
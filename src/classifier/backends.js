@@ -0,0 +1,228 @@
+// backends.js - classifier backend registry used by the service worker.
+// Every provider implements the same interface:
+//   id, label, description
+//   mode                 run mode reported to the page ('heuristic', 'on-device', 'remote')
+//   concurrency          how many classify() calls the scheduler lets run at once
+//   cacheId(settings)    identity folded into cache keys (include the model/endpoint)
+//   classify(statements, { settings, classDefs, debugEnabled, languages?, examples? })
+//     -> { items: [{ index, category, confidence?, rationale? }], debug? }
+// `index` refers to the position in `statements`; `languages`, when given, holds the
+// detected language code of each statement ('und' when unknown), and `examples` the
+// few-shot examples picked for the batch (see examples.js). Providers throw on
+// failure and the caller falls back to the heuristic provider.
+
+import { activeRulePacks, mockClassify } from './heuristic.js';
+import { allowedCategories, extractTokenUsage, parseModelJson, renderPrompt, responseSchema, sanitizeForSend } from './prompt.js';
+import { rulePacksFingerprint } from './rulePacks.js';
+
+export const DEFAULT_BACKEND_ID = 'on-device';
+export const HEURISTIC_BACKEND_ID = 'heuristic';
+export const DEFAULT_LOCAL_ENDPOINT = 'http://localhost:11434/v1';
+export const DEFAULT_LOCAL_MODEL = 'llama3.1';
+export const DEFAULT_LOCAL_TIMEOUT_MS = 60000;
+
+const backends = new Map();
+
+export function registerBackend(backend) {
+  if (!backend || typeof backend.id !== 'string' || typeof backend.classify !== 'function') {
+    throw new TypeError('A classifier backend needs an id and a classify() function');
+  }
+  backends.set(backend.id, backend);
+}
+
+export function getBackend(id) {
+  return backends.get(id) || null;
+}
+
+export function listBackends() {
+  return [...backends.values()].map(({ id, label, description, mode }) => ({ id, label, description, mode }));
+}
+
+/**
+ * Backend selected in Options; installs that predate the setting map the old
+ * "Enable Prompt API" toggle onto on-device / heuristic.
+ */
+export function resolveBackendId(settings) {
+  const requested = settings?.classifierBackend;
+  if (requested && backends.has(requested)) return requested;
+  return settings?.enablePromptApi === false ? HEURISTIC_BACKEND_ID : DEFAULT_BACKEND_ID;
+}
+
+function nowMs() {
+  if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+function roundMs(ms) {
+  return Number(ms.toFixed(1));
+}
+
+function statementsPayload(statements, settings) {
+  return statements.map((text, index) => ({ index, text: sanitizeForSend(text, settings.privacyMode) }));
+}
+
+registerBackend({
+  id: HEURISTIC_BACKEND_ID,
+  label: 'Heuristic rules',
+  description: 'Local pattern matching driven by the rule packs enabled in Options. Instant and private, but shallow.',
+  mode: 'heuristic',
+  concurrency: 8,
+  cacheId: settings => `${HEURISTIC_BACKEND_ID}:${rulePacksFingerprint(activeRulePacks(settings))}`,
+  classify(statements, { settings, classDefs, languages }) {
+    return { items: statements.map((text, index) => mockClassify(text, index, settings, classDefs, languages?.[index])) };
+  }
+});
+
+let onDeviceSession = null;
+
+async function ensureOnDeviceSession() {
+  if (typeof LanguageModel === 'undefined' || typeof LanguageModel.create !== 'function') {
+    throw new Error('LanguageModel API is not available in the service worker.');
+  }
+  const availability = await LanguageModel.availability();
+  if (availability !== 'available') {
+    // Downloads need a user gesture, which only the page can provide.
+    throw new Error(`On-device model is ${availability}.`);
+  }
+  if (!onDeviceSession) onDeviceSession = await LanguageModel.create();
+  return onDeviceSession;
+}
+
+registerBackend({
+  id: 'on-device',
+  label: 'On-device (Gemini Nano)',
+  description: 'Chrome built-in model. Runs in the page; nothing leaves your device.',
+  mode: 'on-device',
+  // One Gemini Nano instance serves the whole browser; parallel prompts just contend.
+  concurrency: 1,
+  cacheId: settings => `on-device:${settings.modelId || 'gemini-nano'}`,
+  async classify(statements, { settings, classDefs, debugEnabled, languages, examples }) {
+    const session = await ensureOnDeviceSession();
+    const classIds = allowedCategories(classDefs);
+    const prompt = renderPrompt(settings.promptTemplate, classDefs, statementsPayload(statements, settings), { languages, examples });
+    const started = nowMs();
+    const raw = await session.prompt(prompt, { responseConstraint: responseSchema(classIds) });
+    const promptMs = nowMs() - started;
+    const parsed = parseModelJson(raw);
+    return {
+      items: parsed.items,
+      debug: debugEnabled ? {
+        prompt,
+        statements: statements.length,
+        endpoint: 'on-device:gemini-nano',
+        model: settings.modelId || 'gemini-nano',
+        timings: { promptMs: roundMs(promptMs), totalMs: roundMs(nowMs() - started) },
+        response: typeof raw === 'string' ? raw : JSON.stringify(raw),
+        categories: classIds
+      } : null
+    };
+  }
+});
+
+// Page sentences and the API key are sent to this endpoint, so it has to be this machine.
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Why `endpoint` cannot be used by the local backend, or '' when it can: it must be
+ * an http(s) URL on a loopback host. Empty means the default endpoint.
+ */
+export function localEndpointError(endpoint) {
+  const value = String(endpoint || '').trim();
+  if (!value) return '';
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return `Endpoint "${value}" is not a valid URL`;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return `Endpoint must use http or https, not ${url.protocol}`;
+  if (!LOOPBACK_HOSTS.has(url.hostname)) {
+    return `Endpoint must be on this machine (localhost, 127.0.0.1 or [::1]), not ${url.hostname}`;
+  }
+  return '';
+}
+
+function chatCompletionsUrl(endpoint) {
+  const problem = localEndpointError(endpoint);
+  if (problem) {
+    const err = new Error(problem);
+    err.code = 'INVALID_ENDPOINT';
+    throw err;
+  }
+  const base = String(endpoint || DEFAULT_LOCAL_ENDPOINT).trim().replace(/\/+$/, '');
+  return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+}
+
+registerBackend({
+  id: 'openai-compatible',
+  label: 'Local OpenAI-compatible server',
+  description: 'llama.cpp, Ollama, LM Studio or any /v1/chat/completions endpoint on your machine.',
+  mode: 'remote',
+  concurrency: 2,
+  cacheId: settings => `openai-compatible:${settings.localModel || DEFAULT_LOCAL_MODEL}@${chatCompletionsUrl(settings.localEndpoint)}`,
+  async classify(statements, { settings, classDefs, debugEnabled, languages, examples }) {
+    const endpoint = chatCompletionsUrl(settings.localEndpoint);
+    const model = settings.localModel || DEFAULT_LOCAL_MODEL;
+    const timeoutMs = Number(settings.localTimeoutMs) > 0 ? Number(settings.localTimeoutMs) : DEFAULT_LOCAL_TIMEOUT_MS;
+    const classIds = allowedCategories(classDefs);
+    const prompt = renderPrompt(settings.promptTemplate, classDefs, statementsPayload(statements, settings), { languages, examples });
+    const body = JSON.stringify({
+      model,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: 'You classify statements and reply with JSON only.' },
+        { role: 'user', content: prompt }
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'classifications', schema: responseSchema(classIds) }
+      }
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.localApiKey) headers.Authorization = `Bearer ${settings.localApiKey}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const started = nowMs();
+    let response;
+    try {
+      response = await fetch(endpoint, { method: 'POST', headers, body, signal: controller.signal });
+    } catch (err) {
+      throw new Error(err?.name === 'AbortError'
+        ? `Local model did not answer within ${Math.round(timeoutMs / 1000)}s`
+        : `Cannot reach ${endpoint}: ${err?.message || err}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    const promptMs = nowMs() - started;
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const err = new Error(`Local model returned HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      err.status = response.status;
+      throw err;
+    }
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content ?? '';
+    const parseStart = nowMs();
+    const parsed = parseModelJson(content);
+    const parseMs = nowMs() - parseStart;
+    return {
+      items: parsed.items,
+      tokens: extractTokenUsage(data),
+      debug: debugEnabled ? {
+        prompt,
+        statements: statements.length,
+        endpoint,
+        model,
+        timings: { promptMs: roundMs(promptMs), parseMs: roundMs(parseMs), totalMs: roundMs(promptMs + parseMs) },
+        tokens: extractTokenUsage(data),
+        payloadBytes: new TextEncoder().encode(body).length,
+        response: content,
+        status: response.status,
+        categories: classIds
+      } : null
+    };
+  }
+});
@@ -0,0 +1,188 @@
+// calibration.js - maps raw classifier confidences to observed accuracy.
+// Each correction in the override store is a labeled sample for the backend and category
+// the classifier chose: a confirmation says the flag was right, a dismissal or a move to
+// another category says it was wrong. Per (backend, category), enough samples fit a
+// Platt-style logistic curve; plenty of them fit an isotonic (monotone step) mapping,
+// which follows the data more closely but needs it. Too few samples leave the raw
+// score alone. Pure functions, like prompt.js.
+
+export const MIN_CALIBRATION_SAMPLES = 10;
+export const ISOTONIC_MIN_SAMPLES = 50;
+const EPSILON = 1e-3;
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+const logit = p => {
+  const q = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return Math.log(q / (1 - q));
+};
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/**
+ * Groups override records into samples: { backend -> { category -> [{ p, y }] } }.
+ * Records without the model's verdict, or where the model said neutral, carry no
+ * confidence to calibrate and are skipped.
+ */
+export function calibrationSamples(overrides) {
+  const samples = {};
+  for (const record of overrides || []) {
+    const backend = typeof record?.source === 'string' ? record.source : '';
+    const category = record?.modelCategory;
+    if (!backend || !category || category === 'neutral' || typeof record.modelConfidence !== 'number') continue;
+    const y = record.action === 'confirm' ? 1 : 0;
+    samples[backend] = samples[backend] || {};
+    (samples[backend][category] = samples[backend][category] || []).push({ p: clamp01(record.modelConfidence), y });
+  }
+  return samples;
+}
+
+/**
+ * Logistic fit of y on logit(p), with Platt's smoothed targets so a handful of
+ * unanimous samples does not drive the curve to 0 or 1. Newton's method on (a, b),
+ * with the step halved until the loss goes down: a full step overshoots when the
+ * start (the identity) is far from the fit, e.g. every sample dismissed at one score.
+ */
+export function fitPlatt(samples) {
+  const positives = samples.filter(s => s.y).length;
+  const negatives = samples.length - positives;
+  const hi = (positives + 1) / (positives + 2);
+  const lo = 1 / (negatives + 2);
+  const points = samples.map(({ p, y }) => ({ z: logit(p), t: y ? hi : lo }));
+  const loss = (a, b) => points.reduce((sum, { z, t }) => {
+    const q = Math.min(1 - 1e-12, Math.max(1e-12, sigmoid(a * z + b)));
+    return sum - t * Math.log(q) - (1 - t) * Math.log(1 - q);
+  }, 0);
+  let a = 1;
+  let b = 0;
+  let current = loss(a, b);
+  for (let iter = 0; iter < 50; iter++) {
+    // Gradient and Hessian of the log loss; the small ridge keeps the Hessian invertible.
+    let ga = 0, gb = 0, haa = 1e-6, hab = 0, hbb = 1e-6;
+    for (const { z, t } of points) {
+      const q = sigmoid(a * z + b);
+      const diff = q - t;
+      const w = q * (1 - q);
+      ga += diff * z;
+      gb += diff;
+      haa += w * z * z;
+      hab += w * z;
+      hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (!(Math.abs(det) > 1e-12)) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    let step = 1;
+    let next = loss(a - da, b - db);
+    while (next > current && step > 1e-6) {
+      step /= 2;
+      next = loss(a - step * da, b - step * db);
+    }
+    if (next > current) break;
+    a -= step * da;
+    b -= step * db;
+    current = next;
+    if (Math.abs(step * da) < 1e-6 && Math.abs(step * db) < 1e-6) break;
+  }
+  // A falling curve would rank a 0.9 flag below a 0.6 one. Samples too bunched to show
+  // a trend get the flat curve at their smoothed accept rate instead.
+  if (a < 0) return { kind: 'platt', a: 0, b: logit(points.reduce((sum, { t }) => sum + t, 0) / points.length) };
+  return { kind: 'platt', a, b };
+}
+
+/**
+ * Pool-adjacent-violators fit: block means of y, non-decreasing in p, returned as
+ * [p, y] knots for linear interpolation. Block means are shrunk slightly toward 0.5,
+ * and the pooling compares the shrunk means: shrinking moves a small block further
+ * than a large one, which would otherwise let the curve dip.
+ */
+export function fitIsotonic(samples) {
+  const shrunk = block => (block.sumY + 0.5) / (block.n + 1);
+  const blocks = [];
+  for (const { p, y } of [...samples].sort((s, t) => s.p - t.p)) {
+    blocks.push({ sumP: p, sumY: y, n: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      // Equal scores pool too, so every knot has a p of its own.
+      if (shrunk(prev) < shrunk(last) && prev.sumP / prev.n < last.sumP / last.n) break;
+      prev.sumP += last.sumP;
+      prev.sumY += last.sumY;
+      prev.n += last.n;
+      blocks.pop();
+    }
+  }
+  return {
+    kind: 'isotonic',
+    points: blocks.map(block => [block.sumP / block.n, shrunk(block)])
+  };
+}
+
+/**
+ * Fits one mapping per backend and category: { backend -> { category -> model } }.
+ * Every model records its sample count (`n`) and confirmations (`accepted`).
+ */
+export function fitCalibration(overrides) {
+  const table = {};
+  for (const [backend, byCategory] of Object.entries(calibrationSamples(overrides))) {
+    for (const [category, samples] of Object.entries(byCategory)) {
+      if (samples.length < MIN_CALIBRATION_SAMPLES) continue;
+      const model = samples.length >= ISOTONIC_MIN_SAMPLES ? fitIsotonic(samples) : fitPlatt(samples);
+      model.n = samples.length;
+      model.accepted = samples.filter(s => s.y).length;
+      table[backend] = table[backend] || {};
+      table[backend][category] = model;
+    }
+  }
+  return table;
+}
+
+/**
+ * Calibrated confidence for raw score `p`; without a model, `p` itself.
+ */
+export function applyCalibration(model, p) {
+  const raw = clamp01(Number(p) || 0);
+  if (!model) return raw;
+  if (model.kind === 'platt') return clamp01(sigmoid(model.a * logit(raw) + model.b));
+  if (model.kind === 'isotonic' && model.points?.length) {
+    const points = model.points;
+    if (raw <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      if (raw <= x1) {
+        const [x0, y0] = points[i - 1];
+        return x1 === x0 ? y1 : y0 + (y1 - y0) * (raw - x0) / (x1 - x0);
+      }
+    }
+    return points[points.length - 1][1];
+  }
+  return raw;
+}
+
+/**
+ * Reliability diagram data for one sample set: per confidence bin, the mean raw
+ * confidence, the share the user confirmed and the mean calibrated confidence.
+ */
+export function reliabilityBins(samples, model, binCount = 5) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: i / binCount,
+    to: (i + 1) / binCount,
+    count: 0,
+    meanConfidence: 0,
+    acceptRate: 0,
+    calibrated: 0
+  }));
+  for (const { p, y } of samples || []) {
+    const bin = bins[Math.min(binCount - 1, Math.floor(p * binCount))];
+    bin.count++;
+    bin.meanConfidence += p;
+    bin.acceptRate += y;
+    bin.calibrated += applyCalibration(model, p);
+  }
+  for (const bin of bins) {
+    if (!bin.count) continue;
+    bin.meanConfidence /= bin.count;
+    bin.acceptRate /= bin.count;
+    bin.calibrated /= bin.count;
+  }
+  return bins;
+}
@@ -0,0 +1,111 @@
+// examples.js - the few-shot example bank behind the {{EXAMPLES}} prompt placeholder.
+// Examples come from the sentences listed per category in Options (`exampleBank`,
+// category id -> sentences) and from the user's corrections in the override store.
+// Each batch gets the examples sharing the most words with its statements, one category
+// at a time so no category crowds out the others, until the token budget is spent.
+// Pure functions, like prompt.js.
+
+export const DEFAULT_EXAMPLE_TOKEN_BUDGET = 300;
+const MAX_EXAMPLE_CHARS = 240;
+const CHARS_PER_TOKEN = 4;
+// Bullet, quotes and the "-> category" tail of a rendered line.
+const LINE_OVERHEAD_TOKENS = 6;
+
+/**
+ * Cleans a stored bank: lowercase category ids, trimmed non-empty unique sentences.
+ */
+export function normalizeExampleBank(raw) {
+  const bank = {};
+  if (!raw || typeof raw !== 'object') return bank;
+  for (const [key, texts] of Object.entries(raw)) {
+    const category = String(key).trim().toLowerCase();
+    if (!category || !Array.isArray(texts)) continue;
+    const clean = [...new Set(texts.map(text => String(text || '').replace(/\s+/g, ' ').trim()).filter(Boolean))];
+    if (clean.length) bank[category] = clean;
+  }
+  return bank;
+}
+
+/**
+ * Flattens the stored bank and the override records into [{ category, text, source }],
+ * keeping only categories that still exist. A dismissal is an example of "neutral".
+ * Corrections come first so they win over a listed example with the same text.
+ */
+export function buildExampleBank(exampleBank, overrides, classDefs) {
+  const known = new Set((classDefs || []).map(cls => cls.id).filter(Boolean));
+  known.add('neutral');
+  const seen = new Set();
+  const bank = [];
+  const add = (category, text, source) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_EXAMPLE_CHARS);
+    const key = clean.toLowerCase();
+    if (!clean || !known.has(category) || seen.has(key)) return;
+    seen.add(key);
+    bank.push({ category, text: clean, source });
+  };
+  for (const record of overrides || []) {
+    add(record.action === 'dismiss' ? 'neutral' : record.category, record.text, 'correction');
+  }
+  for (const [category, texts] of Object.entries(normalizeExampleBank(exampleBank))) {
+    texts.forEach(text => add(category, text, 'curated'));
+  }
+  return bank;
+}
+
+function contentWords(text) {
+  return new Set((String(text || '').toLowerCase().match(/\p{L}{4,}/gu) || []));
+}
+
+export function estimateExampleTokens(example) {
+  return Math.ceil(example.text.length / CHARS_PER_TOKEN) + LINE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Picks examples for a batch of statement texts within `budgetTokens`. Relevance is
+ * word overlap with the batch, damped for long examples; ties keep bank order, so
+ * corrections beat listed examples. A statement never serves as its own example.
+ */
+export function selectExamples(bank, statements, { budgetTokens = DEFAULT_EXAMPLE_TOKEN_BUDGET } = {}) {
+  if (!Array.isArray(bank) || !bank.length || !(budgetTokens > 0)) return [];
+  const batchWords = new Set();
+  const batchTexts = new Set();
+  for (const text of statements || []) {
+    contentWords(text).forEach(word => batchWords.add(word));
+    batchTexts.add(String(text || '').replace(/\s+/g, ' ').trim().toLowerCase());
+  }
+  const byCategory = new Map();
+  bank.forEach((example, order) => {
+    if (batchTexts.has(example.text.toLowerCase())) return;
+    const words = contentWords(example.text);
+    let shared = 0;
+    words.forEach(word => { if (batchWords.has(word)) shared++; });
+    const score = words.size ? shared / Math.sqrt(words.size) : 0;
+    if (!byCategory.has(example.category)) byCategory.set(example.category, []);
+    byCategory.get(example.category).push({ example, score, order });
+  });
+  const queues = [...byCategory.values()]
+    .map(list => list.sort((a, b) => b.score - a.score || a.order - b.order))
+    .sort((a, b) => b[0].score - a[0].score || a[0].order - b[0].order);
+  const picked = [];
+  let spent = 0;
+  // Round-robin over the categories, best candidate first in each.
+  for (let round = 0; queues.some(queue => queue.length > round); round++) {
+    for (const queue of queues) {
+      const candidate = queue[round];
+      if (!candidate) continue;
+      const cost = estimateExampleTokens(candidate.example);
+      if (spent + cost > budgetTokens) continue;
+      spent += cost;
+      picked.push(candidate.example);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Prompt text for {{EXAMPLES}}: one `- "sentence" -> category` line per example.
+ */
+export function formatExamples(examples) {
+  if (!Array.isArray(examples) || !examples.length) return 'none';
+  return examples.map(example => `- ${JSON.stringify(example.text)} -> ${example.category}`).join('\n');
+}
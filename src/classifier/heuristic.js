@@ -0,0 +1,35 @@
+// heuristic.js - rule-pack classifier used when no model backend is available.
+
+import { DEFAULT_RULE_PACK, compileRulePacks, evaluateRules } from './rulePacks.js';
+import { allowedCategories } from './prompt.js';
+
+const compiledMemo = new WeakMap();
+const defaultPacks = [DEFAULT_RULE_PACK];
+
+/**
+ * Packs saved from Options, or the built-in pack on a fresh install. An empty saved
+ * list is respected: the user removed every pack, so nothing gets flagged.
+ */
+export function activeRulePacks(settings = {}) {
+  return Array.isArray(settings.rulePacks) ? settings.rulePacks : defaultPacks;
+}
+
+function compiledRules(settings) {
+  const packs = activeRulePacks(settings);
+  let compiled = compiledMemo.get(packs);
+  if (!compiled) {
+    compiled = compileRulePacks(packs);
+    compiledMemo.set(packs, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Classifies one statement. `language` is its detected code; packs written for other
+ * languages are skipped.
+ */
+export function mockClassify(text, index, settings = {}, classDefs = null, language = null) {
+  const categoryIds = classDefs ? allowedCategories(classDefs) : null;
+  const result = evaluateRules(String(text || ''), compiledRules(settings), categoryIds, language);
+  return { index, ...result };
+}
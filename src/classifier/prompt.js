@@ -0,0 +1,252 @@
+// prompt.js - prompt rendering and response contract shared by the classifier backends.
+// Pure functions only (no chrome.* access) so they can also run under Node.
+
+import { formatExamples } from './examples.js';
+
+export function defaultPromptTemplate() {
+  return `You are a factuality, debate and rhetoric classifier. Output ONLY JSON. \nDefinitions: \n{{DEFINITIONS}} \nExamples (statement -> category): \n{{EXAMPLES}} \nStatements (JSON array): \n{{STATEMENTS_JSON}} \nStatement language: {{LANGUAGE}} \nCategories: {{CLASS_IDS}} \nRules: \n- Return {"items":[...]} with objects that always include "category" ONLY WHEN CATEGORY IS NEUTRAL. \n- Do NOT RETURN if category is neutral. \n- Only include "confidence" (0-1) when category is not "neutral". \n- Do NOT add rationale for ANY category. \n- If insufficient info -> neutral.`
+}
+
+export function classDefinitionsString(classDefs) {
+  return (classDefs || []).map(cls => {
+    const id = (cls.id || '').toString().trim();
+    if (!id) return '';
+    const label = (cls.label || '').toString().trim();
+    const definition = (cls.definition || '').toString().trim() || 'No definition provided.';
+    const header = label && label.toLowerCase() !== id ? `${id} (${label})` : id;
+    return `${header}:\n  ${definition}`;
+  }).filter(Boolean).join('\n\n');
+}
+
+export function definitionsBlock(classDefs) {
+  const defs = classDefinitionsString(classDefs);
+  return defs || `\ndebated: Opinions disputed or with multiple viewpoints.\nhyperbole: Rhetorical or promotional exaggeration.\nneutral: none of the above.`;
+}
+
+export const DEFAULT_CLASS_DEFS = [
+  { id: 'false', label: 'False', definition: 'Contradicts well-established facts.' },
+  { id: 'debated', label: 'Debated', definition: 'Credible expert disagreement presented as fact.' },
+  { id: 'hyperbole', label: 'Hyperbole', definition: 'Rhetorical or promotional exaggeration.' },
+  { id: 'neutral', label: 'Neutral', definition: 'No issues detected.' }
+];
+
+// Accepts category lists saved by any Options version (id/key, label/name, definition/description).
+export function normalizeStoredClasses(raw) {
+  const normalized = [];
+  const seen = new Set();
+  if (Array.isArray(raw) && raw.length) {
+    for (const item of raw) {
+      if (!item || typeof item !== 'object') continue;
+      const id = String(item.id || item.key || '').trim().toLowerCase();
+      if (!id || seen.has(id)) continue;
+      const label = String(item.label || item.name || id).trim() || id;
+      const definition = String(item.definition || item.description || '').trim();
+      normalized.push({ id, label, definition });
+      seen.add(id);
+    }
+  } else {
+    return DEFAULT_CLASS_DEFS.map(c => ({ ...c }));
+  }
+  if (!seen.has('neutral')) {
+    normalized.push({ id: 'neutral', label: 'Neutral', definition: 'No issues detected.' });
+  }
+  return normalized;
+}
+
+export function allowedCategories(classDefs) {
+  const ids = (classDefs || []).map(c => c.id).filter(Boolean);
+  if (!ids.includes('neutral')) ids.push('neutral');
+  return ids;
+}
+
+export function sanitizeForSend(text, privacyMode) {
+  let t = text;
+  // Redact simple PII patterns
+  t = t.replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+/gi, '[EMAIL]');
+  t = t.replace(/\b\d{6,}\b/g, '[NUMBER]');
+  if (privacyMode) {
+    // Already just sentence; could truncate further
+    t = t.slice(0, 320);
+  }
+  return t;
+}
+
+function languageName(code) {
+  try {
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+    return name && name !== code ? `${name} (${code})` : code;
+  } catch (err) {
+    return code;
+  }
+}
+
+/**
+ * Text for {{LANGUAGE}}: the distinct detected languages of a batch, most frequent
+ * first ("German (de), English (en)"). Undetermined ("und") entries are ignored.
+ */
+export function languageHint(languages) {
+  const counts = new Map();
+  for (const code of languages || []) {
+    if (!code || code === 'und') continue;
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  if (!counts.size) return 'unknown';
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([code]) => languageName(code)).join(', ');
+}
+
+/**
+ * Fills a prompt template. `statements` is the array serialized into
+ * {{STATEMENTS_JSON}}; pass null to leave that placeholder in place. `languages`
+ * (detected per statement) fills {{LANGUAGE}}; templates saved before that placeholder
+ * existed get a language line appended when a statement is not in English. `examples`
+ * (from selectExamples() in examples.js) fills {{EXAMPLES}}, or is appended the same way.
+ */
+export function renderPrompt(template, classDefs, statements, { languages = null, examples = null } = {}) {
+  let rendered = (template || defaultPromptTemplate())
+    .replace(/{{DEFINITIONS}}/g, definitionsBlock(classDefs))
+    .replace(/{{CLASS_IDS}}/g, allowedCategories(classDefs).join('|'));
+  // Like {{EXAMPLES}} below: once statements are filled in, an unknown language reads
+  // "unknown" rather than leaving the placeholder for the model to see.
+  const detected = languages || (statements == null ? null : []);
+  if (detected) {
+    const hint = languageHint(detected);
+    if (rendered.includes('{{LANGUAGE}}')) rendered = rendered.replace(/{{LANGUAGE}}/g, hint);
+    else if (detected.some(code => code && code !== 'und' && code !== 'en')) {
+      rendered += `\nStatements are written in ${hint}; judge them in that language but answer with the category ids above.`;
+    }
+  }
+  // With statements filled in, the prompt is final: no examples means "none".
+  const picked = examples || (statements == null ? null : []);
+  if (picked) {
+    if (rendered.includes('{{EXAMPLES}}')) rendered = rendered.replace(/{{EXAMPLES}}/g, formatExamples(picked));
+    else if (picked.length) rendered += `\nExamples of classified statements (statement -> category):\n${formatExamples(picked)}`;
+  }
+  return statements == null ? rendered : rendered.replace(/{{STATEMENTS_JSON}}/g, JSON.stringify(statements));
+}
+
+/**
+ * Parses a model reply into { items }. Tolerates prose around the JSON object;
+ * throws when no usable object is found so the caller can fall back. The error's
+ * code is PARSE_ERROR, which tells an unreadable answer from a failed request.
+ */
+export function parseModelJson(raw) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (!text) throw parseError('Empty model response');
+  const match = text.match(/\{[\s\S]*\}/);
+  let parsed;
+  try {
+    parsed = JSON.parse(match ? match[0] : text);
+  } catch (err) {
+    throw parseError(err.message || 'Malformed model JSON');
+  }
+  if (!parsed || !Array.isArray(parsed.items)) throw parseError('Model response has no "items" array');
+  return parsed;
+}
+
+function parseError(message) {
+  const err = new Error(message);
+  err.code = 'PARSE_ERROR';
+  return err;
+}
+
+export function responseSchema(classIds) {
+  return {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            category: { type: 'string', enum: Array.isArray(classIds) && classIds.length ? classIds : undefined },
+            confidence: { type: 'number' },
+            rationale: { type: 'string' }
+          },
+          required: ['index','category']
+        }
+      }
+    },
+    required: ['items']
+  };
+}
+
+export function normalizeClassification(item, classDefs) {
+  let { category, confidence, rationale } = item;
+  const allowed = new Set(allowedCategories(classDefs));
+  category = String(category || '').trim().toLowerCase();
+  // A category outside the list is no verdict on the statement: neutral, but marked
+  // inconclusive. A mark the page already set (on-device results) is kept as well.
+  if (!allowed.has(category)) return { category: 'neutral', inconclusive: 'unrecognized' };
+  if (category === 'neutral') {
+    return item.inconclusive ? { category, inconclusive: String(item.inconclusive) } : { category };
+  }
+  confidence = typeof confidence === 'number' ? Math.min(1, Math.max(0, confidence)) : 0.5;
+  rationale = rationale ? String(rationale).slice(0, 400) : '';
+  return { category, confidence, rationale };
+}
+
+export function extractTokenUsage(data) {
+  if (!data || typeof data !== 'object') return null;
+  const candidates = [];
+  const usage = data.usage;
+  if (usage && typeof usage === 'object') candidates.push(usage);
+  const tokenUsage = data.tokenUsage || data.token_usage;
+  if (tokenUsage && typeof tokenUsage === 'object') candidates.push(tokenUsage);
+  if (data.tokens && typeof data.tokens === 'object') candidates.push(data.tokens);
+  if (data.metrics && typeof data.metrics === 'object' && typeof data.metrics.tokens === 'object') {
+    candidates.push(data.metrics.tokens);
+  }
+  if (data.stats && typeof data.stats === 'object' && typeof data.stats.tokens === 'object') {
+    candidates.push(data.stats.tokens);
+  }
+  if (!candidates.length) return null;
+
+  const promptKeys = ['promptTokens', 'prompt_tokens', 'inputTokens', 'input_tokens'];
+  const completionKeys = ['completionTokens', 'completion_tokens', 'outputTokens', 'output_tokens', 'generationTokens', 'generation_tokens'];
+  const totalKeys = ['totalTokens', 'total_tokens'];
+
+  let promptTokens = null;
+  let completionTokens = null;
+  let totalTokens = null;
+
+  const toNumber = (value) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && value.trim()) {
+      const parsed = Number(value.trim());
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+  };
+
+  const readNumber = (source, keys) => {
+    for (const key of keys) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        const num = toNumber(source[key]);
+        if (num != null) return num;
+      }
+    }
+    return null;
+  };
+
+  for (const src of candidates) {
+    if (!src || typeof src !== 'object') continue;
+    if (promptTokens == null) promptTokens = readNumber(src, promptKeys);
+    if (completionTokens == null) completionTokens = readNumber(src, completionKeys);
+    if (totalTokens == null) totalTokens = readNumber(src, totalKeys);
+  }
+
+  if (totalTokens == null && promptTokens != null && completionTokens != null) {
+    totalTokens = promptTokens + completionTokens;
+  }
+
+  if (promptTokens == null && completionTokens == null && totalTokens == null) {
+    return null;
+  }
+
+  return {
+    promptTokens: promptTokens != null ? promptTokens : null,
+    completionTokens: completionTokens != null ? completionTokens : null,
+    totalTokens: totalTokens != null ? totalTokens : (promptTokens != null && completionTokens != null ? promptTokens + completionTokens : null)
+  };
+}
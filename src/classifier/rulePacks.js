@@ -0,0 +1,219 @@
+// rulePacks.js - rule-pack engine behind the heuristic classifier.
+// A pack is a JSON document:
+//   {
+//     id, name, description?,
+//     threshold?                   minimum score for a non-neutral verdict (default 0.3)
+//     languages?: [code]           ISO 639-1 codes the rules are written for; omitted = any
+//     rules: [{
+//       id, category,              category id from Options (custom ids work too)
+//       weight,                    0-1 evidence for the category; negative values dampen it
+//       patterns?: [regex source], case-insensitive regular expressions
+//       words?: [string],          whole-word / phrase list
+//       negations?: [regex source] the rule is ignored when one of these matches
+//       rationale?                 shown in the tooltip when the rule fires
+//     }]
+//   }
+// Positive rules for a category combine noisy-or style; dampening rules then scale the
+// result by (1 + weight). The highest scoring category wins.
+
+export const DEFAULT_RULE_THRESHOLD = 0.3;
+
+export const DEFAULT_RULE_PACK = {
+  id: 'core',
+  name: 'Built-in rules',
+  description: 'Starter rules covering a few well-known false claims, contested research areas and promotional phrasing.',
+  threshold: DEFAULT_RULE_THRESHOLD,
+  languages: ['en'],
+  rules: [
+    {
+      id: 'science-myths',
+      category: 'false',
+      weight: 0.9,
+      words: ['the earth has two moons', 'perpetual motion machine'],
+      negations: ['\\b(?:myth|hoax|debunked|is not true|isn\'t true)\\b'],
+      rationale: 'Contradicts established science.'
+    },
+    {
+      id: 'contested-research',
+      category: 'debated',
+      weight: 0.72,
+      words: ['quantum supremacy', 'ai has achieved consciousness', 'cold fusion has been solved'],
+      rationale: 'Claim area has ongoing expert debate.'
+    },
+    {
+      id: 'intensity-phrasing',
+      category: 'hyperbole',
+      weight: 0.62,
+      patterns: ['literally', 'change.*forever', 'game-?changing'],
+      words: ['revolutionary', 'the best ever', 'unprecedented', 'absolutely incredible'],
+      rationale: 'Promotional / intensity phrasing.'
+    },
+    {
+      id: 'measured-evidence',
+      category: 'hyperbole',
+      weight: -0.2,
+      patterns: ['\\b(?:\\d+%|\\d+x|\\d+\\.\\d+|megapixel|fps|nm|gigabit|tera|petaflop|times?)\\b'],
+      rationale: 'Some evidence present.'
+    }
+  ]
+};
+
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordPattern(word) {
+  const body = escapeRegex(word.trim().toLowerCase()).replace(/\s+/g, '\\s+');
+  return `(?:^|[^\\p{L}\\p{N}])${body}(?=$|[^\\p{L}\\p{N}])`;
+}
+
+function compileRegex(source, flags = 'iu') {
+  return new RegExp(source, flags);
+}
+
+/**
+ * Checks a pack document and returns a list of human-readable problems (empty when valid).
+ * Used by Options before saving an imported or edited pack.
+ */
+export function validateRulePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['Pack must be a JSON object.'];
+  if (typeof pack.id !== 'string' || !pack.id.trim()) errors.push('Pack needs a non-empty "id".');
+  if (pack.threshold !== undefined && !(typeof pack.threshold === 'number' && pack.threshold >= 0 && pack.threshold <= 1)) {
+    errors.push('"threshold" must be a number between 0 and 1.');
+  }
+  if (pack.languages !== undefined && (!Array.isArray(pack.languages) || pack.languages.some(l => typeof l !== 'string' || !/^[a-z]{2,3}$/i.test(l)))) {
+    errors.push('"languages" must be a list of language codes such as "en" or "de".');
+  }
+  if (!Array.isArray(pack.rules)) {
+    errors.push('Pack needs a "rules" array.');
+    return errors;
+  }
+  const seen = new Set();
+  pack.rules.forEach((rule, i) => {
+    const where = `Rule ${rule && rule.id ? `"${rule.id}"` : `#${i + 1}`}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || !rule.id.trim()) errors.push(`${where} needs an "id".`);
+    else if (seen.has(rule.id)) errors.push(`${where} is defined twice.`);
+    else seen.add(rule.id);
+    if (typeof rule.category !== 'string' || !rule.category.trim()) errors.push(`${where} needs a "category".`);
+    if (typeof rule.weight !== 'number' || rule.weight < -1 || rule.weight > 1 || rule.weight === 0) {
+      errors.push(`${where} needs a non-zero "weight" between -1 and 1.`);
+    }
+    for (const field of ['patterns', 'words', 'negations']) {
+      if (rule[field] === undefined) continue;
+      if (!Array.isArray(rule[field]) || rule[field].some(v => typeof v !== 'string' || !v.trim())) {
+        errors.push(`${where}: "${field}" must be a list of non-empty strings.`);
+      }
+    }
+    if (!(rule.patterns || []).length && !(rule.words || []).length) {
+      errors.push(`${where} needs at least one pattern or word.`);
+    }
+    for (const source of [...(rule.patterns || []), ...(rule.negations || [])]) {
+      if (typeof source !== 'string') continue;
+      try {
+        compileRegex(source);
+      } catch (err) {
+        errors.push(`${where}: invalid pattern ${JSON.stringify(source)} (${err.message}).`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Flattens the enabled packs into matcher objects. Disabled packs and categories
+ * switched off for a pack are skipped, as are rules that fail to compile.
+ */
+export function compileRulePacks(packs) {
+  const compiled = [];
+  for (const pack of Array.isArray(packs) ? packs : []) {
+    if (!pack || pack.enabled === false || !Array.isArray(pack.rules)) continue;
+    const disabled = new Set((pack.disabledCategories || []).map(c => String(c).toLowerCase()));
+    const languages = Array.isArray(pack.languages) && pack.languages.length
+      ? new Set(pack.languages.map(l => String(l).toLowerCase()))
+      : null;
+    for (const rule of pack.rules) {
+      const category = String(rule?.category || '').trim().toLowerCase();
+      if (!category || disabled.has(category) || typeof rule.weight !== 'number' || !rule.weight) continue;
+      try {
+        const matchers = [
+          ...(rule.patterns || []).map(source => compileRegex(source)),
+          ...(rule.words || []).filter(w => String(w).trim()).map(word => compileRegex(wordPattern(word)))
+        ];
+        if (!matchers.length) continue;
+        compiled.push({
+          id: `${pack.id}:${rule.id}`,
+          packThreshold: typeof pack.threshold === 'number' ? pack.threshold : DEFAULT_RULE_THRESHOLD,
+          languages,
+          category,
+          weight: Math.max(-1, Math.min(1, rule.weight)),
+          matchers,
+          negations: (rule.negations || []).map(source => compileRegex(source)),
+          rationale: typeof rule.rationale === 'string' ? rule.rationale.trim() : ''
+        });
+      } catch (err) {
+        console.warn('[Debatable] Skipping rule with invalid pattern', `${pack.id}:${rule.id}`, err);
+      }
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Scores `text` against compiled rules. Only categories in `categoryIds` (when given)
+ * are considered, and only packs written for `language`; text of unknown language
+ * ('und' or none) is checked against every pack.
+ * Returns { category, confidence, rationale, rules } or { category: 'neutral' }.
+ */
+export function evaluateRules(text, compiled, categoryIds = null, language = null) {
+  const allowed = categoryIds ? new Set(categoryIds) : null;
+  const known = language && language !== 'und' ? String(language).toLowerCase() : null;
+  const byCategory = new Map();
+  for (const rule of compiled) {
+    if (rule.category === 'neutral' || (allowed && !allowed.has(rule.category))) continue;
+    if (known && rule.languages && !rule.languages.has(known)) continue;
+    if (!rule.matchers.some(re => re.test(text))) continue;
+    if (rule.negations.some(re => re.test(text))) continue;
+    let bucket = byCategory.get(rule.category);
+    if (!bucket) {
+      bucket = { support: [], dampen: [], threshold: rule.packThreshold };
+      byCategory.set(rule.category, bucket);
+    }
+    (rule.weight > 0 ? bucket.support : bucket.dampen).push(rule);
+    bucket.threshold = Math.min(bucket.threshold, rule.packThreshold);
+  }
+
+  let best = null;
+  for (const [category, bucket] of byCategory) {
+    if (!bucket.support.length) continue;
+    let score = 1 - bucket.support.reduce((miss, rule) => miss * (1 - rule.weight), 1);
+    for (const rule of bucket.dampen) score *= 1 + rule.weight;
+    if (score < bucket.threshold) continue;
+    if (!best || score > best.score) best = { category, score, fired: [...bucket.support, ...bucket.dampen] };
+  }
+  if (!best) return { category: 'neutral' };
+  return {
+    category: best.category,
+    confidence: Number(best.score.toFixed(3)),
+    rationale: best.fired.map(rule => `${rule.rationale || 'Matched'} [${rule.id}]`).join(' '),
+    rules: best.fired.map(rule => rule.id)
+  };
+}
+
+/**
+ * Short stable fingerprint of the active packs, folded into cache keys so that
+ * editing a pack invalidates heuristic results.
+ */
+export function rulePacksFingerprint(packs) {
+  const json = JSON.stringify(Array.isArray(packs) ? packs : []);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
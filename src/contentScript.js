@@ -3,15 +3,56 @@
 
 const MAX_SENTENCES_INITIAL = 60;
 const BATCH_SIZE = 20;
+const PROTOCOL_VERSION = 1;
+const BLOCK_SELECTOR = 'p, li, blockquote, td';
+const DYNAMIC_DEBOUNCE_MS = 800;
+const ROUTE_SETTLE_MS = 600;
+const ROUTE_SNAPSHOT_LIMIT = 20;
+const SENTENCE_BUDGET_DEFAULT = 300;
+// Lazy mode starts on text a screen above and well below the viewport, so sentences
+// are usually classified before they are scrolled into view.
+const LAZY_ROOT_MARGIN = '600px 0px 1200px 0px';
+const LAZY_CHUNK_MAX = 40;
+const LAZY_SETTLE_MS = 250;
+// Landmarks that hold page furniture rather than the article. A <header> only counts
+// outside an article (see isBoilerplateBlock).
+const BOILERPLATE_SELECTOR = 'nav, footer, aside, form, dialog, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="search"], [role="dialog"], [role="alertdialog"]';
+const MAIN_LANDMARK_SELECTOR = 'main, [role="main"]';
+const ARTICLE_SELECTOR = 'article, [role="article"], main, [role="main"]';
+// Class/id hints in the spirit of Readability's candidate weighting.
+const UNLIKELY_CONTENT_RE = /(^|[\s_-])(nav|navbar|menu|footer|sidebar|cookies?|consent|gdpr|banner|promo|sponsored|advert|ads?|related|recommended|share|social|newsletter|subscribe|breadcrumbs?|popup|modal|outbrain|taboola)([\s_-]|$)/i;
+const LIKELY_CONTENT_RE = /article|body|content|entry|main|post|story|text|blog/i;
+const MAX_BLOCK_LINK_DENSITY = 0.5;
+const MIN_REGION_SCORE = 20;
+// Our own page furniture; mutations inside these never need classifying.
+const OWN_UI_SELECTOR = '#fact-flag-legend, #fact-panel-frame, #fact-flag-tooltip, .fact-flag-toast';
 
 const DEFAULT_CLASS_DEFS = [
   // { id: 'false', label: 'False', definition: 'Contradicts well-established facts.', color: '#ef4444', textColor: '#ffffff' },
-  { id: 'debated', label: 'Debated', definition: 'Opinions disputed or with multiple viewpoints.', color: '#facc15', textColor: '#ffffff' },
-  { id: 'hyperbole', label: 'Hyperbole', definition: 'Rhetorical or promotional exaggeration.', color: '#fb923c', textColor: '#ffffff' },
-  { id: 'neutral', label: 'Neutral', definition: 'No apparent factual issues.', color: '#9ca3af', textColor: '#ffffff' }
+  { id: 'debated', label: 'Debated', labels: { de: 'Umstritten', es: 'Debatido', fr: 'Débattu' }, definition: 'Opinions disputed or with multiple viewpoints.', color: '#facc15', textColor: '#ffffff' },
+  { id: 'hyperbole', label: 'Hyperbole', labels: { de: 'Übertreibung', es: 'Hipérbole', fr: 'Hyperbole' }, definition: 'Rhetorical or promotional exaggeration.', color: '#fb923c', textColor: '#ffffff' },
+  { id: 'neutral', label: 'Neutral', labels: { de: 'Neutral', es: 'Neutral', fr: 'Neutre' }, definition: 'No apparent factual issues.', color: '#9ca3af', textColor: '#ffffff' }
 ];
 
+// Not a category the classifier can pick: results it did not settle (a score just under
+// the category's minimum confidence, an answer that could not be read) are shown in this
+// tier instead of being flagged or dropped.
+const INCONCLUSIVE_TIER = {
+  id: 'inconclusive',
+  label: 'Low confidence',
+  displayLabel: 'Low confidence',
+  definition: 'Just under a category\'s minimum confidence, or the model\'s answer could not be read.',
+  color: '#94a3b8',
+  textColor: '#111111'
+};
+// How far under a category's minimum confidence a score still counts as near it.
+const INCONCLUSIVE_MARGIN = 0.15;
+
 const PANEL_ORIGIN = new URL(chrome.runtime.getURL('src/ui/panel.html')).origin;
+// Subframes classify and highlight their own document but have no legend, panel or
+// toasts; they report to the top frame through the service worker instead.
+const IS_TOP_FRAME = window.top === window.self;
+const FRAME_REPORT_THROTTLE_MS = 250;
 
 // Global state for panel communication
 window.__factFlagState = {
@@ -23,12 +64,52 @@ window.__factFlagState = {
   errors: [],
   debugEnabled: false,
   debugPrompts: [],
-  pendingPanelFocus: null
+  pendingPanelFocus: null,
+  runMetrics: null, // usage counters for the current run, reported when it settles
+  hiddenCategories: null, // Set of category ids the legend chips have switched off
+  showInconclusive: true, // Options switch for the low-confidence tier
+  frames: {} // top frame only: frameId -> latest report from an embedded frame
 };
 
 const highlightedIds = new Set();
 let highlightTooltipEl = null;
 let highlightInteractionBound = false;
+// The analysis run that owns the page's highlights and progress; a re-run aborts it.
+let currentRun = null;
+let nextRunSeq = 1;
+let dynamicObserver = null;
+let dynamicFlushTimer = null;
+const pendingDynamicBlocks = new Set();
+// New sentences past maxSentences wait here for the next dynamic flush.
+let pendingDynamicSentences = [];
+// Open shadow roots holding highlights; searched alongside the document.
+const highlightRoots = new Set();
+// Text nodes split by highlighting: origin node -> the pieces split off it, and back.
+const splitTextFragments = new Map();
+const highlightTextOrigins = new WeakMap();
+// 'spans' wraps text in elements; 'highlight-api' paints Ranges with CSS.highlights.
+let highlightRenderer = 'spans';
+// Sentences painted by the highlight-api renderer: id -> { ranges, category, metadata }.
+const paintedHighlights = new Map();
+let activePaintId = null;
+let paintHitFrame = 0;
+// overrideKey(id, text) -> the user's override that applies on this page (see loadPageOverrides)
+const pageOverrides = new Map();
+// backend id -> category id -> fitted mapping, from GET_CALIBRATION (see loadCalibration)
+let confidenceCalibration = {};
+let tooltipHideTimer = null;
+const observedShadowRoots = new WeakSet();
+let frameReportTimer = null;
+let frameReported = false;
+let currentRouteKey = null;
+let routeSettleTimer = null;
+// route key -> results of the last completed run on that route, oldest first
+const routeSnapshots = new Map();
+// Viewport-driven classification of the current page; null in first-N mode.
+let lazyState = null;
+// How the last full extraction narrowed the page (see mainContentBlocks); dynamic
+// content is held to the same rules. Null keeps every visible block.
+let contentFilter = null;
 
 function normalizeClassesFromStorage(stored) {
   const normalized = [];
@@ -43,17 +124,36 @@ function normalizeClassesFromStorage(stored) {
       const definition = String(raw.definition || raw.description || base.definition || '');
       const color = validateHexColor(raw.color) ? raw.color : (base.color || '#9ca3af');
       const textColor = validateHexColor(raw.textColor) ? raw.textColor : (base.textColor || '#111111');
-      normalized.push({ id, label, definition, color, textColor });
+      // Saved translations replace the built-in ones; a renamed category drops them.
+      const labels = raw.labels && typeof raw.labels === 'object'
+        ? raw.labels
+        : (label === base.label ? base.labels || {} : {});
+      const minConfidence = Math.min(1, Math.max(0, Number(raw.minConfidence) || 0));
+      normalized.push({ id, label, labels, definition, color, textColor, minConfidence, hidden: raw.hidden === true });
       seen.add(id);
     }
   } else {
-    return DEFAULT_CLASS_DEFS.map(c => ({ ...c }));
+    return DEFAULT_CLASS_DEFS.map(c => ({ ...c, displayLabel: localizedLabel(c) }));
   }
   if (!seen.has('neutral')) {
     const fallbackNeutral = DEFAULT_CLASS_DEFS.find(c => c.id === 'neutral');
     if (fallbackNeutral) normalized.push({ ...fallbackNeutral });
   }
-  return normalized;
+  return normalized.map(c => ({ ...c, displayLabel: localizedLabel(c) }));
+}
+
+/**
+ * Category name in the browser's UI language ("pt-BR", then "pt"), falling back to the
+ * label the prompt uses. Only what the user sees is translated; ids stay as they are.
+ */
+function localizedLabel(cls, locale = navigator.language) {
+  const labels = cls?.labels || {};
+  const exact = String(locale || '').toLowerCase();
+  for (const key of [exact, languageBase(exact)]) {
+    const match = Object.keys(labels).find(k => k.toLowerCase() === key);
+    if (match && String(labels[match]).trim()) return String(labels[match]).trim();
+  }
+  return cls?.label || cls?.id || '';
 }
 
 function validateHexColor(color) {
@@ -72,7 +172,8 @@ function rgbaFromHex(hex, alpha = 0.28) {
 }
 
 function classById(id) {
-  return (window.__factFlagState.classes || []).find(c => c.id === id) || null;
+  const match = (window.__factFlagState.classes || []).find(c => c.id === id);
+  return match || (id === INCONCLUSIVE_TIER.id ? INCONCLUSIVE_TIER : null);
 }
 
 function buildClassDefinitionsString(classes) {
@@ -87,7 +188,6 @@ function buildClassDefinitionsString(classes) {
 }
 
 (async function init() {
-  if (window.top !== window.self) return; // ignore iframes for now
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', start);
   } else {
@@ -96,27 +196,179 @@ function buildClassDefinitionsString(classes) {
 })();
 
 function start() {
+  if (!document.body) return;
   injectStylesIfNeeded();
   ensureHighlightInteractions();
+  if (IS_TOP_FRAME) {
+    reportVisibility();
+    document.addEventListener('visibilitychange', reportVisibility);
+  } else {
+    window.addEventListener('pagehide', () => reportToTopFrame({ kind: 'gone' }));
+  }
+  // Observe first: shadow roots found by the first extraction are watched as they are met.
+  observeDynamicContent();
   analyzePage();
   setupMessageListener();
-  // TODO: mutation observer for dynamic content.
+  watchRouteChanges();
+}
+
+// Hidden tabs drop to the back of the worker's model queue.
+function reportVisibility() {
+  sendMessage({ type: 'TAB_VISIBILITY', payload: { visible: document.visibilityState !== 'hidden' } })
+    .catch(() => {});
+}
+
+function setQueuePosition(position) {
+  const progress = window.__factFlagState.progress;
+  if (!progress) return;
+  progress.queuePosition = Number(position) > 0 ? Number(position) : 0;
+  if (progress.status === 'done' || progress.status === 'idle') return;
+  updateProgressUI({});
+}
+
+/**
+ * Waits for the worker's scheduler to grant a slot for page-side model work.
+ * Resolves to a lease id, or null when the worker could not be asked (the prompt
+ * then runs unscheduled rather than not at all). Cancellation is rethrown.
+ */
+async function acquireSchedulerSlot(backendId, run = null) {
+  try {
+    const resp = await sendMessage(
+      { type: 'SCHEDULER_ACQUIRE', payload: { backendId, runId: run?.id } },
+      { signal: run?.signal }
+    );
+    return resp?.result?.leaseId || null;
+  } catch (err) {
+    if (err?.code === 'CANCELLED' || isRunAborted(err, run)) throw err;
+    console.warn('[AccuracyHighlighter] Scheduler unavailable – running unqueued', err);
+    return null;
+  }
+}
+
+function releaseSchedulerSlot(leaseId) {
+  if (!leaseId) return;
+  sendMessage({ type: 'SCHEDULER_RELEASE', payload: { leaseId } }).catch(() => {});
+}
+
+/**
+ * Starts a new analysis run, aborting whichever run was still in progress so two
+ * runs never write highlights into the page at the same time.
+ */
+function beginRun() {
+  if (currentRun) cancelRun(currentRun, 'Superseded by a new run');
+  const controller = new AbortController();
+  currentRun = {
+    // Frames of one tab share the worker's run namespace, hence the random part.
+    id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${nextRunSeq++}`,
+    controller,
+    signal: controller.signal,
+    paused: false,
+    resumeWaiters: []
+  };
+  return currentRun;
+}
+
+function runAbortError(reason) {
+  const err = new Error(reason || 'Run cancelled');
+  err.name = 'AbortError';
+  err.code = 'RUN_ABORTED';
+  return err;
+}
+
+function cancelRun(run, reason) {
+  if (!run || run.signal.aborted) return;
+  run.controller.abort(runAbortError(reason));
+  run.paused = false;
+  run.resumeWaiters.splice(0).forEach(wake => wake());
+  // Frees the run's queued batches and scheduler slots in the worker.
+  sendMessage({ type: 'CANCEL_RUN', payload: { runId: run.id } }).catch(() => {});
+}
+
+function isCurrentRun(run) {
+  return Boolean(run) && run === currentRun && !run.signal.aborted;
+}
+
+function isRunAborted(err, run = null) {
+  return Boolean(run?.signal.aborted) || err?.name === 'AbortError' || err?.code === 'RUN_ABORTED';
+}
+
+function throwIfRunAborted(run) {
+  if (run?.signal.aborted) throw run.signal.reason || runAbortError();
+}
+
+// Called between steps of a run: throws once the run is aborted and holds it while paused.
+async function runCheckpoint(run) {
+  throwIfRunAborted(run);
+  while (run?.paused) {
+    await new Promise(resolve => run.resumeWaiters.push(resolve));
+    throwIfRunAborted(run);
+  }
+}
+
+function isProgressActive(progress) {
+  return Boolean(progress) && ['pending', 'running', 'paused'].includes(progress.status);
+}
+
+// Pausing stops new batches from starting; a batch already with the model finishes
+// and its highlights are applied.
+function pauseAnalysis() {
+  const run = currentRun;
+  const progress = window.__factFlagState.progress;
+  if (!isCurrentRun(run) || run.paused || !isProgressActive(progress)) return false;
+  run.paused = true;
+  run.statusBeforePause = progress.status;
+  updateProgressUI({ status: 'paused' });
+  return true;
+}
+
+function resumeAnalysis() {
+  const run = currentRun;
+  if (!isCurrentRun(run) || !run.paused) return false;
+  run.paused = false;
+  updateProgressUI({ status: run.statusBeforePause || 'running' });
+  run.resumeWaiters.splice(0).forEach(wake => wake());
+  return true;
+}
+
+// Highlights from batches that already finished stay on the page.
+function cancelAnalysis() {
+  const run = currentRun;
+  if (!isCurrentRun(run) || !isProgressActive(window.__factFlagState.progress)) return false;
+  stopLazyClassification();
+  cancelRun(run, 'Cancelled by user');
+  handleCancelledRun();
+  return true;
 }
 
 async function analyzePage() {
+  const run = beginRun();
+  stopLazyClassification();
+  // A full run re-extracts everything, so earlier mutations need no separate pass.
+  pendingDynamicBlocks.clear();
+  pendingDynamicSentences = [];
   highlightedIds.clear();
   window.__factFlagState.errors = [];
   const cfg = await getSettings();
+  if (!isCurrentRun(run)) return;
+  highlightRenderer = rendererFor(cfg);
   window.__factFlagState.debugEnabled = Boolean(cfg.debugLogging);
+  window.__factFlagState.showInconclusive = cfg.showInconclusive !== false;
   window.__factFlagState.debugPrompts = [];
   window.__factFlagState.pendingPanelFocus = null;
   const classes = normalizeClassesFromStorage(cfg.classificationClasses);
   window.__factFlagState.classes = classes;
+  // Options gives the starting state; chip toggles then last as long as the page.
+  if (!window.__factFlagState.hiddenCategories) {
+    window.__factFlagState.hiddenCategories = new Set(classes.filter(c => c.hidden).map(c => c.id));
+  }
   renderLegend();
   renderDebugPrompts();
-  const sentences = extractSentences();
+  const [sentences] = await Promise.all([extractSentences(cfg), loadPageOverrides(), loadCalibration()]);
+  if (!isCurrentRun(run)) return;
+  // Lazy mode keeps every sentence and lets the viewport decide what is classified.
+  const lazy = Boolean(cfg.lazyClassification);
   const maxSentences = Number(cfg.maxSentences) > 0 ? Number(cfg.maxSentences) : MAX_SENTENCES_INITIAL;
-  const limited = sentences.slice(0, maxSentences);
+  const limited = lazy ? sentences : sentences.slice(0, maxSentences);
   window.__factFlagState.sentences = limited.map((s) => ({ ...s, id: genId(s.text) }));
   window.__factFlagState.classifications = new Array(limited.length).fill(null);
   window.__factFlagState.flagged = [];
@@ -136,121 +388,852 @@ async function analyzePage() {
     broadcastPanelState();
     return;
   }
+  if (!lazy) beginRunMetrics(limited.length);
   try {
-    const wantsOnDevice = cfg.enablePromptApi && (cfg.modelId || '').toLowerCase().includes('gemini-nano');
+    const wantsOnDevice = cfg.classifierBackend === 'on-device';
     const onDeviceAvailable = hasOnDeviceAPI();
-    if (wantsOnDevice && onDeviceAvailable) {
+    if (lazy) {
+      await startLazyClassification(cfg, run);
+    } else if (wantsOnDevice && onDeviceAvailable) {
       const availability = await LanguageModel.availability();
+      await runCheckpoint(run);
       if (availability === 'unavailable') {
         window.__factFlagState.lastRunMeta = { mode: 'on-device-unavailable', error: 'LanguageModel API reports unavailable (hardware or flags).' };
         showToast('On-device model unavailable');
-        await runRemoteOrHeuristic(cfg);
+        await runRemoteOrHeuristic(cfg, run);
       } else if (availability === 'downloadable' || availability === 'downloading') {
         // Need user interaction; set status and attach one-time click listener
         window.__factFlagState.lastRunMeta = { mode: 'on-device-wait', error: null };
         updateLegendStatus();
         showToast('Click page to download on-device model');
         updateProgressUI({ setCompleted: 0, message: 'Tap to download on-device model', status: 'pending' });
-        await waitForUserGesture();
+        await waitForUserGesture(run.signal);
+        await runCheckpoint(run);
+        // Time spent waiting for the click is not classification latency.
+        if (window.__factFlagState.runMetrics) window.__factFlagState.runMetrics.startedAt = performance.now();
         try {
           updateProgressUI({ setCompleted: 0, message: 'Downloading on-device model…', status: 'running' });
-          const classifications = await classifyOnDeviceGeminiNano(window.__factFlagState.sentences, cfg, true /* showProgress */);
+          const classifications = await classifyOnDeviceGeminiNano(window.__factFlagState.sentences, cfg, { showProgress: true, run });
           window.__factFlagState.lastRunMeta = { mode: 'on-device', error: null };
           applyHighlights({ classifications });
           finalizeProgress(true, 'Complete');
           updateLegendStatus();
           showToast('On-device classification complete');
         } catch (err) {
-          await handleOnDeviceError(err, cfg);
+          await handleOnDeviceError(err, cfg, run);
         }
       } else { // ready
         try {
           updateProgressUI({ setCompleted: 0, message: 'Running on-device model…', status: 'running' });
-          const classifications = await classifyOnDeviceGeminiNano(window.__factFlagState.sentences, cfg);
+          const classifications = await classifyOnDeviceGeminiNano(window.__factFlagState.sentences, cfg, { run });
           window.__factFlagState.lastRunMeta = { mode: 'on-device', error: null };
           applyHighlights({ classifications });
           finalizeProgress(true, 'Complete');
           updateLegendStatus();
           showToast('On-device classification complete');
         } catch (err) {
-          await handleOnDeviceError(err, cfg);
+          await handleOnDeviceError(err, cfg, run);
         }
       }
     } else if (wantsOnDevice && !onDeviceAvailable) {
       window.__factFlagState.lastRunMeta = { mode: 'on-device-unavailable', error: 'LanguageModel global not present. Enable Chrome flags or update Chrome.' };
       showToast('On-device API missing – using remote/heuristic');
-      await runRemoteOrHeuristic(cfg);
+      await runRemoteOrHeuristic(cfg, run);
     } else {
-      await runRemoteOrHeuristic(cfg);
+      await runRemoteOrHeuristic(cfg, run);
     }
   } catch (e) {
+    // Aborted runs were either cancelled (already reported) or replaced by a newer run.
+    if (isRunAborted(e, run)) return;
     console.error('Classification failed', e);
     const message = e?.message || 'Classification failed';
     window.__factFlagState.errors.push(message);
     setLegendError(message);
     showToast('Classification failed – see console');
   }
+  if (isCurrentRun(run)) reportRunMetrics();
+}
+
+function beginRunMetrics(sentenceCount) {
+  window.__factFlagState.runMetrics = {
+    startedAt: performance.now(),
+    sentences: sentenceCount,
+    evaluated: 0,
+    cacheHits: 0,
+    batches: 0,
+    fallbacks: 0,
+    tokens: null
+  };
+}
+
+function noteRunMetrics({ evaluated = 0, cacheHits = 0, batches = 0, fallbacks = 0, tokens = null, estimated = false } = {}) {
+  const metrics = window.__factFlagState.runMetrics;
+  if (!metrics) return;
+  metrics.evaluated += evaluated;
+  metrics.cacheHits += cacheHits;
+  metrics.batches += batches;
+  metrics.fallbacks += fallbacks;
+  if (tokens) {
+    const acc = metrics.tokens || (metrics.tokens = { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false });
+    acc.promptTokens += tokens.promptTokens || 0;
+    acc.completionTokens += tokens.completionTokens || 0;
+    acc.totalTokens += tokens.totalTokens || ((tokens.promptTokens || 0) + (tokens.completionTokens || 0));
+    acc.estimated = acc.estimated || estimated;
+  }
+}
+
+// Usage history is kept by the service worker; a failed report is not worth surfacing.
+function reportRunMetrics() {
+  const metrics = window.__factFlagState.runMetrics;
+  if (!metrics) return;
+  window.__factFlagState.runMetrics = null;
+  const { startedAt, ...counters } = metrics;
+  sendMessage({
+    type: 'RECORD_RUN_METRICS',
+    payload: {
+      pageUrl: location.href,
+      run: {
+        ...counters,
+        mode: window.__factFlagState.lastRunMeta?.mode || 'unknown',
+        flagged: window.__factFlagState.flagged.length,
+        latencyMs: Math.round(performance.now() - startedAt)
+      }
+    }
+  }).catch(err => console.warn('[AccuracyHighlighter] Usage metrics not recorded', err));
 }
 
-async function handleOnDeviceError(err, cfg) {
+async function handleOnDeviceError(err, cfg, run = null) {
+  if (isRunAborted(err, run)) return;
+  if (err?.code === 'CANCELLED') {
+    handleCancelledRun();
+    return;
+  }
   const message = err?.message || 'On-device classification failed';
   window.__factFlagState.lastRunMeta = { mode: 'on-device-failed', error: message };
   window.__factFlagState.errors.push(message);
   setLegendError(message);
   updateProgressUI({ reset: true });
+  noteRunMetrics({ fallbacks: 1 });
   showToast('On-device failed – using fallback');
-  await runRemoteOrHeuristic(cfg);
+  await runRemoteOrHeuristic(cfg, run);
+}
+
+function extractSentences(cfg = {}) {
+  return extractSentencesFrom(mainContentBlocks(collectBlocksDeep(document.body), cfg), cfg);
+}
+
+/**
+ * Narrows the page's text blocks to the article. Hidden blocks always go. A per-site
+ * selector (Options → Runtime Behavior) wins when it matches; otherwise boilerplate
+ * landmarks and link lists are dropped and, when one region clearly holds the text,
+ * only blocks inside it are kept.
+ */
+function mainContentBlocks(blocks, cfg = {}) {
+  contentFilter = null;
+  if (cfg.mainContentDetection === false) return blocks.filter(el => isContentBlock(el));
+  const selector = siteContentSelector(cfg.mainContentSelectors);
+  const selected = selector ? queryContentRegions(selector) : [];
+  if (selected.length) {
+    contentFilter = { regions: selected, fromSelector: true, skipBoilerplate: false };
+    return blocks.filter(el => isContentBlock(el));
+  }
+  contentFilter = { regions: null, fromSelector: false, skipBoilerplate: true };
+  const content = blocks.filter(el => isContentBlock(el));
+  const regions = detectContentRegions(content);
+  if (!regions) return content;
+  contentFilter.regions = regions;
+  return content.filter(el => regions.some(region => composedContains(region, el)));
+}
+
+// Dynamic blocks skip the detected region (infinite scroll appends next to it) but
+// still honour a site selector.
+function isContentBlock(el, { dynamic = false } = {}) {
+  if (isHiddenBlock(el)) return false;
+  const filter = contentFilter;
+  if (!filter) return true;
+  if (filter.regions && (filter.fromSelector || !dynamic) && !filter.regions.some(region => composedContains(region, el))) {
+    return false;
+  }
+  return !filter.skipBoilerplate || (!isBoilerplateBlock(el) && linkDensity(el) <= MAX_BLOCK_LINK_DENSITY);
+}
+
+function composedParent(node) {
+  return node.parentElement || (node.parentNode instanceof ShadowRoot ? node.parentNode.host : null);
+}
+
+function composedContains(ancestor, node) {
+  for (let current = node; current; current = composedParent(current)) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+function isHiddenBlock(el) {
+  for (let node = el; node; node = composedParent(node)) {
+    if (node.hidden || node.getAttribute('aria-hidden') === 'true') return true;
+  }
+  if (typeof el.checkVisibility === 'function') {
+    if (!el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })) return true;
+  }
+  const style = getComputedStyle(el);
+  if (style.display === 'none' || style.visibility === 'hidden') return true;
+  // Screen-reader-only text: clipped to nothing or shrunk to a pixel.
+  if (style.position === 'absolute' || style.position === 'fixed') {
+    if (/rect\(\s*0(px)?[\s,]+0(px)?[\s,]+0(px)?[\s,]+0(px)?\s*\)/.test(style.clip) || style.clipPath === 'inset(50%)') return true;
+    if (parseFloat(style.width) <= 1 && parseFloat(style.height) <= 1) return true;
+  }
+  return false;
+}
+
+function isBoilerplateBlock(el) {
+  for (let node = el; node && node !== document.body; node = composedParent(node)) {
+    if (node.matches(MAIN_LANDMARK_SELECTOR)) return false;
+    if (node.matches(BOILERPLATE_SELECTOR)) return true;
+    if (node.localName === 'header' && !node.closest(ARTICLE_SELECTOR)) return true;
+    const hints = `${node.id || ''} ${node.getAttribute('class') || ''}`;
+    if (UNLIKELY_CONTENT_RE.test(hints) && !LIKELY_CONTENT_RE.test(hints)) return true;
+  }
+  return false;
+}
+
+function linkDensity(el) {
+  const length = el.textContent.trim().length;
+  if (!length) return 0;
+  let linked = 0;
+  el.querySelectorAll('a').forEach(a => { linked += a.textContent.trim().length; });
+  return linked / length;
+}
+
+function candidateWeight(el) {
+  let weight = 0;
+  if (el.matches(ARTICLE_SELECTOR)) weight += 25;
+  else if (el.localName === 'div' || el.localName === 'section') weight += 5;
+  else if (/^(pre|td|blockquote)$/.test(el.localName)) weight += 3;
+  else if (/^(ol|ul|dl|dd|dt|li|address)$/.test(el.localName)) weight -= 3;
+  const hints = `${el.id || ''} ${el.getAttribute('class') || ''}`;
+  if (LIKELY_CONTENT_RE.test(hints)) weight += 25;
+  if (UNLIKELY_CONTENT_RE.test(hints)) weight -= 25;
+  return weight;
+}
+
+/**
+ * Readability-style scoring: each paragraph scores by length and comma count, and
+ * passes that score to its parent, half to its grandparent and a third to the level
+ * above. Containers are discounted by their link density. The best container and any
+ * siblings scoring close to it form the region; null when no container stands out.
+ */
+function detectContentRegions(blocks) {
+  const scores = new Map();
+  for (const el of blocks) {
+    const text = el.textContent.trim();
+    if (text.length < 25) continue;
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+    let ancestor = composedParent(el);
+    for (let level = 0; ancestor && ancestor !== document.body && level < 3; level++) {
+      if (!scores.has(ancestor)) scores.set(ancestor, candidateWeight(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + points / [1, 2, 3][level]);
+      ancestor = composedParent(ancestor);
+    }
+  }
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+  if (!top || topScore < MIN_REGION_SCORE) return null;
+  const threshold = Math.max(10, topScore * 0.2);
+  const parent = composedParent(top);
+  const siblings = parent ? [...parent.children].filter(el => el !== top && (scores.get(el) || 0) >= threshold) : [];
+  return [top, ...siblings];
+}
+
+// Longest matching host wins, so "news.example.com" can override "example.com".
+function siteContentSelector(selectors) {
+  if (!selectors || typeof selectors !== 'object') return '';
+  const host = location.hostname;
+  let best = '';
+  let bestHost = '';
+  for (const [site, selector] of Object.entries(selectors)) {
+    const match = host === site || host.endsWith(`.${site}`);
+    if (match && site.length > bestHost.length && selector) {
+      best = selector;
+      bestHost = site;
+    }
+  }
+  return best;
+}
+
+function queryContentRegions(selector) {
+  try {
+    return [...document.querySelectorAll(selector)];
+  } catch (err) {
+    console.warn('[AccuracyHighlighter] Ignoring invalid main content selector', selector, err);
+    return [];
+  }
+}
+
+/**
+ * Text blocks under `scope` in document order, descending into open shadow roots at
+ * their host's position. Closed roots are out of reach by design.
+ */
+function collectBlocksDeep(scope, out = []) {
+  const walker = document.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+  for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+    if (el.matches(BLOCK_SELECTOR)) out.push(el);
+    if (el.shadowRoot) {
+      observeShadowRoot(el.shadowRoot);
+      collectBlocksDeep(el.shadowRoot, out);
+    }
+  }
+  return out;
 }
 
-function extractSentences() {
-  const blocks = Array.from(document.body.querySelectorAll('p, li, blockquote, td'));
+/**
+ * Text nodes of `node` in rendered (flat tree) order: a shadow host contributes its
+ * shadow tree, and a slot contributes the light DOM nodes assigned to it.
+ */
+function flatTextNodes(node, out = []) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    out.push(node);
+    return out;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return out;
+  if (node.nodeType === Node.ELEMENT_NODE && /^(script|style|template)$/.test(node.localName)) return out;
+  if (node.localName === 'slot' && typeof node.assignedNodes === 'function') {
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length) {
+      assigned.forEach(child => flatTextNodes(child, out));
+      return out;
+    }
+  }
+  for (const child of (node.shadowRoot || node).childNodes) flatTextNodes(child, out);
+  return out;
+}
+
+/**
+ * Splits blocks into sentences tagged with the block's language, which also picks the
+ * segmentation rules. Blocks in a language the user excluded are skipped. Detection
+ * and segmentation live in src/util/language.js and src/util/segmenter.js.
+ */
+async function extractSentencesFrom(blocks, cfg = {}) {
+  const excluded = new Set((cfg.excludedLanguages || []).map(languageBase));
   const out = [];
   for (const el of blocks) {
     if (!el || !el.innerText) continue;
-    const text = el.innerText.trim();
-    if (!text) continue;
-    const splits = naiveSentenceSplit(text);
-    for (const s of splits) {
-      const clean = s.trim();
-      if (clean.length < 25) continue;
-      out.push({ text: clean, element: el });
+    const text = el.innerText;
+    const lang = await detectBlockLanguage(el, text);
+    if (excluded.has(lang)) continue;
+    for (const sentence of segmentSentences(text, { locale: lang === LANGUAGE_UNDETERMINED ? 'en' : lang })) {
+      out.push({ text: sentence, element: el, lang });
     }
   }
-  // Deduplicate by text
-  const seen = new Set();
-  const unique = [];
-  for (const item of out) {
-    const key = item.text.toLowerCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
-    unique.push(item);
+  return uniqueSentences(out, item => item.text);
+}
+
+/**
+ * Watches the page for text blocks that appear or change after the first run
+ * (infinite scroll, "load more", live updates) and classifies only the sentences
+ * that are new, a short while after the page settles.
+ */
+function observeDynamicContent() {
+  if (dynamicObserver || typeof MutationObserver === 'undefined') return;
+  dynamicObserver = new MutationObserver(records => collectDynamicBlocks(records));
+  dynamicObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+// Subtree observation stops at shadow boundaries, so each open root is observed itself.
+function observeShadowRoot(root) {
+  if (!dynamicObserver || observedShadowRoots.has(root)) return;
+  observedShadowRoots.add(root);
+  dynamicObserver.observe(root, { childList: true, subtree: true, characterData: true });
+}
+
+/**
+ * Runs a DOM write of ours without the observer treating it as page content. Records
+ * already pending are collected first so page mutations from the same tick survive.
+ */
+function withoutObserving(fn) {
+  if (!dynamicObserver) return fn();
+  collectDynamicBlocks(dynamicObserver.takeRecords());
+  try {
+    return fn();
+  } finally {
+    dynamicObserver.takeRecords();
+  }
+}
+
+function isOwnNode(node) {
+  const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  return Boolean(el && el.closest(`${OWN_UI_SELECTOR}, .fact-flag`));
+}
+
+function collectDynamicBlocks(records) {
+  // Without the Navigation API, a pushState route change is first noticed here: SPAs
+  // re-render when the route changes.
+  checkRouteChange();
+  let found = false;
+  const addBlock = el => {
+    if (!el || isOwnNode(el)) return;
+    pendingDynamicBlocks.add(el);
+    found = true;
+  };
+  for (const record of records) {
+    if (isOwnNode(record.target)) continue;
+    if (record.type === 'characterData') {
+      addBlock(record.target.parentElement?.closest(BLOCK_SELECTOR));
+      continue;
+    }
+    let added = false;
+    for (const node of record.addedNodes) {
+      if (isOwnNode(node)) continue;
+      added = true;
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (node.matches(BLOCK_SELECTOR)) addBlock(node);
+      if (node.shadowRoot) observeShadowRoot(node.shadowRoot);
+      collectBlocksDeep(node).forEach(addBlock);
+    }
+    if (added && record.target.nodeType === Node.ELEMENT_NODE) addBlock(record.target.closest(BLOCK_SELECTOR));
+  }
+  if (found) scheduleDynamicFlush();
+}
+
+function scheduleDynamicFlush() {
+  clearTimeout(dynamicFlushTimer);
+  dynamicFlushTimer = setTimeout(flushDynamicBlocks, DYNAMIC_DEBOUNCE_MS);
+}
+
+async function flushDynamicBlocks() {
+  dynamicFlushTimer = null;
+  if (!pendingDynamicBlocks.size && !pendingDynamicSentences.length) return;
+  // A route change is about to re-analyze (or restore) the whole page.
+  if (routeSettleTimer) {
+    pendingDynamicBlocks.clear();
+    pendingDynamicSentences = [];
+    return;
+  }
+  // Blocks that show up during a run wait for it; the run's own extraction missed them.
+  if (isProgressActive(window.__factFlagState.progress)) {
+    scheduleDynamicFlush();
+    return;
+  }
+  const blocks = [...pendingDynamicBlocks].filter(el => el.isConnected && isContentBlock(el, { dynamic: true }));
+  pendingDynamicBlocks.clear();
+  const carried = pendingDynamicSentences;
+  pendingDynamicSentences = [];
+  const cfg = await getSettings();
+  const extracted = await extractSentencesFrom(blocks, cfg);
+  const known = new Set((window.__factFlagState.sentences || []).map(s => s.id));
+  const fresh = [];
+  for (const s of [...carried, ...extracted.map(s => ({ ...s, id: genId(s.text) }))]) {
+    if (known.has(s.id)) continue;
+    known.add(s.id);
+    fresh.push(s);
+  }
+  if (!fresh.length) return;
+  if (lazyState) {
+    appendLazySentences(fresh);
+    return;
+  }
+  if (isProgressActive(window.__factFlagState.progress)) {
+    blocks.forEach(el => pendingDynamicBlocks.add(el));
+    pendingDynamicSentences = carried;
+    scheduleDynamicFlush();
+    return;
+  }
+  const maxSentences = Number(cfg.maxSentences) > 0 ? Number(cfg.maxSentences) : MAX_SENTENCES_INITIAL;
+  // A large insertion (infinite scroll, "load more") is classified in slices rather
+  // than truncated: the rest waits for the next flush.
+  if (fresh.length > maxSentences) {
+    pendingDynamicSentences = fresh.slice(maxSentences);
+    scheduleDynamicFlush();
+  }
+  await classifyNewSentences(fresh.slice(0, maxSentences), cfg);
+}
+
+function routeKey(href) {
+  try {
+    const url = new URL(href);
+    url.hash = ''; // in-page anchors are not a new article
+    return url.href;
+  } catch (e) {
+    return String(href || '');
+  }
+}
+
+/**
+ * Single-page apps swap articles through history.pushState/replaceState without a page
+ * load. The Navigation API reports those (and back/forward); popstate and DOM mutations
+ * cover browsers without it. Each route keeps its own results.
+ */
+function watchRouteChanges() {
+  currentRouteKey = routeKey(location.href);
+  window.addEventListener('popstate', checkRouteChange);
+  if (typeof navigation !== 'undefined' && typeof navigation.addEventListener === 'function') {
+    navigation.addEventListener('currententrychange', checkRouteChange);
+  }
+}
+
+// Tears the old route down right away; the new route is analyzed once it has rendered.
+function checkRouteChange() {
+  if (currentRouteKey == null) return;
+  const key = routeKey(location.href);
+  if (key === currentRouteKey) return;
+  saveRouteSnapshot(currentRouteKey);
+  currentRouteKey = key;
+  if (currentRun) cancelRun(currentRun, 'Route changed');
+  stopLazyClassification();
+  clearTimeout(dynamicFlushTimer);
+  pendingDynamicBlocks.clear();
+  pendingDynamicSentences = [];
+  clearExistingHighlights();
+  clearTimeout(routeSettleTimer);
+  routeSettleTimer = setTimeout(settleRoute, ROUTE_SETTLE_MS);
+}
+
+async function settleRoute() {
+  routeSettleTimer = null;
+  const snapshot = routeSnapshots.get(currentRouteKey);
+  if (snapshot && await restoreRouteSnapshot(snapshot)) return;
+  analyzePage();
+}
+
+// Only settled runs are kept (in lazy mode, whatever was covered between chunks); a
+// half-classified route is simply analyzed again.
+function saveRouteSnapshot(key) {
+  const state = window.__factFlagState;
+  const progress = state.progress;
+  const settled = progress?.status === 'done' || (progress?.lazy && !isProgressActive(progress));
+  if (!key || !settled || !state.sentences.length) return;
+  const classifications = new Map();
+  for (const c of state.classifications || []) {
+    // The classifier's own verdict: overrides and calibration are re-applied on restore.
+    if (c) classifications.set(c.id, { category: c.modelCategory, confidence: c.modelConfidence, rationale: c.modelRationale, source: c.source, inconclusive: c.inconclusive });
+  }
+  routeSnapshots.delete(key);
+  routeSnapshots.set(key, {
+    classifications,
+    classes: state.classes,
+    lastRunMeta: state.lastRunMeta,
+    errors: (state.errors || []).slice()
+  });
+  while (routeSnapshots.size > ROUTE_SNAPSHOT_LIMIT) {
+    routeSnapshots.delete(routeSnapshots.keys().next().value);
+  }
+}
+
+/**
+ * Re-applies a route's earlier results to the freshly rendered DOM. Sentences the
+ * snapshot does not know are classified as new content. Resolves false when none of
+ * the page's sentences match, so the caller runs a full analysis instead.
+ */
+async function restoreRouteSnapshot(snapshot) {
+  const run = beginRun();
+  pendingDynamicBlocks.clear();
+  pendingDynamicSentences = [];
+  const cfg = await getSettings();
+  if (!isCurrentRun(run)) return true;
+  highlightRenderer = rendererFor(cfg);
+  window.__factFlagState.showInconclusive = cfg.showInconclusive !== false;
+  const lazy = Boolean(cfg.lazyClassification);
+  const maxSentences = Number(cfg.maxSentences) > 0 ? Number(cfg.maxSentences) : MAX_SENTENCES_INITIAL;
+  const [sentences] = await Promise.all([extractSentences(cfg), loadPageOverrides(), loadCalibration()]);
+  const extracted = sentences.slice(0, lazy ? Infinity : maxSentences).map(s => ({ ...s, id: genId(s.text) }));
+  if (!isCurrentRun(run)) return true;
+  const known = extracted.filter(s => snapshot.classifications.has(s.id));
+  if (!known.length) return false;
+  const state = window.__factFlagState;
+  highlightedIds.clear();
+  state.classes = snapshot.classes;
+  // Lazy mode keeps the unknown sentences in place and leaves them to the viewport.
+  state.sentences = lazy ? extracted : known;
+  state.classifications = new Array(state.sentences.length).fill(null);
+  state.flagged = [];
+  state.errors = snapshot.errors.slice();
+  state.lastRunMeta = snapshot.lastRunMeta;
+  state.debugPrompts = [];
+  state.pendingPanelFocus = null;
+  state.progress = {
+    total: state.sentences.length,
+    completed: known.length,
+    status: lazy ? 'pending' : 'done',
+    etaMs: 0,
+    startedAt: performance.now()
+  };
+  renderLegend();
+  processBatchClassifications(state.sentences
+    .map((s, globalIndex) => (snapshot.classifications.has(s.id) ? { ...snapshot.classifications.get(s.id), globalIndex } : null))
+    .filter(Boolean));
+  updateLegendStatus();
+  if (lazy) {
+    try {
+      await startLazyClassification(cfg, run);
+    } catch (err) {
+      if (!isRunAborted(err, run)) console.warn('[AccuracyHighlighter] Lazy classification failed to start', err);
+    }
+    return true;
+  }
+  const fresh = extracted.filter(s => !snapshot.classifications.has(s.id));
+  if (fresh.length) await classifyNewSentences(fresh, cfg);
+  return true;
+}
+
+/**
+ * Classifies sentences found after the first run and merges them into the page
+ * state. Existing highlights are left as they are; the run uses the mode the page
+ * ended up with (on-device, or the worker's backend).
+ */
+async function classifyNewSentences(fresh, cfg) {
+  const state = window.__factFlagState;
+  const indexOffset = state.sentences.length;
+  state.sentences.push(...fresh);
+  state.classifications.push(...new Array(fresh.length).fill(null));
+  state.progress = {
+    total: fresh.length,
+    completed: 0,
+    status: 'running',
+    etaMs: 0,
+    startedAt: performance.now()
+  };
+  await classifySentenceIndexes(fresh.map((_, i) => indexOffset + i), cfg, { message: 'New content' });
+}
+
+/**
+ * Classifies the sentences at `indexes` of __factFlagState.sentences as a run of its
+ * own, counting into the current progress rather than resetting it.
+ */
+async function classifySentenceIndexes(indexes, cfg, { message = '', showProgress = false } = {}) {
+  const run = beginRun();
+  const state = window.__factFlagState;
+  const subset = indexes.map(i => state.sentences[i]);
+  beginRunMetrics(subset.length);
+  const runInWorker = () => runRemoteOrHeuristic(cfg, run, { sentences: subset, indexes, incremental: true, message });
+  try {
+    if (state.lastRunMeta?.mode === 'on-device' && hasOnDeviceAPI()) {
+      updateProgressUI({ message, status: 'running' });
+      try {
+        const classifications = await classifyOnDeviceGeminiNano(subset, cfg, { run, indexes, showProgress });
+        applyHighlights({ classifications });
+        finalizeProgress(true, 'Complete');
+      } catch (err) {
+        if (isRunAborted(err, run) || err?.code === 'CANCELLED') throw err;
+        noteRunMetrics({ fallbacks: 1 });
+        await runInWorker();
+      }
+    } else {
+      await runInWorker();
+    }
+  } catch (err) {
+    if (isRunAborted(err, run)) return;
+    if (err?.code === 'CANCELLED') {
+      handleCancelledRun();
+      return;
+    }
+    console.warn('[AccuracyHighlighter] Classifying new content failed', err);
+  }
+  if (isCurrentRun(run)) reportRunMetrics();
+}
+
+/**
+ * Lazy mode: instead of the first N sentences, classify the ones near the viewport,
+ * closest first, in chunks as the reader scrolls. A per-page budget bounds how many
+ * sentences are sent in total. The backend is settled here once (including the
+ * on-device download gesture); each chunk then runs through classifySentenceIndexes.
+ */
+async function startLazyClassification(cfg, run) {
+  const state = window.__factFlagState;
+  let showDownloadProgress = false;
+  if (cfg.classifierBackend === 'on-device') {
+    if (!hasOnDeviceAPI()) {
+      state.lastRunMeta = { mode: 'on-device-unavailable', error: 'LanguageModel global not present. Enable Chrome flags or update Chrome.' };
+      showToast('On-device API missing – using remote/heuristic');
+    } else {
+      const availability = await LanguageModel.availability();
+      await runCheckpoint(run);
+      if (availability === 'unavailable') {
+        state.lastRunMeta = { mode: 'on-device-unavailable', error: 'LanguageModel API reports unavailable (hardware or flags).' };
+        showToast('On-device model unavailable');
+      } else {
+        if (availability === 'downloadable' || availability === 'downloading') {
+          state.lastRunMeta = { mode: 'on-device-wait', error: null };
+          updateLegendStatus();
+          showToast('Click page to download on-device model');
+          updateProgressUI({ message: 'Tap to download on-device model', status: 'pending' });
+          await waitForUserGesture(run.signal);
+          await runCheckpoint(run);
+          showDownloadProgress = true;
+        }
+        state.lastRunMeta = { mode: 'on-device', error: null };
+      }
+    }
+  }
+  const budget = Number(cfg.sentenceBudget) > 0 ? Number(cfg.sentenceBudget) : SENTENCE_BUDGET_DEFAULT;
+  lazyState = {
+    cfg,
+    budget,
+    used: 0,
+    queued: new Set(),
+    byElement: new Map(), // element -> sentence indexes waiting for it to come near
+    observer: typeof IntersectionObserver === 'function'
+      ? new IntersectionObserver(handleLazyIntersections, { rootMargin: LAZY_ROOT_MARGIN })
+      : null,
+    timer: null,
+    showDownloadProgress
+  };
+  Object.assign(state.progress, { lazy: true, status: 'idle', budgetLeft: budget, target: 0 });
+  updateLegendStatus();
+  observeLazySentences(state.sentences.map((_, i) => i));
+  updateProgressUI({ status: 'idle' });
+}
+
+function stopLazyClassification() {
+  if (!lazyState) return;
+  clearTimeout(lazyState.timer);
+  lazyState.observer?.disconnect();
+  lazyState = null;
+}
+
+// Without IntersectionObserver the page is covered in document order instead.
+function observeLazySentences(indexes) {
+  const lazy = lazyState;
+  if (!lazy || lazy.used >= lazy.budget) return;
+  const state = window.__factFlagState;
+  for (const i of indexes) {
+    const sentence = state.sentences[i];
+    if (!sentence || state.classifications[i]) continue;
+    if (!lazy.observer) {
+      lazy.queued.add(i);
+      continue;
+    }
+    let waiting = lazy.byElement.get(sentence.element);
+    if (!waiting) {
+      waiting = [];
+      lazy.byElement.set(sentence.element, waiting);
+      lazy.observer.observe(sentence.element);
+    }
+    waiting.push(i);
+  }
+  if (!lazy.observer) scheduleLazyFlush();
+}
+
+// Text scrolled past before its turn leaves the queue; it is picked up if it comes back.
+function handleLazyIntersections(entries) {
+  const lazy = lazyState;
+  if (!lazy) return;
+  for (const entry of entries) {
+    for (const i of lazy.byElement.get(entry.target) || []) {
+      if (entry.isIntersecting) lazy.queued.add(i);
+      else lazy.queued.delete(i);
+    }
+  }
+  scheduleLazyFlush();
+}
+
+function scheduleLazyFlush() {
+  if (!lazyState) return;
+  clearTimeout(lazyState.timer);
+  lazyState.timer = setTimeout(flushLazyQueue, LAZY_SETTLE_MS);
+}
+
+function coveredSentenceCount() {
+  return (window.__factFlagState.classifications || []).filter(Boolean).length;
+}
+
+async function flushLazyQueue() {
+  const lazy = lazyState;
+  if (!lazy) return;
+  lazy.timer = null;
+  const state = window.__factFlagState;
+  if (routeSettleTimer) return;
+  // One chunk at a time; a paused run holds the queue until it resumes.
+  if (isProgressActive(state.progress)) {
+    scheduleLazyFlush();
+    return;
+  }
+  const waiting = [...lazy.queued].filter(i => !state.classifications[i] && state.sentences[i]?.element?.isConnected);
+  const distance = new Map();
+  const viewportMid = window.innerHeight / 2;
+  for (const i of waiting) {
+    const el = state.sentences[i].element;
+    if (distance.has(el)) continue;
+    const rect = el.getBoundingClientRect();
+    distance.set(el, Math.abs((rect.top + rect.bottom) / 2 - viewportMid));
+  }
+  waiting.sort((a, b) => distance.get(state.sentences[a].element) - distance.get(state.sentences[b].element) || a - b);
+  const chunk = waiting.slice(0, Math.min(LAZY_CHUNK_MAX, lazy.budget - lazy.used));
+  lazy.queued = new Set(waiting.slice(chunk.length));
+  if (!chunk.length) return;
+  lazy.used += chunk.length;
+  const showProgress = lazy.showDownloadProgress;
+  lazy.showDownloadProgress = false;
+  Object.assign(state.progress, {
+    completed: coveredSentenceCount(),
+    target: coveredSentenceCount() + chunk.length,
+    budgetLeft: lazy.budget - lazy.used
+  });
+  await classifySentenceIndexes(chunk, lazy.cfg, { message: showProgress ? 'Downloading on-device model…' : 'Nearby text', showProgress });
+  if (lazy !== lazyState) return;
+  for (const el of new Set(chunk.map(i => state.sentences[i]?.element))) {
+    const waitingOnEl = lazy.byElement.get(el);
+    if (!waitingOnEl || waitingOnEl.some(i => !state.classifications[i])) continue;
+    lazy.observer?.unobserve(el);
+    lazy.byElement.delete(el);
+  }
+  if (lazy.used >= lazy.budget) {
+    // Spent: stop watching, but keep the state so progress can say why coverage stopped.
+    lazy.observer?.disconnect();
+    lazy.byElement.clear();
+    lazy.queued.clear();
+    updateProgressUI({});
+  } else if (lazy.queued.size) {
+    scheduleLazyFlush();
   }
-  return unique;
 }
 
-function naiveSentenceSplit(text) {
-  return text.split(/(?<=[.!?])\s+(?=[A-Z0-9])/).filter(Boolean);
+// New content in lazy mode simply joins the page and waits for the viewport like the rest.
+function appendLazySentences(fresh) {
+  const state = window.__factFlagState;
+  const start = state.sentences.length;
+  state.sentences.push(...fresh);
+  state.classifications.push(...new Array(fresh.length).fill(null));
+  state.progress.total = state.sentences.length;
+  observeLazySentences(fresh.map((_, i) => start + i));
+  updateProgressUI({});
 }
 
 async function batchClassify(sentArr, options = {}) {
+  const run = options.run || null;
+  const indexes = Array.isArray(options.indexes) ? options.indexes : null;
   const sentences = sentArr.map(s => s.text);
   const batchSize = Number(options.batchSize) > 0 ? Number(options.batchSize) : BATCH_SIZE;
+  const languages = sentArr.map(s => s.lang || LANGUAGE_UNDETERMINED);
   const batches = [];
+  const batchLanguages = [];
   for (let i = 0; i < sentences.length; i += batchSize) {
     batches.push(sentences.slice(i, i + batchSize));
+    batchLanguages.push(languages.slice(i, i + batchSize));
   }
   const pageUrl = location.href;
+  const canonicalUrl = canonicalPageUrl();
   const finalItems = [];
   let overallMode = null;
   let overallError = null;
   for (let b = 0; b < batches.length; b++) {
     const batch = batches[b];
+    await runCheckpoint(run);
     const batchStart = performance.now();
     let response;
     try {
-      response = await sendMessage({ type: 'CLASSIFY_BATCH', payload: { batchId: b, sentences: batch, pageUrl } });
+      response = await sendMessage(
+        { type: 'CLASSIFY_BATCH', payload: { batchId: b, sentences: batch, languages: batchLanguages[b], pageUrl, canonicalUrl, runId: run?.id } },
+        { signal: run?.signal }
+      );
     } catch (err) {
-      if (typeof options.onError === 'function') {
+      if (typeof options.onError === 'function' && !isRunAborted(err, run)) {
         options.onError(err, { batchIndex: b, totalBatches: batches.length });
       }
       throw err;
@@ -258,7 +1241,7 @@ async function batchClassify(sentArr, options = {}) {
     const result = response?.result || {};
     if (result && !overallMode) overallMode = result.mode;
     if (result && result.error && !overallError) overallError = result.error;
-    const enriched = (result.items || []).map(it => ({ ...it, globalIndex: b * batchSize + it.index }));
+    const enriched = (result.items || []).map(it => ({ ...it, globalIndex: indexes ? indexes[b * batchSize + it.index] : b * batchSize + it.index }));
     finalItems.push(...enriched);
     const durationMs = performance.now() - batchStart;
     if (typeof options.onBatch === 'function') {
@@ -274,81 +1257,130 @@ async function batchClassify(sentArr, options = {}) {
   return { sentences: sentArr, classifications: finalItems, meta: { mode: overallMode, error: overallError } };
 }
 
-function applyHighlights({ classifications, finalize = true }) {
-  processBatchClassifications(classifications, { finalize });
+/**
+ * URL used to share cached classifications between mirrors of an article: the
+ * page's <link rel=canonical> when it is an http(s) URL, else the current URL.
+ * The service worker strips tracking parameters before keying on it.
+ */
+function canonicalPageUrl() {
+  const link = document.querySelector('link[rel~="canonical"][href]');
+  if (link) {
+    try {
+      const url = new URL(link.getAttribute('href'), location.href);
+      if (/^https?:$/.test(url.protocol)) return url.href;
+    } catch (e) {
+      // malformed canonical link – fall back to the document URL
+    }
+  }
+  return location.href;
 }
 
-function processBatchClassifications(classifications, { finalize = false } = {}) {
+function applyHighlights({ classifications }) {
+  processBatchClassifications(classifications);
+}
+
+function processBatchClassifications(classifications) {
   const sentences = window.__factFlagState.sentences || [];
   if (!Array.isArray(classifications)) return;
   for (const raw of classifications) {
     const classification = upsertClassification(raw);
-    if (!classification) continue;
-    const sentence = sentences[classification.globalIndex];
-    if (!sentence) continue;
-    if (isFlaggedCategory(classification.category)) {
-      if (highlightedIds.has(classification.id)) {
-        updateHighlightMetadata(classification);
-      } else if (highlightSentenceNodeWise(sentence.element, sentence.text, classification.category, classification)) {
-        highlightedIds.add(classification.id);
-      }
-    }
+    if (classification && sentences[classification.globalIndex]) syncHighlight(classification);
   }
-  window.__factFlagState.flagged = (window.__factFlagState.classifications || []).filter(Boolean).filter(c => isFlaggedCategory(c.category));
-  if (finalize) ensureFallbackHighlights();
+  window.__factFlagState.flagged = flaggedClassifications();
   ensureFloatingLegend();
   updateLegendStatus();
   broadcastPanelState();
 }
 
+function supportsHighlightApi() {
+  return typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof Highlight === 'function';
+}
+
+// Browsers without CSS.highlights keep the span renderer whatever Options says.
+function rendererFor(cfg) {
+  return cfg.highlightRenderer === 'highlight-api' && supportsHighlightApi() ? 'highlight-api' : 'spans';
+}
+
+// Brings a sentence's highlight in line with its classification: drawn, restyled or removed.
+function syncHighlight(classification) {
+  const sentence = (window.__factFlagState.sentences || [])[classification.globalIndex];
+  if (!sentence) return;
+  if (!isHighlightShown(classification)) {
+    if (highlightedIds.delete(classification.id)) removeHighlight(classification.id);
+  } else if (highlightedIds.has(classification.id)) {
+    updateHighlightMetadata(classification);
+  } else if (highlightSentence(sentence.element, sentence.text, highlightCategory(classification), classification)) {
+    highlightedIds.add(classification.id);
+  }
+}
+
+function removeHighlight(id) {
+  withoutObserving(() => restoreHighlightedText(findHighlightParts(id)));
+  const painted = paintedHighlights.get(id);
+  if (!painted) return;
+  for (const name of [paintName(painted.category), PAINT_HOVER, PAINT_ACTIVE, PAINT_FOCUS]) {
+    const highlight = CSS.highlights.get(name);
+    if (highlight) painted.ranges.forEach(range => highlight.delete(range));
+  }
+  paintedHighlights.delete(id);
+  if (activePaintId === id) activePaintId = null;
+}
+
+function highlightSentence(rootEl, sentence, categoryId, metadata) {
+  return highlightRenderer === 'highlight-api'
+    ? paintSentence(rootEl, sentence, categoryId, metadata)
+    : highlightSentenceNodeWise(rootEl, sentence, categoryId, metadata);
+}
+
+/**
+ * Highlights `sentence` inside `rootEl` without moving any page node: every text node
+ * the sentence touches is split at the sentence edges and its part wrapped in a span
+ * of its own, all parts sharing one data-fact-id. Links, emphasis and the listeners on
+ * them stay where the page put them. restoreHighlightedText() undoes it exactly.
+ */
 function highlightSentenceNodeWise(rootEl, sentence, categoryId, metadata) {
   if (!rootEl || !sentence) return false;
+  const segments = sentenceTextSegments(rootEl, sentence) || simpleTextSegments(rootEl, sentence);
+  if (!segments) return false;
   const classInfo = classById(categoryId) || chooseClass(categoryId);
-  const spanFactory = () => {
-    const span = document.createElement('span');
-    span.className = 'fact-flag';
-    applyHighlightStyle(span, classInfo);
-    span.dataset.factMeta = encodeURIComponent(JSON.stringify(metadata));
-    span.dataset.factId = metadata.id || genId(sentence);
-    span.dataset.factCategory = categoryId;
-    span.dataset.factRationale = metadata?.rationale ? metadata.rationale : '';
-    return span;
-  };
-
-  const applyRange = (range) => {
-    if (!range) return false;
-    const span = spanFactory();
-    try {
-      const contents = range.extractContents();
-      span.appendChild(contents);
-      range.insertNode(span);
-      return true;
-    } catch (err) {
-      console.warn('[AccuracyHighlighter] Failed to apply highlight range', err);
-      return false;
-    }
-  };
-
-  if (applyRange(createSentenceRange(rootEl, sentence))) return true;
-  return applyRange(createSimpleRange(rootEl, sentence));
+  const parts = segments.filter(seg => seg.node.nodeValue.slice(seg.start, seg.end).trim());
+  try {
+    withoutObserving(() => parts.forEach((seg, i) => {
+      const span = document.createElement('span');
+      span.className = categoryId === INCONCLUSIVE_TIER.id ? 'fact-flag fact-flag-inconclusive' : 'fact-flag';
+      applyHighlightStyle(span, classInfo);
+      span.dataset.factMeta = encodeURIComponent(JSON.stringify(metadata));
+      span.dataset.factId = metadata.id || genId(sentence);
+      span.dataset.factCategory = categoryId;
+      span.dataset.factRationale = metadata?.rationale ? metadata.rationale : '';
+      // Only the outer ends get padding and rounded corners.
+      span.dataset.factEdge = [i === 0 ? 'start' : '', i === parts.length - 1 ? 'end' : ''].join(' ').trim() || 'middle';
+      wrapTextSegment(seg, span);
+      registerHighlightRoot(span);
+    }));
+    return parts.length > 0;
+  } catch (err) {
+    console.warn('[AccuracyHighlighter] Failed to apply highlight', err);
+    return false;
+  }
 }
 
-function createSentenceRange(rootEl, sentence) {
-  if (!rootEl || !sentence) return null;
+/**
+ * Where `sentence` sits in the rendered text of `rootEl`, as one { node, start, end }
+ * per text node, in order. Whitespace runs are compared collapsed. Null when not found.
+ */
+function sentenceTextSegments(rootEl, sentence) {
   const target = normalizeForComparison(sentence);
   if (!target) return null;
-  const walker = document.createTreeWalker(rootEl, NodeFilter.SHOW_TEXT, null);
+  const nodes = flatTextNodes(rootEl);
   const charEntries = [];
-  let node;
-  while ((node = walker.nextNode())) {
+  nodes.forEach((node, nodeIndex) => {
     const value = node.nodeValue || '';
-    if (!value) continue;
     for (let offset = 0; offset < value.length; offset++) {
       const ch = value[offset];
-      const normalizedChar = /\s/.test(ch) ? ' ' : ch;
-      charEntries.push({ node, offset, normalizedChar });
+      charEntries.push({ nodeIndex, offset, normalizedChar: /\s/.test(ch) ? ' ' : ch });
     }
-  }
+  });
   if (!charEntries.length) return null;
 
   const normalizedChars = [];
@@ -364,43 +1396,230 @@ function createSentenceRange(rootEl, sentence) {
     normalizedChars.push(entry.normalizedChar);
     collapsedEntries.push(entry);
   }
-  while (normalizedChars.length && normalizedChars[normalizedChars.length - 1] === ' ') {
-    normalizedChars.pop();
-    collapsedEntries.pop();
-  }
-  const haystack = normalizedChars.join('');
-  const startIndex = haystack.indexOf(target);
+  const startIndex = normalizedChars.join('').indexOf(target);
   if (startIndex === -1) return null;
-  const endIndex = startIndex + target.length - 1;
-  const startEntry = collapsedEntries[startIndex];
-  const endEntry = collapsedEntries[endIndex];
-  if (!startEntry || !endEntry) return null;
-  const range = document.createRange();
-  range.setStart(startEntry.node, startEntry.offset);
-  const endNode = endEntry.node;
-  const nodeTextLength = endNode.nodeValue ? endNode.nodeValue.length : 0;
-  const endOffset = Math.min(endEntry.offset + 1, nodeTextLength);
-  range.setEnd(endNode, endOffset);
-  return range;
-}
-
-function createSimpleRange(rootEl, sentence) {
-  if (!rootEl || !sentence) return null;
-  const walker = document.createTreeWalker(rootEl, NodeFilter.SHOW_TEXT, null);
-  while (walker.nextNode()) {
-    const node = walker.currentNode;
-    const value = node.nodeValue || '';
-    const idx = value.indexOf(sentence);
-    if (idx !== -1) {
+  const first = collapsedEntries[startIndex];
+  const last = collapsedEntries[startIndex + target.length - 1];
+  const segments = [];
+  for (let i = first.nodeIndex; i <= last.nodeIndex; i++) {
+    const node = nodes[i];
+    const length = node.nodeValue ? node.nodeValue.length : 0;
+    const start = i === first.nodeIndex ? first.offset : 0;
+    const end = i === last.nodeIndex ? last.offset + 1 : length;
+    if (end > start) segments.push({ node, start, end });
+  }
+  return segments.length ? segments : null;
+}
+
+function simpleTextSegments(rootEl, sentence) {
+  for (const node of flatTextNodes(rootEl)) {
+    const idx = (node.nodeValue || '').indexOf(sentence);
+    if (idx !== -1) return [{ node, start: idx, end: idx + sentence.length }];
+  }
+  return null;
+}
+
+/**
+ * Wraps node.nodeValue[start, end) in `span`. The text node is split rather than
+ * replaced, so the page's own reference to it keeps pointing at the leading part.
+ */
+function wrapTextSegment({ node, start, end }, span) {
+  let target = node;
+  if (start > 0) target = splitHighlightText(node, start);
+  if (end - start < target.nodeValue.length) splitHighlightText(target, end - start);
+  target.parentNode.insertBefore(span, target);
+  span.appendChild(target);
+}
+
+function splitHighlightText(node, offset) {
+  const rest = node.splitText(offset);
+  const origin = highlightTextOrigins.get(node) || node;
+  highlightTextOrigins.set(rest, origin);
+  if (!splitTextFragments.has(origin)) splitTextFragments.set(origin, new Set());
+  splitTextFragments.get(origin).add(rest);
+  return rest;
+}
+
+/**
+ * Unwraps `spans` and joins the text nodes they split back into the nodes the page
+ * had, so the DOM matches its state before highlighting. Text nodes that were already
+ * separate stay separate; a fragment still inside another highlight is left for that
+ * highlight's removal.
+ */
+function restoreHighlightedText(spans) {
+  for (const span of spans) {
+    const parent = span.parentNode;
+    if (!parent) continue;
+    while (span.firstChild) parent.insertBefore(span.firstChild, span);
+    parent.removeChild(span);
+  }
+  for (const [origin, fragments] of splitTextFragments) {
+    // A page that threw the original node away (a re-render) has nothing to join back
+    // into; holding on to the entry would only keep the detached nodes alive.
+    if (!origin.isConnected) {
+      splitTextFragments.delete(origin);
+      continue;
+    }
+    let next = origin.nextSibling;
+    while (next && fragments.has(next)) {
+      origin.appendData(next.data);
+      fragments.delete(next);
+      const after = next.nextSibling;
+      next.remove();
+      next = after;
+    }
+    // Fragments the page has since detached are nothing to restore.
+    for (const fragment of fragments) {
+      if (!fragment.isConnected) fragments.delete(fragment);
+    }
+    if (!fragments.size) splitTextFragments.delete(origin);
+  }
+}
+
+const PAINT_PREFIX = 'fact-flag-';
+const PAINT_HOVER = 'fact-flag-hover';
+const PAINT_ACTIVE = 'fact-flag-active';
+const PAINT_FOCUS = 'fact-flag-focus';
+
+function paintName(categoryId) {
+  return `${PAINT_PREFIX}cat-${String(categoryId).replace(/[^a-z0-9_-]/gi, '_')}`;
+}
+
+/**
+ * The highlight-api renderer: the sentence's text is covered by live Ranges (one per
+ * text node, so they may sit in different shadow trees) and added to the category's
+ * entry in CSS.highlights. The page DOM is not touched; a framework re-render just
+ * collapses the ranges.
+ */
+function paintSentence(rootEl, sentence, categoryId, metadata) {
+  if (!rootEl || !sentence) return false;
+  const segments = sentenceTextSegments(rootEl, sentence) || simpleTextSegments(rootEl, sentence);
+  if (!segments) return false;
+  const ranges = segments
+    .filter(seg => seg.node.nodeValue.slice(seg.start, seg.end).trim())
+    .map(({ node, start, end }) => {
       const range = document.createRange();
-      range.setStart(node, idx);
-      range.setEnd(node, idx + sentence.length);
+      range.setStart(node, start);
+      range.setEnd(node, end);
       return range;
+    });
+  if (!ranges.length) return false;
+  const category = (classById(categoryId) || chooseClass(categoryId)).id;
+  const id = metadata.id || genId(sentence);
+  paintedHighlights.set(id, { ranges, category, metadata });
+  ranges.forEach(range => {
+    paintHighlight(paintName(category)).add(range);
+    ensurePaintStyle(range.startContainer.getRootNode());
+  });
+  return true;
+}
+
+function paintHighlight(name) {
+  let highlight = CSS.highlights.get(name);
+  if (!highlight) {
+    highlight = new Highlight();
+    // Hover and focus paint over the category colour.
+    if (name === PAINT_HOVER || name === PAINT_ACTIVE || name === PAINT_FOCUS) highlight.priority = 1;
+    CSS.highlights.set(name, highlight);
+  }
+  return highlight;
+}
+
+/**
+ * ::highlight() rules for the current categories. Like any style they do not cross
+ * shadow boundaries, so every root with painted text gets its own copy.
+ */
+function ensurePaintStyle(root) {
+  const host = root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : document.head || document.documentElement;
+  const rules = (window.__factFlagState.classes || DEFAULT_CLASS_DEFS).map(cls =>
+    `::highlight(${paintName(cls.id)}) { background-color: ${rgbaFromHex(cls.color, 0.26)}; color: ${cls.textColor || '#111111'}; }`
+  );
+  rules.push(
+    `::highlight(${paintName(INCONCLUSIVE_TIER.id)}) { background-color: ${rgbaFromHex(INCONCLUSIVE_TIER.color, 0.16)}; text-decoration: underline dashed 1px ${INCONCLUSIVE_TIER.color}; }`,
+    `::highlight(${PAINT_ACTIVE}) { text-decoration: underline 2px rgba(15, 23, 42, 0.45); }`,
+    `::highlight(${PAINT_HOVER}) { text-decoration: underline 2px rgba(37, 99, 235, 0.85); }`,
+    `::highlight(${PAINT_FOCUS}) { background-color: rgba(37, 99, 235, 0.32); }`
+  );
+  const css = rules.join('\n');
+  let style = host.querySelector('style[data-fact-paint-style]');
+  if (style && style.textContent === css) return;
+  withoutObserving(() => {
+    if (!style) {
+      style = document.createElement('style');
+      style.dataset.factPaintStyle = '';
+      host.appendChild(style);
+    }
+    style.textContent = css;
+  });
+}
+
+function setPaintState(name, id, on) {
+  const entry = id ? paintedHighlights.get(id) : null;
+  if (!entry || !supportsHighlightApi()) return;
+  const highlight = paintHighlight(name);
+  entry.ranges.forEach(range => (on ? highlight.add(range) : highlight.delete(range)));
+}
+
+function repaintCategory(id, categoryId) {
+  const entry = paintedHighlights.get(id);
+  if (!entry) return;
+  const category = (classById(categoryId) || chooseClass(categoryId)).id;
+  if (category === entry.category) return;
+  entry.ranges.forEach(range => {
+    paintHighlight(paintName(entry.category)).delete(range);
+    paintHighlight(paintName(category)).add(range);
+  });
+  entry.category = category;
+}
+
+/**
+ * Painted sentence under the viewport point (x, y), found from the ranges' line boxes
+ * since there is no element to receive the event.
+ */
+function paintedHighlightAt(x, y) {
+  for (const [id, entry] of paintedHighlights) {
+    for (const range of entry.ranges) {
+      if (range.collapsed) continue;
+      for (const rect of range.getClientRects()) {
+        if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) return { id, entry, range };
+      }
     }
   }
   return null;
 }
 
+function handlePaintedPointerMove(event) {
+  if (!paintedHighlights.size || paintHitFrame) return;
+  // The tooltip floats over the text; pointing at its buttons is not leaving the sentence.
+  if (highlightTooltipEl && highlightTooltipEl.contains(eventElement(event))) return;
+  const { clientX, clientY } = event;
+  paintHitFrame = requestAnimationFrame(() => {
+    paintHitFrame = 0;
+    const hit = paintedHighlightAt(clientX, clientY);
+    const id = hit ? hit.id : null;
+    if (id === activePaintId) return;
+    setPaintState(PAINT_ACTIVE, activePaintId, false);
+    activePaintId = id;
+    if (!hit) {
+      scheduleTooltipHide();
+      return;
+    }
+    setPaintState(PAINT_ACTIVE, id, true);
+    const rationale = String(hit.entry.metadata?.rationale || '').trim();
+    showHighlightTooltip(hit.range, highlightTooltipText(id, rationale), id);
+  });
+}
+
+function clearPaintedHighlights() {
+  if (supportsHighlightApi()) {
+    for (const name of [...CSS.highlights.keys()]) {
+      if (name.startsWith(PAINT_PREFIX)) CSS.highlights.delete(name);
+    }
+  }
+  paintedHighlights.clear();
+  activePaintId = null;
+}
+
 function normalizeForComparison(str) {
   return String(str || '').replace(/\s+/g, ' ').trim();
 }
@@ -427,9 +1646,34 @@ function upsertClassification(raw) {
     text: sentence.text,
     category,
     confidence: clamp01(typeof raw.confidence === 'number' ? raw.confidence : 0.5),
-    rationale: String(raw.rationale || '').slice(0, 240)
+    rationale: String(raw.rationale || '').slice(0, 240),
+    source: raw.source || null
   };
-  if (category === 'neutral') {
+  // What the classifier said stays on record under a user override; its raw
+  // confidence is what calibration learns from.
+  classification.modelCategory = category;
+  classification.modelConfidence = classification.confidence;
+  classification.modelRationale = classification.rationale;
+  const calibration = confidenceCalibration[classification.source]?.[category];
+  if (calibration) {
+    classification.confidence = calibrateConfidence(calibration, classification.confidence);
+    classification.calibrated = true;
+  }
+  // Only a neutral verdict can be inconclusive; a low score is judged against thresholds
+  // later. Kept under an override, which wins anyway, so that Undo brings it back.
+  if (raw.inconclusive && category === 'neutral') classification.inconclusive = raw.inconclusive;
+  const override = pageOverrides.get(overrideKey(sentence.id, sentence.text));
+  if (override) {
+    classification.override = override.action;
+    delete classification.calibrated;
+    if (override.action === 'dismiss') {
+      classification.category = 'neutral';
+    } else {
+      classification.category = normalizeCategory(override.category);
+      classification.confidence = 1;
+    }
+  }
+  if (classification.category === 'neutral') {
     delete classification.confidence;
     delete classification.rationale;
   }
@@ -437,52 +1681,199 @@ function upsertClassification(raw) {
   return classification;
 }
 
+/**
+ * Overrides are looked up by sentence id and text together: ids are 32-bit hashes, and
+ * a site-wide correction must not land on another sentence that happens to share one.
+ * The text is compared as overrideText() in src/util/overrideStore.js stores it.
+ */
+function overrideKey(id, text) {
+  return `${id} ${String(text || '').replace(/\s+/g, ' ').trim().slice(0, 1000)}`;
+}
+
+async function loadPageOverrides() {
+  try {
+    const response = await sendMessage({ type: 'GET_PAGE_OVERRIDES', payload: { pageUrl: location.href } });
+    pageOverrides.clear();
+    for (const record of response?.result?.overrides || []) pageOverrides.set(overrideKey(record.sentenceId, record.text), record);
+  } catch (err) {
+    console.warn('[AccuracyHighlighter] Overrides unavailable', err);
+  }
+}
+
+async function loadCalibration() {
+  try {
+    const response = await sendMessage({ type: 'GET_CALIBRATION' });
+    confidenceCalibration = response?.result?.calibration || {};
+  } catch (err) {
+    console.warn('[AccuracyHighlighter] Calibration unavailable, showing raw confidences', err);
+    confidenceCalibration = {};
+  }
+}
+
+// Same mapping as applyCalibration() in src/classifier/calibration.js.
+function calibrateConfidence(model, p) {
+  const logit = q => Math.log(Math.min(0.999, Math.max(0.001, q)) / (1 - Math.min(0.999, Math.max(0.001, q))));
+  if (model.kind === 'platt') return clamp01(1 / (1 + Math.exp(-(model.a * logit(p) + model.b))));
+  const points = model.points || [];
+  if (!points.length) return p;
+  if (p <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (p <= x1) {
+      const [x0, y0] = points[i - 1];
+      return x1 === x0 ? y1 : y0 + (y1 - y0) * (p - x0) / (x1 - x0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Records the user's verdict on a sentence ('confirm', 'dismiss', 'recategorize', or
+ * 'clear' to drop an earlier one) and re-applies it to the page right away.
+ */
+async function applyUserOverride(id, action, category = null) {
+  const state = window.__factFlagState;
+  const globalIndex = (state.sentences || []).findIndex(s => s.id === id);
+  const current = globalIndex >= 0 ? state.classifications[globalIndex] : null;
+  if (!current) return;
+  try {
+    if (action === 'clear') {
+      await sendMessage({ type: 'DELETE_OVERRIDE', payload: { sentenceId: id, pageUrl: location.href, text: current.text } });
+      pageOverrides.delete(overrideKey(id, current.text));
+    } else {
+      const response = await sendMessage({
+        type: 'SAVE_OVERRIDE',
+        payload: {
+          sentenceId: id,
+          pageUrl: location.href,
+          text: current.text,
+          action,
+          category: action === 'dismiss' ? 'neutral' : (category || current.category),
+          modelCategory: current.modelCategory,
+          modelConfidence: current.modelConfidence,
+          source: current.source
+        }
+      });
+      pageOverrides.set(overrideKey(id, current.text), response.result.override);
+    }
+  } catch (err) {
+    console.warn('[AccuracyHighlighter] Could not save override', err);
+    showToast('Could not save your correction');
+    return;
+  }
+  // The correction is also a calibration sample, so every score on the page may move.
+  await loadCalibration();
+  for (const c of state.classifications || []) {
+    if (!c) continue;
+    const updated = upsertClassification({
+      globalIndex: c.globalIndex,
+      category: c.modelCategory,
+      confidence: c.modelConfidence,
+      rationale: c.modelRationale,
+      source: c.source,
+      inconclusive: c.inconclusive
+    });
+    if (updated) syncHighlight(updated);
+  }
+  state.flagged = flaggedClassifications();
+  hideHighlightTooltip();
+  updateLegendStatus();
+  broadcastPanelState();
+}
+
 function updateHighlightMetadata(classification) {
   if (!classification) return;
-  const el = document.querySelector(`.fact-flag[data-fact-id='${CSS.escape(classification.id)}']`);
-  if (!el) return;
-  el.dataset.factMeta = encodeURIComponent(JSON.stringify(classification));
-  el.dataset.factCategory = classification.category;
-  el.dataset.factRationale = classification.rationale || '';
-  const classInfo = classById(classification.category) || chooseClass(classification.category);
-  applyHighlightStyle(el, classInfo);
+  const categoryId = highlightCategory(classification);
+  const painted = paintedHighlights.get(classification.id);
+  if (painted) {
+    painted.metadata = classification;
+    repaintCategory(classification.id, categoryId);
+  }
+  const classInfo = classById(categoryId) || chooseClass(categoryId);
+  for (const el of findHighlightParts(classification.id)) {
+    el.dataset.factMeta = encodeURIComponent(JSON.stringify(classification));
+    el.dataset.factCategory = categoryId;
+    el.dataset.factRationale = classification.rationale || '';
+    el.classList.toggle('fact-flag-inconclusive', categoryId === INCONCLUSIVE_TIER.id);
+    applyHighlightStyle(el, classInfo);
+  }
 }
 
 function isFlaggedCategory(categoryId) {
   return Boolean(categoryId && categoryId !== 'neutral');
 }
 
-function ensureFallbackHighlights() {
-  const flagged = window.__factFlagState.flagged || [];
-  if (flagged.length) return;
-  const sentences = window.__factFlagState.sentences || [];
-  const fallbackClass = chooseClass('hyperbole');
-  const fallbackId = fallbackClass.id;
-  const picks = [];
-  for (let i = 0; i < sentences.length && picks.length < 3; i++) {
-    const s = sentences[i];
-    if (!s || highlightedIds.has(s.id)) continue;
-    if (/( is | are | was | were | will | can )/i.test(s.text)) {
-      picks.push({ sentence: s, index: i });
-    }
-  }
-  picks.forEach(({ sentence, index }) => {
-    const meta = {
-      globalIndex: index,
-      index,
-      category: fallbackId,
-      confidence: 0.32,
-      rationale: 'Fallback highlight – adjust classifier settings.'
-    };
-    const classification = upsertClassification(meta);
-    if (!classification) return;
-    if (!highlightedIds.has(classification.id) && highlightSentenceNodeWise(sentence.element, sentence.text, classification.category, classification)) {
-      highlightedIds.add(classification.id);
-    } else {
-      updateHighlightMetadata(classification);
-    }
-  });
-  window.__factFlagState.flagged = (window.__factFlagState.classifications || []).filter(Boolean).filter(c => isFlaggedCategory(c.category));
+// A correction is the user's own call, so the category's minimum confidence does not apply.
+function meetsConfidenceThreshold(classification) {
+  if (classification.override) return true;
+  const min = classById(classification.category)?.minConfidence || 0;
+  return !(min > 0) || (Number(classification.confidence) || 0) >= min;
+}
+
+function isCategoryHidden(categoryId) {
+  return Boolean(window.__factFlagState.hiddenCategories?.has(categoryId));
+}
+
+// Results listed in the panel: flagged and confident enough, hidden categories included.
+function flaggedClassifications() {
+  return (window.__factFlagState.classifications || []).filter(c => c && isFlaggedCategory(c.category) && meetsConfidenceThreshold(c));
+}
+
+/**
+ * Why `classification` belongs to the low-confidence tier, or '' when it does not:
+ * 'parse-error' or 'unrecognized' (set by the classifier side on a neutral result), or
+ * 'near-threshold' for a score less than INCONCLUSIVE_MARGIN under the category's minimum.
+ */
+function inconclusiveReason(classification) {
+  if (!window.__factFlagState.showInconclusive || !classification || classification.override) return '';
+  if (classification.inconclusive) return classification.inconclusive;
+  if (!isFlaggedCategory(classification.category) || meetsConfidenceThreshold(classification)) return '';
+  const min = classById(classification.category)?.minConfidence || 0;
+  return (Number(classification.confidence) || 0) >= min - INCONCLUSIVE_MARGIN ? 'near-threshold' : '';
+}
+
+function inconclusiveClassifications() {
+  return (window.__factFlagState.classifications || []).filter(c => c && inconclusiveReason(c));
+}
+
+// The style a highlight is drawn in: its category's, or the low-confidence tier's.
+function highlightCategory(classification) {
+  return inconclusiveReason(classification) ? INCONCLUSIVE_TIER.id : classification.category;
+}
+
+function isHighlightShown(classification) {
+  if (inconclusiveReason(classification)) return !isCategoryHidden(INCONCLUSIVE_TIER.id);
+  return isFlaggedCategory(classification.category)
+    && meetsConfidenceThreshold(classification)
+    && !isCategoryHidden(classification.category);
+}
+
+function setCategoryVisibility(categoryId, visible) {
+  const hidden = new Set(window.__factFlagState.hiddenCategories || []);
+  if (visible) hidden.delete(categoryId);
+  else hidden.add(categoryId);
+  applyHiddenCategories([...hidden]);
+}
+
+/**
+ * Shows or hides highlights by category from the results already on the page; nothing
+ * is classified again. The top frame passes the set on to every embedded frame.
+ */
+function applyHiddenCategories(categoryIds) {
+  window.__factFlagState.hiddenCategories = new Set(categoryIds || []);
+  if (IS_TOP_FRAME) {
+    Object.keys(window.__factFlagState.frames).forEach(frameId => relayHiddenCategories(Number(frameId)));
+  }
+  for (const classification of window.__factFlagState.classifications || []) {
+    if (classification) syncHighlight(classification);
+  }
+  hideHighlightTooltip();
+  updateLegendChips();
+  broadcastPanelState();
+}
+
+function relayHiddenCategories(frameId) {
+  relayToFrame(frameId, { type: 'FACT_SET_HIDDEN_CATEGORIES', categories: [...(window.__factFlagState.hiddenCategories || [])] });
 }
 
 function chooseClass(preferredId) {
@@ -494,6 +1885,7 @@ function chooseClass(preferredId) {
 }
 
 function ensureFloatingLegend() {
+  if (!IS_TOP_FRAME) return null;
   let container = document.getElementById('fact-flag-legend');
   if (!container) {
     container = document.createElement('div');
@@ -508,6 +1900,10 @@ function ensureFloatingLegend() {
       <div id="fact-legend-progress" class="fact-progress hidden">
         <div class="fact-progress-bar"><div class="fact-progress-fill"></div></div>
         <div class="fact-progress-text"></div>
+        <div class="fact-progress-actions hidden">
+          <button id="fact-progress-pause" class="fact-progress-action" type="button">Pause</button>
+          <button id="fact-progress-cancel" class="fact-progress-action danger" type="button">Cancel</button>
+        </div>
       </div>
       <div id="fact-debug-section" class="fact-debug hidden">
         <div class="fact-debug-header">
@@ -516,6 +1912,7 @@ function ensureFloatingLegend() {
         </div>
         <div id="fact-debug-list" class="fact-debug-list"></div>
       </div>
+      <div id="fact-legend-frames" class="fact-legend-frames hidden"></div>
       <div id="fact-flag-status" class="fact-legend-status"></div>
       <div id="fact-legend-error" class="fact-legend-error"></div>
     `;
@@ -526,6 +1923,20 @@ function ensureFloatingLegend() {
         openPanel();
       });
     }
+    const pauseBtn = container.querySelector('#fact-progress-pause');
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', ev => {
+        ev.stopPropagation();
+        if (!resumeAnalysis()) pauseAnalysis();
+      });
+    }
+    const cancelBtn = container.querySelector('#fact-progress-cancel');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', ev => {
+        ev.stopPropagation();
+        cancelAnalysis();
+      });
+    }
     const clearBtn = container.querySelector('#fact-debug-clear');
     if (clearBtn) {
       clearBtn.addEventListener('click', ev => {
@@ -540,25 +1951,50 @@ function ensureFloatingLegend() {
 
 function renderLegend() {
   const container = ensureFloatingLegend();
-  const host = container.querySelector('#fact-legend-classes');
+  const host = container?.querySelector('#fact-legend-classes');
   if (!host) return;
   host.innerHTML = '';
-  const classes = window.__factFlagState.classes || [];
+  const classes = (window.__factFlagState.classes || []).slice();
+  if (window.__factFlagState.showInconclusive) classes.push(INCONCLUSIVE_TIER);
   classes.forEach(cls => {
     if (!cls) return;
-    const chip = document.createElement('span');
-    chip.className = 'fact-class-chip';
+    // Neutral is never highlighted, so only the other chips toggle anything.
+    const toggles = isFlaggedCategory(cls.id);
+    const chip = document.createElement(toggles ? 'button' : 'span');
+    chip.className = cls === INCONCLUSIVE_TIER ? 'fact-class-chip fact-class-chip-inconclusive' : 'fact-class-chip';
     chip.dataset.classId = cls.id;
     chip.style.background = rgbaFromHex(cls.color || '#64748b', 0.32);
     chip.style.color = cls.textColor || '#f8fafc';
     chip.style.boxShadow = `inset 0 0 0 1px ${rgbaFromHex(cls.color || '#64748b', 0.6)}`;
-    chip.title = cls.definition || cls.label;
-    chip.textContent = cls.label;
+    chip.textContent = cls.displayLabel || cls.label;
+    if (toggles) {
+      chip.type = 'button';
+      chip.addEventListener('click', ev => {
+        ev.stopPropagation();
+        setCategoryVisibility(cls.id, isCategoryHidden(cls.id));
+      });
+    } else {
+      chip.title = cls.definition || cls.displayLabel || cls.label;
+    }
     host.appendChild(chip);
   });
+  updateLegendChips();
   renderDebugPrompts();
 }
 
+function updateLegendChips() {
+  const chips = document.querySelectorAll('#fact-legend-classes button.fact-class-chip');
+  chips.forEach(chip => {
+    const cls = classById(chip.dataset.classId);
+    if (!cls) return;
+    const hidden = isCategoryHidden(cls.id);
+    const threshold = cls.minConfidence > 0 ? ` Shown from ${Math.round(cls.minConfidence * 100)}% confidence.` : '';
+    chip.classList.toggle('fact-class-chip-off', hidden);
+    chip.setAttribute('aria-pressed', String(!hidden));
+    chip.title = `${cls.definition || cls.displayLabel || cls.label}${threshold}\nClick to ${hidden ? 'show' : 'hide'} these highlights.`;
+  });
+}
+
 function pushDebugPrompt(info, meta = {}) {
   if (!info || !window.__factFlagState.debugEnabled) return;
   const promptText = typeof info.prompt === 'string' ? info.prompt : '';
@@ -810,19 +2246,30 @@ function setupMessageListener() {
   chrome.runtime.onMessage.addListener((msg, sender, respond) => {
     try {
       if (msg.type === 'FACT_PANEL_REQUEST_DATA') {
-        respond({ 
-          statements: window.__factFlagState.flagged.map(c => ({ id: c.id, text: c.text, category: c.category, confidence: c.confidence, rationale: c.rationale })),
-          meta: window.__factFlagState.lastRunMeta || null,
-          progress: window.__factFlagState.progress || null,
-          classes: window.__factFlagState.classes || DEFAULT_CLASS_DEFS,
-          errors: (window.__factFlagState.errors || []).slice(-5),
-          total: window.__factFlagState.sentences?.length || 0
-        });
+        respond(buildPanelPayload());
       } else if (msg.type === 'FACT_PANEL_HOVER') {
-        toggleHover(msg.id, msg.on);
+        const target = parseFrameStatementId(msg.id);
+        if (target) relayToFrame(target.frameId, { type: 'FACT_PANEL_HOVER', id: target.id, on: msg.on });
+        else toggleHover(msg.id, msg.on);
+        respond({ ok: true });
+      } else if (msg.type === 'FACT_PANEL_OVERRIDE') {
+        const target = parseFrameStatementId(msg.id);
+        if (target) relayToFrame(target.frameId, { type: 'FACT_PANEL_OVERRIDE', id: target.id, action: msg.action, category: msg.category });
+        else applyUserOverride(msg.id, msg.action, msg.category);
+        respond({ ok: true });
+      } else if (msg.type === 'FACT_PANEL_TOGGLE_CATEGORY') {
+        if (msg.category) setCategoryVisibility(msg.category, msg.visible !== false);
+        respond({ ok: true, hiddenCategories: [...(window.__factFlagState.hiddenCategories || [])] });
+      } else if (msg.type === 'FACT_SET_HIDDEN_CATEGORIES') {
+        applyHiddenCategories(msg.categories);
         respond({ ok: true });
       } else if (msg.type === 'FACT_PANEL_FOCUS') {
-        focusHighlight(msg.id);
+        const target = parseFrameStatementId(msg.id);
+        if (target) relayToFrame(target.frameId, { type: 'FACT_PANEL_FOCUS', id: target.id });
+        else focusHighlight(msg.id);
+        respond({ ok: true });
+      } else if (msg.type === 'FACT_FRAME_REPORT') {
+        if (IS_TOP_FRAME) handleFrameReport(msg);
         respond({ ok: true });
       } else if (msg.type === 'FACT_PANEL_SCROLL_TO') {
         if (msg.id) {
@@ -831,9 +2278,21 @@ function setupMessageListener() {
         }
         respond({ ok: true });
       } else if (msg.type === 'FACT_PANEL_RERUN') {
+        if (IS_TOP_FRAME) {
+          Object.keys(window.__factFlagState.frames).forEach(frameId => relayToFrame(Number(frameId), { type: 'FACT_PANEL_RERUN' }));
+        }
         clearExistingHighlights();
         analyzePage().then(() => respond({ ok: true }));
         return true; // async
+      } else if (msg.type === 'FACT_PANEL_PAUSE') {
+        respond({ ok: pauseAnalysis(), progress: window.__factFlagState.progress || null });
+      } else if (msg.type === 'FACT_PANEL_RESUME') {
+        respond({ ok: resumeAnalysis(), progress: window.__factFlagState.progress || null });
+      } else if (msg.type === 'FACT_PANEL_CANCEL') {
+        respond({ ok: cancelAnalysis(), progress: window.__factFlagState.progress || null });
+      } else if (msg.type === 'FACT_QUEUE_STATUS') {
+        setQueuePosition(msg.position);
+        respond({ ok: true });
       } else if (msg.type === 'FACT_PANEL_CLOSE') {
         const frame = document.getElementById('fact-panel-frame');
         if (frame) frame.remove();
@@ -855,43 +2314,57 @@ function ensureHighlightInteractions() {
   highlightInteractionBound = true;
   document.addEventListener('pointerover', handleHighlightPointerOver, true);
   document.addEventListener('pointerout', handleHighlightPointerOut, true);
+  document.addEventListener('pointermove', handlePaintedPointerMove, { capture: true, passive: true });
   document.addEventListener('click', handleHighlightClick, true);
   document.addEventListener('scroll', hideHighlightTooltip, true);
 }
 
+// Events from shadow trees are retargeted to the host; the composed path keeps the real node.
+function eventElement(event) {
+  const path = typeof event?.composedPath === 'function' ? event.composedPath() : [];
+  const node = path.length ? path[0] : event?.target;
+  return node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+}
+
 function handleHighlightPointerOver(event) {
-  const target = event?.target;
+  const target = eventElement(event);
   if (!target || typeof target.closest !== 'function') return;
   const span = target.closest('.fact-flag');
   if (!span) return;
+  findHighlightParts(span.dataset.factId).forEach(el => el.classList.add('fact-flag-active'));
   const rationale = (span.dataset?.factRationale || '').trim() || extractRationaleFromMeta(span);
-  const text = rationale || 'No rationale provided.';
-  showHighlightTooltip(span, text);
+  showHighlightTooltip(span, highlightTooltipText(span.dataset.factId, rationale), span.dataset.factId);
 }
 
 function handleHighlightPointerOut(event) {
-  const target = event?.target;
+  const target = eventElement(event);
   if (!target || typeof target.closest !== 'function') return;
   const span = target.closest('.fact-flag');
   if (!span) return;
   const related = event.relatedTarget && typeof event.relatedTarget.closest === 'function'
     ? event.relatedTarget.closest('.fact-flag')
     : null;
-  if (related === span) return;
-  hideHighlightTooltip();
+  // Moving between parts of the same sentence keeps the tooltip.
+  if (related && related.dataset.factId === span.dataset.factId) return;
+  findHighlightParts(span.dataset.factId).forEach(el => el.classList.remove('fact-flag-active'));
+  scheduleTooltipHide();
 }
 
 function handleHighlightClick(event) {
   if (!event || event.defaultPrevented || event.button !== 0) return;
-  const target = event.target;
+  const target = eventElement(event);
   if (!target || typeof target.closest !== 'function') return;
+  if (target.closest('#fact-flag-tooltip')) return;
   const span = target.closest('.fact-flag');
-  if (!span) return;
+  const id = span ? span.dataset?.factId : paintedHighlightAt(event.clientX, event.clientY)?.id;
+  if (!id) return;
   const selection = window.getSelection && window.getSelection();
   if (selection && selection.toString()) return;
-  const id = span.dataset?.factId;
-  if (!id) return;
   hideHighlightTooltip();
+  if (!IS_TOP_FRAME) {
+    reportToTopFrame({ kind: 'focus', id });
+    return;
+  }
   openPanel({ focusId: id });
 }
 
@@ -922,19 +2395,102 @@ function ensureHighlightTooltip() {
     color: '#e2e8f0',
     boxShadow: '0 14px 32px rgba(15,23,42,0.45)',
     border: '1px solid rgba(148,163,184,0.28)',
-    pointerEvents: 'none',
     opacity: '0',
     visibility: 'hidden',
     transition: 'opacity 0.15s ease'
   });
+  // The pointer may cross from the sentence onto the tooltip to reach its buttons.
+  div.addEventListener('pointerenter', () => clearTimeout(tooltipHideTimer));
+  div.addEventListener('pointerleave', scheduleTooltipHide);
+  div.addEventListener('click', handleTooltipAction);
+  div.addEventListener('change', handleTooltipAction);
   document.body.appendChild(div);
   highlightTooltipEl = div;
   return highlightTooltipEl;
 }
 
-function showHighlightTooltip(anchor, text) {
+function classificationById(id) {
+  return (window.__factFlagState.classifications || []).find(c => c && c.id === id) || null;
+}
+
+// "64% confidence (calibrated) • rationale"; calibrated scores are the ones worth showing.
+function highlightTooltipText(id, rationale) {
+  const classification = classificationById(id);
+  const reason = inconclusiveReason(classification);
+  if (reason) return inconclusiveText(classification, reason);
+  const text = rationale || 'No rationale provided.';
+  if (typeof classification?.confidence !== 'number') return text;
+  const pct = `${Math.round(classification.confidence * 100)}% confidence${classification.calibrated ? ' (calibrated)' : ''}`;
+  return `${pct} • ${text}`;
+}
+
+function inconclusiveText(classification, reason) {
+  if (reason === 'parse-error') return 'Low confidence • The model\'s answer for this batch could not be read.';
+  if (reason === 'unrecognized') return 'Low confidence • The model answered with a category that is not in your list.';
+  const cls = classById(classification.category);
+  const name = cls?.displayLabel || cls?.label || classification.category;
+  const pct = value => `${Math.round(value * 100)}%`;
+  return `Low confidence • ${name} at ${pct(classification.confidence || 0)}, under the ${pct(cls?.minConfidence || 0)} needed to flag it.`;
+}
+
+// Confirm / Dismiss / Move to… for the sentence under the tooltip; Undo once overridden.
+function renderTooltipActions(id) {
+  const classification = classificationById(id);
+  if (!classification) return null;
+  const actions = document.createElement('div');
+  actions.className = 'fact-flag-tooltip-actions';
+  actions.dataset.factId = id;
+  const button = (action, label) => {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.dataset.action = action;
+    el.textContent = label;
+    actions.appendChild(el);
+  };
+  if (classification.override) {
+    button('clear', 'Undo correction');
+    return actions;
+  }
+  // An unreadable or unknown answer has no category to confirm.
+  if (isFlaggedCategory(classification.category)) button('confirm', 'Confirm');
+  button('dismiss', 'Dismiss');
+  const select = document.createElement('select');
+  select.dataset.action = 'recategorize';
+  select.add(new Option('Move to…', ''));
+  for (const cls of window.__factFlagState.classes || []) {
+    if (cls.id === 'neutral' || cls.id === classification.category) continue;
+    select.add(new Option(cls.displayLabel || cls.label, cls.id));
+  }
+  if (select.options.length > 1) actions.appendChild(select);
+  return actions;
+}
+
+function handleTooltipAction(event) {
+  const control = event.target.closest?.('[data-action]');
+  const id = control?.closest('.fact-flag-tooltip-actions')?.dataset.factId;
+  if (!control || !id) return;
+  const isSelect = control.tagName === 'SELECT';
+  if (isSelect !== (event.type === 'change')) return;
+  if (isSelect && !control.value) return;
+  event.preventDefault();
+  event.stopPropagation();
+  applyUserOverride(id, control.dataset.action, isSelect ? control.value : null);
+}
+
+function scheduleTooltipHide() {
+  clearTimeout(tooltipHideTimer);
+  tooltipHideTimer = setTimeout(hideHighlightTooltip, 250);
+}
+
+function showHighlightTooltip(anchor, text, id = null) {
   const tooltip = ensureHighlightTooltip();
-  tooltip.textContent = text;
+  clearTimeout(tooltipHideTimer);
+  tooltip.textContent = '';
+  const body = document.createElement('div');
+  body.textContent = text;
+  tooltip.appendChild(body);
+  const actions = id ? renderTooltipActions(id) : null;
+  if (actions) tooltip.appendChild(actions);
   tooltip.style.visibility = 'hidden';
   tooltip.style.opacity = '0';
   requestAnimationFrame(() => {
@@ -956,33 +2512,85 @@ function showHighlightTooltip(anchor, text) {
 }
 
 function hideHighlightTooltip() {
+  clearTimeout(tooltipHideTimer);
   if (!highlightTooltipEl) return;
   highlightTooltipEl.style.opacity = '0';
   highlightTooltipEl.style.visibility = 'hidden';
 }
 
+/**
+ * Page styles do not reach into shadow trees, so each root that gets a highlight
+ * receives its own copy of the highlight stylesheet.
+ */
+function registerHighlightRoot(node) {
+  const root = node?.getRootNode?.();
+  if (typeof ShadowRoot === 'undefined' || !(root instanceof ShadowRoot)) return;
+  highlightRoots.add(root);
+  if (root.querySelector('link[data-fact-flag-style]')) return;
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = chrome.runtime.getURL('src/styles/highlights.css');
+  link.dataset.factFlagStyle = '';
+  withoutObserving(() => root.appendChild(link));
+}
+
+function highlightScopes() {
+  for (const root of highlightRoots) {
+    if (!root.host.isConnected) highlightRoots.delete(root);
+  }
+  return [document, ...highlightRoots];
+}
+
+function findHighlight(id) {
+  const selector = `.fact-flag[data-fact-id='${CSS.escape(id)}']`;
+  for (const scope of highlightScopes()) {
+    const el = scope.querySelector(selector);
+    if (el) return el;
+  }
+  return null;
+}
+
+// Every span of one sentence; a sentence crossing inline elements has several.
+function findHighlightParts(id) {
+  const selector = `.fact-flag[data-fact-id='${CSS.escape(id)}']`;
+  return highlightScopes().flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+function allHighlights() {
+  return highlightScopes().flatMap(scope => Array.from(scope.querySelectorAll('.fact-flag')));
+}
+
 function toggleHover(id, on) {
   if (!id) return;
-  const el = document.querySelector(`.fact-flag[data-fact-id='${CSS.escape(id)}']`);
-  if (el) {
-    if (on) el.classList.add('fact-flag-hover'); else el.classList.remove('fact-flag-hover');
-  }
+  findHighlightParts(id).forEach(el => el.classList.toggle('fact-flag-hover', Boolean(on)));
+  setPaintState(PAINT_HOVER, id, Boolean(on));
 }
 
 function focusHighlight(id) {
   if (!id) return;
-  let target = document.querySelector(`.fact-flag[data-fact-id='${CSS.escape(id)}']`);
+  const painted = paintedHighlights.get(id);
+  const anchor = painted && painted.ranges.find(range => !range.collapsed);
+  if (anchor) {
+    const el = anchor.startContainer.parentElement;
+    if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+    setPaintState(PAINT_FOCUS, id, true);
+    setTimeout(() => setPaintState(PAINT_FOCUS, id, false), 1300);
+    return;
+  }
+  let target = findHighlight(id);
   if (!target) {
     const sentence = (window.__factFlagState.sentences || []).find(s => s.id === id);
     if (sentence && sentence.element) {
       target = sentence.element;
+      registerHighlightRoot(target); // the pulse style must exist in a shadow tree too
     }
   }
   if (!target) return;
   target.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
   if (target.classList.contains('fact-flag')) {
-    target.classList.add('fact-flag-pulse');
-    setTimeout(() => target.classList.remove('fact-flag-pulse'), 1300);
+    const parts = findHighlightParts(id);
+    parts.forEach(el => el.classList.add('fact-flag-pulse'));
+    setTimeout(() => parts.forEach(el => el.classList.remove('fact-flag-pulse')), 1300);
   } else {
     target.classList.add('fact-flag-host-pulse');
     setTimeout(() => target.classList.remove('fact-flag-host-pulse'), 1300);
@@ -990,12 +2598,10 @@ function focusHighlight(id) {
 }
 
 function clearExistingHighlights() {
-  document.querySelectorAll('.fact-flag').forEach(span => {
-    const parent = span.parentNode;
-    if (!parent) return;
-    while (span.firstChild) parent.insertBefore(span.firstChild, span);
-    parent.removeChild(span);
-  });
+  withoutObserving(() => restoreHighlightedText(allHighlights()));
+  // With every highlight gone, what is left are pieces the page moved apart itself.
+  splitTextFragments.clear();
+  clearPaintedHighlights();
   highlightedIds.clear();
   hideHighlightTooltip();
   window.__factFlagState.flagged = [];
@@ -1004,33 +2610,57 @@ function clearExistingHighlights() {
   broadcastPanelState();
 }
 
-function sendMessage(msg) {
+/**
+ * Sends a request to the service worker. With a `signal`, the promise rejects as soon
+ * as the signal aborts; the worker may still answer, but nobody is listening.
+ */
+function sendMessage(msg, { signal } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason || runAbortError());
+    const onAbort = () => reject(signal.reason || runAbortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
     try {
-      chrome.runtime.sendMessage(msg, response => {
+      chrome.runtime.sendMessage({ version: PROTOCOL_VERSION, ...msg }, response => {
+        signal?.removeEventListener('abort', onAbort);
         if (chrome.runtime.lastError) {
           return reject(chrome.runtime.lastError);
         }
-        if (!response || !response.ok) return reject(response?.error || 'Unknown error');
+        if (!response || !response.ok) {
+          const err = new Error(response?.error?.message || 'Unknown error');
+          err.code = response?.error?.code || 'UNKNOWN';
+          return reject(err);
+        }
         resolve(response);
       });
-    } catch (e) { reject(e); }
+    } catch (e) {
+      signal?.removeEventListener('abort', onAbort);
+      reject(e);
+    }
   });
 }
 
 async function getSettings() {
   return new Promise(resolve => {
-    chrome.storage.local.get(['enablePromptApi','modelId','privacyMode','promptTemplate','classificationClasses','maxSentences','batchSize','debugLogging'], (data) => {
+    chrome.storage.local.get(['enablePromptApi','classifierBackend','modelId','privacyMode','promptTemplate','classificationClasses','maxSentences','lazyClassification','sentenceBudget','mainContentDetection','mainContentSelectors','excludedLanguages','highlightRenderer','batchSize','debugLogging','showInconclusive'], (data) => {
       // Apply defaults for undefined values
       resolve({
         enablePromptApi: data.enablePromptApi ?? true,
+        // Installs from before the backend selector only have the Prompt API toggle.
+        classifierBackend: data.classifierBackend || ((data.enablePromptApi ?? true) ? 'on-device' : 'heuristic'),
         modelId: data.modelId || 'gemini-nano',
         privacyMode: data.privacyMode ?? false,
         promptTemplate: data.promptTemplate || null,
         classificationClasses: data.classificationClasses || null,
         maxSentences: data.maxSentences ?? 60,
+        lazyClassification: data.lazyClassification ?? false,
+        sentenceBudget: data.sentenceBudget ?? SENTENCE_BUDGET_DEFAULT,
+        mainContentDetection: data.mainContentDetection ?? true,
+        mainContentSelectors: data.mainContentSelectors || {},
+        excludedLanguages: Array.isArray(data.excludedLanguages) ? data.excludedLanguages : [],
+        highlightRenderer: data.highlightRenderer === 'highlight-api' ? 'highlight-api' : 'spans',
         batchSize: data.batchSize ?? 20,
-        debugLogging: data.debugLogging ?? true
+        debugLogging: data.debugLogging ?? true,
+        showInconclusive: data.showInconclusive ?? true
       });
     });
   });
@@ -1040,9 +2670,88 @@ function hasOnDeviceAPI() {
   return typeof LanguageModel !== 'undefined' && typeof LanguageModel.create === 'function';
 }
 
+function onDeviceBackendId(cfg) {
+  return `on-device:${cfg.modelId || 'gemini-nano'}`;
+}
+
+/**
+ * Looks sentences up in the worker's cache tiers so text already classified on
+ * another page or tab is not sent to the model again. Misses (or a worker error)
+ * yield null entries.
+ */
+async function lookupOnDeviceCache(sentences, cfg) {
+  try {
+    const response = await sendMessage({
+      type: 'CACHE_LOOKUP',
+      payload: {
+        sentences: sentences.map(s => s.text),
+        pageUrl: location.href,
+        canonicalUrl: canonicalPageUrl(),
+        backendId: onDeviceBackendId(cfg)
+      }
+    });
+    const items = response?.result?.items || [];
+    return sentences.map((_, idx) => (items[idx] && items[idx].hit ? items[idx] : null));
+  } catch (err) {
+    console.warn('[AccuracyHighlighter] Cache lookup failed', err);
+    return sentences.map(() => null);
+  }
+}
+
+function storeOnDeviceCache(items, cfg) {
+  if (!items.length) return;
+  sendMessage({
+    type: 'CACHE_STORE',
+    payload: {
+      items,
+      pageUrl: location.href,
+      canonicalUrl: canonicalPageUrl(),
+      backendId: onDeviceBackendId(cfg)
+    }
+  }).catch(err => console.warn('[AccuracyHighlighter] Cache store failed', err));
+}
+
 let __onDeviceSession = null;
-async function classifyOnDeviceGeminiNano(sentences, cfg, showProgress = false) {
+/**
+ * `indexes` maps positions in `sentences` to __factFlagState.sentences when only part
+ * of the page is classified, so the returned globalIndex values address the page-wide list.
+ */
+async function classifyOnDeviceGeminiNano(sentences, cfg, { showProgress = false, run = null, indexes = null } = {}) {
+  const globalIndexOf = localIndex => (indexes ? indexes[localIndex] : localIndex);
   try {
+    const allResults = [];
+    const cachedEntries = await lookupOnDeviceCache(sentences, cfg);
+    await runCheckpoint(run);
+    const pendingIndexes = [];
+    const cachedResults = [];
+    cachedEntries.forEach((entry, localIndex) => {
+      if (!entry) {
+        pendingIndexes.push(localIndex);
+        return;
+      }
+      const sentenceObj = sentences[localIndex];
+      cachedResults.push({
+        index: localIndex,
+        globalIndex: globalIndexOf(localIndex),
+        id: sentenceObj.id,
+        text: sentenceObj.text,
+        category: normalizeCategory(entry.category),
+        confidence: clamp01(entry.confidence ?? 0.55),
+        rationale: (entry.rationale || '').slice(0, 200),
+        source: 'on-device',
+        inconclusive: entry.inconclusive
+      });
+    });
+    if (cachedResults.length) {
+      allResults.push(...cachedResults);
+      processBatchClassifications(cachedResults);
+      updateProgressUI({ completedDelta: cachedResults.length, message: 'Cached' });
+      noteRunMetrics({ cacheHits: cachedResults.length });
+    }
+    if (!pendingIndexes.length) return allResults;
+
+    // The session outlives the run and serves every later one, so it never gets the
+    // run's AbortSignal; only each prompt does.
     if (!__onDeviceSession) {
       const params = await LanguageModel.params().catch(()=>({}));
       __onDeviceSession = await LanguageModel.create({
@@ -1057,15 +2766,17 @@ async function classifyOnDeviceGeminiNano(sentences, cfg, showProgress = false)
     }
     const session = __onDeviceSession;
     const batchSize = Number(cfg.batchSize) > 0 ? Number(cfg.batchSize) : 20;
-    const allResults = [];
     const classes = window.__factFlagState.classes || DEFAULT_CLASS_DEFS;
-    const totalBatches = Math.max(1, Math.ceil(sentences.length / batchSize));
+    const totalBatches = Math.max(1, Math.ceil(pendingIndexes.length / batchSize));
     const debugEnabled = Boolean(window.__factFlagState?.debugEnabled);
-    for (let i = 0; i < sentences.length; i += batchSize) {
+    for (let i = 0; i < pendingIndexes.length; i += batchSize) {
+      await runCheckpoint(run);
       const started = performance.now();
-      const slice = sentences.slice(i, i + batchSize);
+      const sliceIndexes = pendingIndexes.slice(i, i + batchSize);
+      const slice = sliceIndexes.map(localIndex => sentences[localIndex]);
       const batchIndex = Math.floor(i / batchSize);
-      const prompt = buildOnDevicePrompt(slice, classes, cfg);
+      const examples = await fetchPromptExamples(slice, run);
+      const prompt = buildOnDevicePrompt(slice, classes, cfg, examples);
       const schema = onDeviceResponseSchema();
       const promptBytes = typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(prompt).length : prompt.length;
       const promptShort = prompt.length > 12000 ? `${prompt.slice(0, 12000)}…` : prompt;
@@ -1077,8 +2788,15 @@ async function classifyOnDeviceGeminiNano(sentences, cfg, showProgress = false)
           payloadBytes: promptBytes
         });
       }
+      const leaseId = await acquireSchedulerSlot('on-device', run);
       const requestStart = performance.now();
-      const raw = await session.prompt(prompt, { responseConstraint: schema });
+      let raw;
+      try {
+        raw = await session.prompt(prompt, { responseConstraint: schema, signal: run?.signal });
+      } finally {
+        releaseSchedulerSlot(leaseId);
+      }
+      throwIfRunAborted(run);
       const requestEnd = performance.now();
       const parseStart = performance.now();
       const parsed = safeParseOnDeviceJSON(raw);
@@ -1086,28 +2804,71 @@ async function classifyOnDeviceGeminiNano(sentences, cfg, showProgress = false)
   const responseLog = formatDebugResponse(raw);
       const batchResults = [];
       for (const item of parsed.items || []) {
-        const globalIndex = i + item.index;
-        const sentenceObj = sentences[globalIndex];
+        const localIndex = sliceIndexes[item.index];
+        const sentenceObj = sentences[localIndex];
         if (!sentenceObj) continue;
         const normalizedCategory = normalizeCategory(item.category);
         const result = {
           index: item.index,
-            globalIndex,
+            globalIndex: globalIndexOf(localIndex),
             id: sentenceObj.id,
             text: sentenceObj.text,
             category: normalizedCategory,
             confidence: clamp01(item.confidence ?? 0.55),
-            rationale: (item.rationale || '').slice(0, 200)
+            rationale: (item.rationale || '').slice(0, 200),
+            source: 'on-device'
         };
+        // Same rule as normalizeClassification() in src/classifier/prompt.js.
+        if (normalizedCategory === 'neutral' && String(item.category || '').trim().toLowerCase() !== 'neutral') {
+          result.inconclusive = 'unrecognized';
+        }
         allResults.push(result);
         batchResults.push(result);
       }
+      if (parsed.parseError) {
+        // No verdict for anything in the batch: the sentences go to the low-confidence tier.
+        slice.forEach((sentenceObj, k) => {
+          const result = {
+            index: k,
+            globalIndex: globalIndexOf(sliceIndexes[k]),
+            id: sentenceObj.id,
+            text: sentenceObj.text,
+            category: 'neutral',
+            source: 'on-device',
+            inconclusive: 'parse-error'
+          };
+          allResults.push(result);
+          batchResults.push(result);
+        });
+      }
+      // The model omits neutral statements; like the worker's classifyBatch, anything it
+      // did not return counts as an explicit neutral, so a rerun clears stale highlights
+      // for those sentences. A response that could not be parsed has already been
+      // marked inconclusive above.
+      if (!parsed.parseError) {
+        const returned = new Set(batchResults.map(r => r.globalIndex));
+        slice.forEach((sentenceObj, k) => {
+          const globalIndex = globalIndexOf(sliceIndexes[k]);
+          if (returned.has(globalIndex)) return;
+          const result = { index: k, globalIndex, id: sentenceObj.id, text: sentenceObj.text, category: 'neutral', source: 'on-device' };
+          allResults.push(result);
+          batchResults.push(result);
+        });
+      }
       if (batchResults.length) {
-        processBatchClassifications(batchResults, { finalize: false });
-        const durationMs = performance.now() - started;
-        updateProgressUI({ completedDelta: batchResults.length, durationMs, message: 'On-device model' });
+        processBatchClassifications(batchResults);
       }
-      const tokenUsage = extractOnDeviceTokenUsage(parsed) || estimateOnDeviceTokens(prompt, batchResults, raw);
+      updateProgressUI({ completedDelta: slice.length, durationMs: performance.now() - started, message: 'On-device model' });
+      if (!parsed.parseError) storeOnDeviceCache(batchResults.map(result => ({
+        text: result.text,
+        category: result.category,
+        confidence: result.confidence,
+        rationale: result.rationale,
+        inconclusive: result.inconclusive
+      })), cfg);
+      const reportedTokens = extractOnDeviceTokenUsage(parsed);
+      const tokenUsage = reportedTokens || estimateOnDeviceTokens(prompt, batchResults, raw);
+      noteRunMetrics({ evaluated: slice.length, batches: 1, tokens: tokenUsage, estimated: !reportedTokens });
       if (debugEnabled) {
         const executionMs = requestEnd - requestStart;
         const parseMs = parseEnd - parseStart;
@@ -1148,22 +2909,49 @@ async function classifyOnDeviceGeminiNano(sentences, cfg, showProgress = false)
     }
     return allResults;
   } catch (err) {
-    console.warn('[AccuracyHighlighter] On-device classification failed – falling back.', err);
+    if (!isRunAborted(err, run)) console.warn('[AccuracyHighlighter] On-device classification failed – falling back.', err);
     throw err;
   }
 }
 
-function buildOnDevicePrompt(slice, classes, cfg) {
+// The example bank (Options plus the user's corrections) lives with the worker.
+async function fetchPromptExamples(slice, run) {
+  try {
+    const response = await sendMessage({ type: 'GET_PROMPT_EXAMPLES', payload: { sentences: slice.map(s => s.text) } }, { signal: run?.signal });
+    return response?.result?.examples || [];
+  } catch (err) {
+    throwIfRunAborted(run);
+    console.warn('[AccuracyHighlighter] Prompt examples unavailable', err);
+    return [];
+  }
+}
+
+// Mirrors formatExamples() in src/classifier/examples.js.
+function formatPromptExamples(examples) {
+  if (!Array.isArray(examples) || !examples.length) return 'none';
+  return examples.map(example => `- ${JSON.stringify(example.text)} -> ${example.category}`).join('\n');
+}
+
+function buildOnDevicePrompt(slice, classes, cfg, examples = []) {
   const categories = (classes || []).map(c => (c.id || '').trim()).filter(Boolean);
   if (!categories.includes('neutral')) categories.push('neutral');
   const classIds = Array.from(new Set(categories));
   const definitions = buildClassDefinitionsString(classes) || defaultDefinitionsFallback();
   const statements = slice.map((s, idx) => ({ index: idx, text: sanitizeOnDeviceText(s.text, cfg.privacyMode) }));
   const template = (cfg && typeof cfg.promptTemplate === 'string' && cfg.promptTemplate.trim()) || defaultPromptTemplateForOnDevice();
-  return template
+  const languages = slice.map(s => s.lang || LANGUAGE_UNDETERMINED);
+  let prompt = template
     .replace(/{{DEFINITIONS}}/g, definitions)
     .replace(/{{STATEMENTS_JSON}}/g, JSON.stringify(statements))
     .replace(/{{CLASS_IDS}}/g, classIds.join('|'));
+  // Same rule as the worker's renderPrompt: older saved templates get the hint appended.
+  if (prompt.includes('{{LANGUAGE}}')) prompt = prompt.replace(/{{LANGUAGE}}/g, describeLanguages(languages));
+  else if (languages.some(code => code !== LANGUAGE_UNDETERMINED && code !== 'en')) {
+    prompt += `\nStatements are written in ${describeLanguages(languages)}; judge them in that language but answer with the category ids above.`;
+  }
+  if (prompt.includes('{{EXAMPLES}}')) prompt = prompt.replace(/{{EXAMPLES}}/g, formatPromptExamples(examples));
+  else if (examples.length) prompt += `\nExamples of classified statements (statement -> category):\n${formatPromptExamples(examples)}`;
+  return prompt;
 }
 
 function sanitizeOnDeviceText(text, privacyMode) {
@@ -1173,7 +2961,7 @@ function sanitizeOnDeviceText(text, privacyMode) {
 }
 
 function safeParseOnDeviceJSON(raw) {
-  if (!raw) return { items: [] };
+  if (!raw) return { items: [], parseError: 'Empty model response' };
   // try direct parse
   raw = raw.trim();
   let jsonText = raw;
@@ -1182,11 +2970,11 @@ function safeParseOnDeviceJSON(raw) {
   if (match) jsonText = match[0];
   try {
     const parsed = JSON.parse(jsonText);
-    if (!parsed.items) return { items: [] };
+    if (!parsed.items) return { items: [], parseError: 'Model response has no "items" array' };
     return parsed;
   } catch (e) {
     console.warn('Failed to parse on-device JSON', e, raw.slice(0, 200));
-    return { items: [] };
+    return { items: [], parseError: e.message || 'Malformed model JSON' };
   }
 }
 
@@ -1259,7 +3047,7 @@ function estimateOnDeviceTokens(prompt, batchResults, raw) {
 }
 
 function defaultPromptTemplateForOnDevice() {
-  return `You are a factuality, debate and rhetoric classifier. Output ONLY JSON. \nDefinitions: \n{{DEFINITIONS}} \nStatements (JSON array): \n{{STATEMENTS_JSON}} \nCategories: {{CLASS_IDS}} \nRules: \n- Return {"items":[...]} with objects that always include "category" ONLY WHEN CATEGORY IS NEUTRAL. \n- Do NOT RETURN if category is neutral. \n- Only include "confidence" (0-1) when category is not "neutral". \n- Do NOT add rationale for ANY category. \n- If insufficient info -> neutral.`
+  return `You are a factuality, debate and rhetoric classifier. Output ONLY JSON. \nDefinitions: \n{{DEFINITIONS}} \nExamples (statement -> category): \n{{EXAMPLES}} \nStatements (JSON array): \n{{STATEMENTS_JSON}} \nStatement language: {{LANGUAGE}} \nCategories: {{CLASS_IDS}} \nRules: \n- Return {"items":[...]} with objects that always include "category" ONLY WHEN CATEGORY IS NEUTRAL. \n- Do NOT RETURN if category is neutral. \n- Only include "confidence" (0-1) when category is not "neutral". \n- Do NOT add rationale for ANY category. \n- If insufficient info -> neutral.`
 }
 
 function defaultDefinitionsFallback() {
@@ -1305,27 +3093,54 @@ function updateDownloadProgress(pct) {
   container.innerHTML = `<span class="status-pill api-on-device-downloading">Downloading ${pct}%</span>`;
 }
 
-function waitForUserGesture() {
-  return new Promise(resolve => {
-    const handler = () => {
+function waitForUserGesture(signal) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
       window.removeEventListener('pointerdown', handler, true);
       window.removeEventListener('keydown', handler, true);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const handler = () => {
+      cleanup();
       resolve();
     };
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason || runAbortError());
+    };
+    if (signal?.aborted) return onAbort();
     window.addEventListener('pointerdown', handler, true);
     window.addEventListener('keydown', handler, true);
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
 }
 
-async function runRemoteOrHeuristic(cfg) {
+// `incremental` runs (new content, lazy chunks) keep the progress count and skip the
+// fallback highlights and toasts.
+async function runRemoteOrHeuristic(cfg, run = null, { sentences = window.__factFlagState.sentences, indexes = null, incremental = false, message = '' } = {}) {
+  await runCheckpoint(run);
   window.__factFlagState.progress.status = 'running';
-  updateProgressUI({ setCompleted: 0, message: 'Starting…', status: 'running' });
+  updateProgressUI(incremental
+    ? { message, status: 'running' }
+    : { setCompleted: 0, message: 'Starting…', status: 'running' });
   try {
-    const result = await batchClassify(window.__factFlagState.sentences, {
+    const result = await batchClassify(sentences, {
+      run,
+      indexes,
       batchSize: Number(cfg.batchSize) > 0 ? Number(cfg.batchSize) : BATCH_SIZE,
       onBatch: ({ items, rawResult, durationMs, batchIndex, totalBatches }) => {
-        processBatchClassifications(items, { finalize: false });
-        const message = rawResult?.mode === 'remote' ? 'Calling Prompt API…' : '';
+        processBatchClassifications(items);
+        const batchMetrics = rawResult?.metrics;
+        if (batchMetrics) {
+          noteRunMetrics({
+            evaluated: batchMetrics.remoteEvaluations,
+            cacheHits: batchMetrics.cacheHits,
+            batches: 1,
+            fallbacks: batchMetrics.fallback ? 1 : 0,
+            tokens: batchMetrics.tokens
+          });
+        }
+        const message = rawResult?.mode === 'remote' ? 'Calling local model…' : '';
         updateProgressUI({ completedDelta: items.length, durationMs, message });
         if (rawResult?.error) {
           setLegendError(rawResult.error);
@@ -1352,15 +3167,20 @@ async function runRemoteOrHeuristic(cfg) {
         window.__factFlagState.errors.push(result.meta.error);
       }
     }
-    ensureFallbackHighlights();
     finalizeProgress(true, 'Complete');
     updateLegendStatus();
+    if (incremental) return;
     if (result?.meta?.mode === 'heuristic-fallback') {
       showToast('Using fallback classifier (API error)');
     } else if (result?.meta?.mode === 'remote') {
-      showToast('Prompt API classification complete');
+      showToast('Local model classification complete');
     }
   } catch (err) {
+    if (isRunAborted(err, run)) throw err;
+    if (err?.code === 'CANCELLED') {
+      handleCancelledRun();
+      return;
+    }
     const message = err?.message || 'Classification failed';
     window.__factFlagState.lastRunMeta = { mode: 'error', error: message };
     window.__factFlagState.errors.push(message);
@@ -1371,6 +3191,17 @@ async function runRemoteOrHeuristic(cfg) {
   }
 }
 
+// The user cancelled, or the worker dropped this page's queued work (navigation); not
+// an error worth a toast. Progress keeps the count reached so far.
+function handleCancelledRun() {
+  window.__factFlagState.runMetrics = null;
+  const state = window.__factFlagState.progress || {};
+  state.queuePosition = 0;
+  state.etaMs = 0;
+  updateProgressUI({ status: 'cancelled' });
+  updateLegendStatus();
+}
+
 function updateLegendStatus() {
   ensureFloatingLegend();
   const meta = window.__factFlagState.lastRunMeta;
@@ -1379,7 +3210,7 @@ function updateLegendStatus() {
   let label = 'Heuristic';
   let cls = 'api-heuristic';
   if (meta) {
-    if (meta.mode === 'remote') { label = 'Prompt API'; cls = 'api-ok'; }
+    if (meta.mode === 'remote') { label = 'Local API'; cls = 'api-ok'; }
     else if (meta.mode === 'heuristic-fallback') { label = 'Fallback'; cls = 'api-fallback'; }
     else if (meta.mode === 'on-device') { label = 'On-Device'; cls = 'api-on-device'; }
     else if (meta.mode === 'on-device-unavailable') { label = 'On-Device Missing'; cls = 'api-on-device-missing'; }
@@ -1457,9 +3288,12 @@ function updateProgressUI(options = {}) {
   }, { duration: 0, count: 0 });
 
   const averagePerSentence = totals.count ? totals.duration / totals.count : 0;
-  const remaining = Math.max(0, state.total - state.completed);
-  state.etaMs = remaining * averagePerSentence;
+  // A lazy chunk estimates only itself; the rest of the page may never be classified.
+  const remaining = Math.max(0, (state.lazy ? state.target || 0 : state.total) - state.completed);
   state.status = options.status || state.status || 'running';
+  const stopped = state.status === 'paused' || state.status === 'cancelled';
+  // A paused run keeps its last estimate so the panel can show it after resuming.
+  if (state.status !== 'paused') state.etaMs = state.status === 'cancelled' ? 0 : remaining * averagePerSentence;
 
   container.classList.remove('hidden');
   if (bar) {
@@ -1468,11 +3302,15 @@ function updateProgressUI(options = {}) {
   }
 
   if (text) {
-    const etaText = state.etaMs > 1000 ? `ETA ${formatEta(state.etaMs)}` : (remaining ? 'Estimating…' : '');
-    const base = `${state.completed}/${state.total} processed`;
-    const extra = [etaText, options.message].filter(Boolean).join(' • ');
+    const etaText = stopped ? '' : (state.etaMs > 1000 ? `ETA ${formatEta(state.etaMs)}` : (remaining ? 'Estimating…' : ''));
+    const base = `${state.completed}/${state.total} ${state.lazy ? 'covered' : 'processed'}`;
+    const queueText = state.queuePosition > 0 ? `Queued #${state.queuePosition}` : '';
+    const stoppedText = state.status === 'paused' ? 'Paused' : (state.status === 'cancelled' ? 'Cancelled' : '');
+    const coverageText = state.lazy && !isProgressActive(state) ? lazyCoverageText(state) : '';
+    const extra = [stoppedText, queueText, etaText, stopped ? '' : options.message, coverageText].filter(Boolean).join(' • ');
     text.textContent = extra ? `${base} • ${extra}` : base;
   }
+  syncRunControls(container, state);
 
   if (options.error) {
     setLegendError(options.error);
@@ -1481,16 +3319,33 @@ function updateProgressUI(options = {}) {
   broadcastPanelState();
 }
 
+function lazyCoverageText(progress) {
+  if (!lazyState || progress.completed >= progress.total) return '';
+  if (progress.budgetLeft <= 0) return 'Page budget used';
+  return `Scroll for more (${progress.budgetLeft} left)`;
+}
+
+function syncRunControls(container, state) {
+  const actions = container.querySelector('.fact-progress-actions');
+  if (!actions) return;
+  const active = isProgressActive(state) && isCurrentRun(currentRun);
+  actions.classList.toggle('hidden', !active);
+  const pauseBtn = actions.querySelector('#fact-progress-pause');
+  if (pauseBtn) pauseBtn.textContent = state.status === 'paused' ? 'Resume' : 'Pause';
+}
+
 function finalizeProgress(success = true, message = '') {
   const state = window.__factFlagState.progress || {};
   state.status = success ? 'done' : 'error';
-  state.completed = state.total;
+  // Lazy coverage stays on screen: the count is what the reader has scrolled through.
+  state.completed = state.lazy ? coveredSentenceCount() : state.total;
+  state.queuePosition = 0;
   const container = ensureFloatingLegend()?.querySelector('#fact-legend-progress');
   if (container) {
     container.classList.remove('hidden');
   }
-  updateProgressUI({ setCompleted: state.total, message });
-  if (success) {
+  updateProgressUI({ setCompleted: state.completed, message: state.lazy ? '' : message });
+  if (success && !state.lazy) {
     setTimeout(() => {
       const el = document.getElementById('fact-legend-progress');
       if (el && window.__factFlagState.progress.status === 'done') {
@@ -1510,6 +3365,7 @@ function formatEta(ms) {
 }
 
 function showToast(message) {
+  if (!IS_TOP_FRAME) return;
   // Avoid spamming multiple toasts quickly
   if (document.body.querySelector('.fact-flag-toast')) return;
   const div = document.createElement('div');
@@ -1543,23 +3399,125 @@ function showToast(message) {
   }, 2800);
 }
 
+function panelStatement(c) {
+  return {
+    id: c.id,
+    text: c.text,
+    category: c.category,
+    confidence: c.confidence,
+    rationale: c.rationale,
+    override: c.override || null,
+    modelCategory: c.modelCategory,
+    calibrated: Boolean(c.calibrated),
+    inconclusive: inconclusiveReason(c) || null
+  };
+}
+
+function dismissedStatements() {
+  return (window.__factFlagState.classifications || []).filter(c => c && c.override === 'dismiss').map(panelStatement);
+}
+
+// Top-frame statements first, then each embedded frame's, with frame-qualified ids.
 function buildPanelPayload() {
+  const frames = Object.entries(window.__factFlagState.frames || {});
+  const fromFrames = key => frames.flatMap(([frameId, report]) => (report[key] || []).map(stmt => ({
+    ...stmt,
+    id: frameStatementId(Number(frameId), stmt.id),
+    frameUrl: report.url
+  })));
   return {
-    statements: (window.__factFlagState.flagged || []).map(c => ({
-      id: c.id,
-      text: c.text,
-      category: c.category,
-      confidence: c.confidence,
-      rationale: c.rationale
-    })),
+    statements: (window.__factFlagState.flagged || []).map(panelStatement).concat(fromFrames('statements')),
+    dismissed: dismissedStatements().concat(fromFrames('dismissed')),
+    inconclusive: inconclusiveClassifications().map(panelStatement).concat(fromFrames('inconclusive')),
     meta: window.__factFlagState.lastRunMeta || null,
     progress: window.__factFlagState.progress || null,
     classes: window.__factFlagState.classes || DEFAULT_CLASS_DEFS,
+    hiddenCategories: [...(window.__factFlagState.hiddenCategories || [])],
     errors: (window.__factFlagState.errors || []).slice(-5),
-    total: window.__factFlagState.sentences?.length || 0
+    total: (window.__factFlagState.sentences?.length || 0) + frames.reduce((sum, [, report]) => sum + (report.total || 0), 0)
   };
 }
 
+function frameStatementId(frameId, id) {
+  return `${id}@f${frameId}`;
+}
+
+function parseFrameStatementId(value) {
+  const match = /^(.+)@f(\d+)$/.exec(String(value || ''));
+  return match ? { id: match[1], frameId: Number(match[2]) } : null;
+}
+
+function relayToFrame(frameId, message) {
+  sendMessage({ type: 'RELAY_TO_FRAME', payload: { frameId, message } })
+    .catch(err => console.warn('[AccuracyHighlighter] Frame relay failed', err));
+}
+
+// Subframe side: send this document's results (or its departure) to the top frame.
+function reportToTopFrame(payload) {
+  if (IS_TOP_FRAME) return;
+  sendMessage({ type: 'FRAME_REPORT', payload }).catch(() => {});
+}
+
+function scheduleFrameReport() {
+  if (frameReportTimer) return;
+  frameReportTimer = setTimeout(() => {
+    frameReportTimer = null;
+    const state = window.__factFlagState;
+    const total = state.sentences?.length || 0;
+    // Most frames (ads, widgets) have no prose; stay silent unless there is something to show.
+    if (!total && !frameReported) return;
+    frameReported = true;
+    const progress = state.progress || {};
+    reportToTopFrame({
+      kind: 'state',
+      state: {
+        url: location.href,
+        total,
+        statements: (state.flagged || []).map(panelStatement),
+        dismissed: dismissedStatements(),
+        inconclusive: inconclusiveClassifications().map(panelStatement),
+        progress: { total: progress.total || 0, completed: progress.completed || 0, status: progress.status || 'idle' },
+        meta: state.lastRunMeta || null
+      }
+    });
+  }, FRAME_REPORT_THROTTLE_MS);
+}
+
+function handleFrameReport(msg) {
+  const frameId = Number(msg.frameId);
+  if (!(frameId > 0)) return;
+  const frames = window.__factFlagState.frames;
+  if (msg.kind === 'state' && msg.state) {
+    // A frame that reports for the first time still has the hidden set from Options.
+    const isNew = !frames[frameId];
+    frames[frameId] = msg.state;
+    if (isNew && window.__factFlagState.hiddenCategories?.size) relayHiddenCategories(frameId);
+  } else if (msg.kind === 'gone') {
+    delete frames[frameId];
+  } else if (msg.kind === 'focus' && msg.id) {
+    openPanel({ focusId: frameStatementId(frameId, msg.id) });
+    return;
+  }
+  renderFrameSummary();
+  broadcastPanelState();
+}
+
+function renderFrameSummary() {
+  const el = ensureFloatingLegend()?.querySelector('#fact-legend-frames');
+  if (!el) return;
+  const reports = Object.values(window.__factFlagState.frames || {}).filter(report => report.total > 0);
+  if (!reports.length) {
+    el.textContent = '';
+    el.classList.add('hidden');
+    return;
+  }
+  const flagged = reports.reduce((sum, report) => sum + (report.statements?.length || 0), 0);
+  const busy = reports.filter(report => ['pending', 'running', 'paused'].includes(report.progress?.status)).length;
+  const frameWord = reports.length === 1 ? 'frame' : 'frames';
+  el.textContent = `Embedded ${frameWord}: ${flagged} flagged in ${reports.length}${busy ? ` • ${busy} running` : ''}`;
+  el.classList.remove('hidden');
+}
+
 function focusPanelOnHighlight(id) {
   if (!id) return;
   window.__factFlagState.pendingPanelFocus = id;
@@ -1589,6 +3547,10 @@ function focusPanelOnHighlight(id) {
 }
 
 function broadcastPanelState() {
+  if (!IS_TOP_FRAME) {
+    scheduleFrameReport();
+    return;
+  }
   const frame = document.getElementById('fact-panel-frame');
   if (!frame || !frame.contentWindow) return;
   try {
@@ -1,10 +1,14 @@
-// options.js - manage on-device model settings, runtime behavior, category definitions, and prompt template.
+// options.js - manage classifier backend settings, runtime behavior, category definitions, rule packs,
+// few-shot examples, prompt template, corrections and the local usage dashboard.
 
 const DEFAULT_PROMPT_TEMPLATE = `You are a factuality, debate and rhetoric classifier. Output ONLY JSON. 
 Definitions:
 {{DEFINITIONS}}
+Examples (statement -> category):
+{{EXAMPLES}}
 Statements (JSON array):
 {{STATEMENTS_JSON}}
+Statement language: {{LANGUAGE}}
 Categories: {{CLASS_IDS}}
 Rules:
 - Return {"items":[...]} with objects that always include "category" ONLY WHEN CATEGORY IS NEUTRAL.
@@ -15,65 +19,163 @@ Rules:
 
 const DEFAULT_CLASSES = [
   // { id: 'false', label: 'False', definition: 'Contradicts well-established facts.', color: '#ef4444', textColor: '#ffffff' },
-  { id: 'debated', label: 'Debated', definition: 'Opinions disputed or with multiple viewpoints.', color: '#facc15', textColor: '#ffffff' },
-  { id: 'hyperbole', label: 'Hyperbole', definition: 'Rhetorical or promotional exaggeration.', color: '#fb923c', textColor: '#ffffff' },
-  { id: 'neutral', label: 'Neutral', definition: 'No issues detected.', color: '#9ca3af', textColor: '#ffffff' }
+  { id: 'debated', label: 'Debated', labels: { de: 'Umstritten', es: 'Debatido', fr: 'Débattu' }, definition: 'Opinions disputed or with multiple viewpoints.', color: '#facc15', textColor: '#ffffff' },
+  { id: 'hyperbole', label: 'Hyperbole', labels: { de: 'Übertreibung', es: 'Hipérbole', fr: 'Hyperbole' }, definition: 'Rhetorical or promotional exaggeration.', color: '#fb923c', textColor: '#ffffff' },
+  { id: 'neutral', label: 'Neutral', labels: { de: 'Neutral', es: 'Neutral', fr: 'Neutre' }, definition: 'No issues detected.', color: '#9ca3af', textColor: '#ffffff' }
 ];
 
 const els = {
+  classifierBackend: document.getElementById('classifierBackend'),
+  backendDescription: document.getElementById('backendDescription'),
   modelId: document.getElementById('modelId'),
+  localEndpoint: document.getElementById('localEndpoint'),
+  localModel: document.getElementById('localModel'),
+  localApiKey: document.getElementById('localApiKey'),
   saveApi: document.getElementById('saveApi'),
-  enablePromptApi: document.getElementById('enablePromptApi'),
+  testBackend: document.getElementById('testBackend'),
+  backendTestResult: document.getElementById('backendTestResult'),
   privacyMode: document.getElementById('privacyMode'),
+  showInconclusive: document.getElementById('showInconclusive'),
   debugLogging: document.getElementById('debugLogging'),
   maxSentences: document.getElementById('maxSentences'),
+  lazyClassification: document.getElementById('lazyClassification'),
+  sentenceBudget: document.getElementById('sentenceBudget'),
+  mainContentDetection: document.getElementById('mainContentDetection'),
+  mainContentSelectors: document.getElementById('mainContentSelectors'),
+  excludedLanguages: document.getElementById('excludedLanguages'),
+  highlightRenderer: document.getElementById('highlightRenderer'),
   batchSize: document.getElementById('batchSize'),
   saveBehavior: document.getElementById('saveBehavior'),
   promptTemplate: document.getElementById('promptTemplate'),
   savePrompt: document.getElementById('savePrompt'),
   resetPrompt: document.getElementById('resetPrompt'),
   purgeCache: document.getElementById('purgeCache'),
+  cacheMaxEntries: document.getElementById('cacheMaxEntries'),
+  cacheTtlHours: document.getElementById('cacheTtlHours'),
+  saveCache: document.getElementById('saveCache'),
   classList: document.getElementById('classList'),
   addClassBtn: document.getElementById('addClassBtn'),
   saveClasses: document.getElementById('saveClasses'),
+  rulePackList: document.getElementById('rulePackList'),
+  rulePackEditorWrap: document.getElementById('rulePackEditorWrap'),
+  rulePackEditor: document.getElementById('rulePackEditor'),
+  rulePackErrors: document.getElementById('rulePackErrors'),
+  saveRulePack: document.getElementById('saveRulePack'),
+  cancelRulePack: document.getElementById('cancelRulePack'),
+  newRulePack: document.getElementById('newRulePack'),
+  importRulePack: document.getElementById('importRulePack'),
+  resetRulePacks: document.getElementById('resetRulePacks'),
+  rulePackFile: document.getElementById('rulePackFile'),
+  usageRange: document.getElementById('usageRange'),
+  usageMetric: document.getElementById('usageMetric'),
+  usageTotals: document.getElementById('usageTotals'),
+  usageByDay: document.getElementById('usageByDay'),
+  usageByDomain: document.getElementById('usageByDomain'),
+  refreshUsage: document.getElementById('refreshUsage'),
+  exportUsage: document.getElementById('exportUsage'),
+  clearUsage: document.getElementById('clearUsage'),
+  exampleBankList: document.getElementById('exampleBankList'),
+  exampleTokenBudget: document.getElementById('exampleTokenBudget'),
+  learnFromCorrections: document.getElementById('learnFromCorrections'),
+  saveExamples: document.getElementById('saveExamples'),
+  overrideList: document.getElementById('overrideList'),
+  reliabilityList: document.getElementById('reliabilityList'),
+  refreshOverrides: document.getElementById('refreshOverrides'),
+  clearOverrides: document.getElementById('clearOverrides'),
   toastHost: document.getElementById('toastHost')
 };
 
 let editableClasses = [];
 let toastTimer = null;
+let backendDescriptions = {};
+let rulePacks = [];
+let editingPackIndex = null;
+let usageSummary = null;
+let exampleBank = {};
+let overrideRecords = [];
+
+// Shared with the worker so validation here matches what the engine accepts.
+const rulePackModule = import('../classifier/rulePacks.js');
+const backendsModule = import('../classifier/backends.js');
 
 init();
 
 function init() {
-  loadAll();
+  // Corrections are listed with category labels, so they wait for the classes.
+  loadAll().then(loadOverrides);
+  loadUsage();
   wire();
 }
 
 function wire() {
   els.saveApi.addEventListener('click', saveApiSettings);
+  els.testBackend.addEventListener('click', testBackend);
+  els.classifierBackend.addEventListener('change', updateBackendFields);
   els.saveBehavior.addEventListener('click', saveBehaviorSettings);
   els.savePrompt.addEventListener('click', savePromptTemplate);
   els.resetPrompt.addEventListener('click', resetPromptTemplate);
   els.purgeCache.addEventListener('click', purgeCache);
+  els.saveCache.addEventListener('click', saveCacheSettings);
   els.addClassBtn.addEventListener('click', addClassCard);
   els.saveClasses.addEventListener('click', persistClasses);
+  els.saveRulePack.addEventListener('click', saveRulePackFromEditor);
+  els.cancelRulePack.addEventListener('click', closeRulePackEditor);
+  els.newRulePack.addEventListener('click', () => openRulePackEditor(-1));
+  els.importRulePack.addEventListener('click', () => els.rulePackFile.click());
+  els.rulePackFile.addEventListener('change', importRulePackFile);
+  els.resetRulePacks.addEventListener('click', restoreBuiltInPack);
+  els.usageRange.addEventListener('change', loadUsage);
+  els.usageMetric.addEventListener('change', renderUsageCharts);
+  els.refreshUsage.addEventListener('click', loadUsage);
+  els.exportUsage.addEventListener('click', exportUsage);
+  els.clearUsage.addEventListener('click', clearUsage);
+  els.saveExamples.addEventListener('click', saveExampleBank);
+  els.refreshOverrides.addEventListener('click', loadOverrides);
+  els.clearOverrides.addEventListener('click', clearAllOverrides);
 }
 
 async function loadAll() {
   const data = await chrome.storage.local.get([
-    'modelId','enablePromptApi','privacyMode','maxSentences','batchSize','promptTemplate','classificationClasses','debugLogging'
+    'modelId','enablePromptApi','privacyMode','showInconclusive','maxSentences','lazyClassification','sentenceBudget','mainContentDetection','mainContentSelectors','excludedLanguages','highlightRenderer','batchSize','promptTemplate','classificationClasses','debugLogging',
+    'cacheMaxEntries','cacheTtlHours','classifierBackend','localEndpoint','localModel','localApiKey','rulePacks',
+    'exampleBank','exampleTokenBudget','learnFromCorrections'
   ]);
 
+  await loadBackendOptions();
+  els.classifierBackend.value = data.classifierBackend || ((data.enablePromptApi ?? true) ? 'on-device' : 'heuristic');
+  if (!els.classifierBackend.value) els.classifierBackend.value = 'on-device';
   els.modelId.value = data.modelId || 'gemini-nano';
-  els.enablePromptApi.checked = data.enablePromptApi ?? true;
+  els.localEndpoint.value = data.localEndpoint || '';
+  els.localModel.value = data.localModel || '';
+  els.localApiKey.value = data.localApiKey || '';
+  updateBackendFields();
   els.privacyMode.checked = data.privacyMode ?? false;
+  els.showInconclusive.checked = data.showInconclusive ?? true;
   els.debugLogging.checked = data.debugLogging ?? true;
   els.maxSentences.value = data.maxSentences ?? 60;
+  els.lazyClassification.checked = data.lazyClassification ?? false;
+  els.sentenceBudget.value = data.sentenceBudget ?? 300;
+  els.mainContentDetection.checked = data.mainContentDetection ?? true;
+  els.mainContentSelectors.value = Object.entries(data.mainContentSelectors || {})
+    .map(([host, selector]) => `${host} ${selector}`)
+    .join('\n');
+  els.excludedLanguages.value = (data.excludedLanguages || []).join(', ');
+  els.highlightRenderer.value = data.highlightRenderer === 'highlight-api' ? 'highlight-api' : 'spans';
   els.batchSize.value = data.batchSize ?? 20;
   els.promptTemplate.value = data.promptTemplate || DEFAULT_PROMPT_TEMPLATE;
+  els.cacheMaxEntries.value = data.cacheMaxEntries ?? 5000;
+  els.cacheTtlHours.value = data.cacheTtlHours ?? 24;
 
   editableClasses = normalizeClassesForUI(data.classificationClasses);
   renderClassList();
+  exampleBank = data.exampleBank && typeof data.exampleBank === 'object' ? data.exampleBank : {};
+  els.exampleTokenBudget.value = data.exampleTokenBudget ?? 300;
+  els.learnFromCorrections.checked = data.learnFromCorrections ?? true;
+  renderExampleBank();
+
+  const { DEFAULT_RULE_PACK } = await rulePackModule;
+  rulePacks = Array.isArray(data.rulePacks) ? data.rulePacks : [structuredClone(DEFAULT_RULE_PACK)];
+  renderRulePacks();
 }
 
 function normalizeClassesForUI(raw) {
@@ -93,9 +195,13 @@ function normalizeClassesForUI(raw) {
     const fallback = DEFAULT_CLASSES.find(c => c.id === id) || {};
     const label = String(item.label || fallback.label || id).trim() || id;
     const definition = String(item.definition || fallback.definition || '').trim();
+    const labels = item.labels && typeof item.labels === 'object'
+      ? item.labels
+      : (label === fallback.label ? { ...fallback.labels } : {});
     const color = validateHex(item.color) ? item.color : (fallback.color || palette[idx % palette.length] || '#64748b');
     const textColor = validateHex(item.textColor) ? item.textColor : (fallback.textColor || idealTextColor(color));
-    acc.push({ id, label, definition, color, textColor });
+    const minConfidence = Math.min(1, Math.max(0, Number(item.minConfidence) || 0));
+    acc.push({ id, label, labels, definition, color, textColor, minConfidence, hidden: item.hidden === true });
     return acc;
   }, []);
   if (!normalized.some(c => c.id === 'neutral')) {
@@ -110,6 +216,8 @@ function renderClassList() {
   editableClasses.forEach((cls, index) => {
     const previewColor = validateHex(cls.color) ? cls.color : '#64748b';
     const definitionValue = (cls.definition || '').replace(/[\r\n]+/g, ' ').trim();
+    // Neutral sentences are never highlighted, so there is nothing to threshold or hide.
+    const displayOnly = cls.id === 'neutral' ? ' disabled' : '';
     const row = document.createElement('div');
     row.className = 'class-row-slim';
     row.dataset.index = String(index);
@@ -117,6 +225,9 @@ function renderClassList() {
       <span class="class-color-dot" style="background:${escapeAttr(previewColor)};"></span>
       <input type="text" value="${escapeAttr(cls.label)}" data-field="label" placeholder="Category name" aria-label="Category name" />
       <input type="text" value="${escapeAttr(definitionValue)}" data-field="definition" placeholder="Definition" aria-label="Category definition" class="definition-input" />
+      <input type="text" value="${escapeAttr(formatLabels(cls.labels))}" data-field="labels" placeholder="de: …, fr: …" aria-label="Translated names" title="Name shown to browsers in other languages, as code: name pairs" class="labels-input" />
+      <input type="number" min="0" max="100" step="5" value="${Math.round((cls.minConfidence || 0) * 100)}" data-field="minConfidence" aria-label="Minimum confidence (%)" title="Highlight only from this confidence (%); your corrections always show" class="threshold-input"${displayOnly} />
+      <input type="checkbox" ${cls.hidden ? '' : 'checked'} data-field="visible" aria-label="Show highlights" title="Show these highlights when a page loads; the legend chips toggle them on the page"${displayOnly} />
       <input type="color" value="${escapeAttr(previewColor)}" data-field="color" aria-label="Accent color" />
       <button type="button" class="class-remove" aria-label="Remove category">×</button>
     `;
@@ -131,7 +242,7 @@ function attachClassRowHandlers(row, index) {
     input.addEventListener('input', (event) => {
       const field = event.currentTarget.dataset.field;
       if (!field) return;
-      const value = event.currentTarget.value;
+      const value = event.currentTarget.type === 'checkbox' ? event.currentTarget.checked : event.currentTarget.value;
       applyClassUpdate(index, field, value);
       if (field === 'label' || field === 'color' || field === 'definition') {
         refreshClassRow(row, editableClasses[index]);
@@ -155,7 +266,29 @@ function applyClassUpdate(index, field, rawValue) {
     editableClasses[index] = { ...cls, label: rawValue };
   } else if (field === 'definition') {
     editableClasses[index] = { ...cls, definition: rawValue };
+  } else if (field === 'labels') {
+    editableClasses[index] = { ...cls, labelsText: rawValue };
+  } else if (field === 'minConfidence') {
+    const percent = Math.min(100, Math.max(0, Number(rawValue) || 0));
+    editableClasses[index] = { ...cls, minConfidence: percent / 100 };
+  } else if (field === 'visible') {
+    editableClasses[index] = { ...cls, hidden: !rawValue };
+  }
+}
+
+function formatLabels(labels) {
+  return Object.entries(labels || {}).map(([code, name]) => `${code}: ${name}`).join(', ');
+}
+
+// "de: Umstritten, fr: Débattu" -> { de: 'Umstritten', fr: 'Débattu' }; null when malformed.
+function parseLabels(text) {
+  const labels = {};
+  for (const part of String(text || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^([a-z]{2,3}(?:-[a-z0-9]{2,8})?)\s*:\s*(.+)$/i);
+    if (!match) return null;
+    labels[match[1].toLowerCase()] = match[2].trim();
   }
+  return labels;
 }
 
 function refreshClassRow(row, cls) {
@@ -213,14 +346,22 @@ async function persistClasses() {
       return;
     }
     seen.add(id);
+    const labels = cls.labelsText === undefined ? cls.labels || {} : parseLabels(cls.labelsText);
+    if (!labels) {
+      toast(`Translations for ${label} should look like "de: Name, fr: Nom".`);
+      return;
+    }
     const color = validateHex(cls.color) ? cls.color : '#64748b';
     const textColor = idealTextColor(color);
     cleaned.push({
       id,
       label,
+      labels,
       definition: (cls.definition || '').trim(),
       color,
-      textColor
+      textColor,
+      minConfidence: id === 'neutral' ? 0 : cls.minConfidence || 0,
+      hidden: id !== 'neutral' && cls.hidden === true
     });
   }
   if (!cleaned.length) {
@@ -234,6 +375,7 @@ async function persistClasses() {
       cleaned.push({
         id: 'neutral',
         label: fallbackNeutral.label,
+        labels: { ...fallbackNeutral.labels },
         definition: fallbackNeutral.definition,
         color,
         textColor: fallbackNeutral.textColor || idealTextColor(color)
@@ -243,31 +385,331 @@ async function persistClasses() {
   await chrome.storage.local.set({ classificationClasses: cleaned });
   editableClasses = cleaned.map(c => ({ ...c }));
   renderClassList();
+  renderExampleBank();
+  renderRulePacks();
   toast('Categories saved');
 }
 
+// The worker owns the backend registry; the static <option>s cover a worker that is not answering.
+async function loadBackendOptions() {
+  let resp = null;
+  try {
+    resp = await chrome.runtime.sendMessage({ type: 'LIST_BACKENDS', version: 1 });
+  } catch (err) {
+    resp = null;
+  }
+  if (!resp || !resp.ok || !Array.isArray(resp.result?.backends)) return;
+  els.classifierBackend.innerHTML = '';
+  backendDescriptions = {};
+  resp.result.backends.forEach(backend => {
+    const option = document.createElement('option');
+    option.value = backend.id;
+    option.textContent = backend.label || backend.id;
+    els.classifierBackend.appendChild(option);
+    backendDescriptions[backend.id] = backend.description || '';
+  });
+}
+
+function updateBackendFields() {
+  const selected = els.classifierBackend.value;
+  document.querySelectorAll('[data-backend]').forEach(field => {
+    field.classList.toggle('hidden', field.dataset.backend !== selected);
+  });
+  els.backendDescription.textContent = backendDescriptions[selected] || '';
+  els.backendTestResult.textContent = '';
+}
+
+function backendFormValues() {
+  return {
+    modelId: els.modelId.value.trim() || 'gemini-nano',
+    localEndpoint: els.localEndpoint.value.trim(),
+    localModel: els.localModel.value.trim(),
+    localApiKey: els.localApiKey.value.trim()
+  };
+}
+
+function renderRulePacks() {
+  els.rulePackList.innerHTML = '';
+  if (!rulePacks.length) {
+    const empty = document.createElement('span');
+    empty.className = 'prompt-note';
+    empty.textContent = 'No rule packs installed – the heuristic backend will not flag anything.';
+    els.rulePackList.appendChild(empty);
+    return;
+  }
+  const knownCategories = new Set(editableClasses.map(c => c.id));
+  rulePacks.forEach((pack, index) => {
+    const row = document.createElement('div');
+    row.className = `pack-row${pack.enabled === false ? ' disabled' : ''}`;
+
+    const head = document.createElement('div');
+    head.className = 'pack-head';
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = pack.enabled !== false;
+    enabled.setAttribute('aria-label', `Enable ${pack.name || pack.id}`);
+    enabled.addEventListener('change', () => {
+      pack.enabled = enabled.checked;
+      persistRulePacks(enabled.checked ? 'Pack enabled' : 'Pack disabled');
+    });
+    const name = document.createElement('strong');
+    name.textContent = pack.name || pack.id;
+    const meta = document.createElement('span');
+    meta.className = 'prompt-note';
+    const ruleCount = Array.isArray(pack.rules) ? pack.rules.length : 0;
+    const languages = Array.isArray(pack.languages) && pack.languages.length ? ` • ${pack.languages.join(', ')}` : '';
+    meta.textContent = `${ruleCount} rule${ruleCount === 1 ? '' : 's'}${languages}${pack.description ? ` • ${pack.description}` : ''}`;
+    head.append(enabled, name, meta,
+      packButton('Edit', 'secondary', () => openRulePackEditor(index)),
+      packButton('Export', 'ghost', () => exportRulePack(pack)),
+      packButton('Remove', 'danger', () => removeRulePack(index)));
+
+    const cats = document.createElement('div');
+    cats.className = 'pack-categories';
+    const disabled = new Set(pack.disabledCategories || []);
+    const categories = [...new Set((pack.rules || []).map(rule => String(rule.category || '').toLowerCase()).filter(Boolean))];
+    categories.forEach(category => {
+      const label = document.createElement('label');
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = !disabled.has(category);
+      toggle.addEventListener('change', () => {
+        const next = new Set(pack.disabledCategories || []);
+        if (toggle.checked) next.delete(category); else next.add(category);
+        pack.disabledCategories = [...next];
+        persistRulePacks(`${category} rules ${toggle.checked ? 'enabled' : 'disabled'}`);
+      });
+      label.appendChild(toggle);
+      const cls = editableClasses.find(c => c.id === category);
+      label.append(cls ? cls.label : category);
+      if (!knownCategories.has(category)) {
+        label.classList.add('unknown');
+        label.title = 'No category with this id exists; these rules are ignored until you add it.';
+      }
+      cats.appendChild(label);
+    });
+
+    row.append(head, cats);
+    els.rulePackList.appendChild(row);
+  });
+}
+
+function packButton(text, variant, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = variant;
+  btn.textContent = text;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+async function persistRulePacks(message) {
+  await chrome.storage.local.set({ rulePacks });
+  renderRulePacks();
+  if (message) toast(message);
+}
+
+function openRulePackEditor(index) {
+  editingPackIndex = index;
+  const source = index >= 0 ? rulePacks[index] : {
+    id: `custom-${Date.now().toString(36)}`,
+    name: 'Custom rules',
+    rules: [{ id: 'example', category: 'hyperbole', weight: 0.6, words: ['mind-blowing'], rationale: 'Promotional phrasing.' }]
+  };
+  // Enable state is managed by the toggles, so keep it out of the editable document.
+  const { enabled, disabledCategories, ...doc } = source;
+  els.rulePackEditor.value = JSON.stringify(doc, null, 2);
+  els.rulePackErrors.textContent = '';
+  els.rulePackEditorWrap.classList.remove('hidden');
+  els.rulePackEditor.focus();
+}
+
+function closeRulePackEditor() {
+  editingPackIndex = null;
+  els.rulePackErrors.textContent = '';
+  els.rulePackEditorWrap.classList.add('hidden');
+}
+
+async function parseRulePack(text) {
+  const { validateRulePack } = await rulePackModule;
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (err) {
+    return { errors: [`Not valid JSON: ${err.message}`] };
+  }
+  const errors = validateRulePack(pack);
+  return { pack, errors };
+}
+
+async function saveRulePackFromEditor() {
+  const { pack, errors } = await parseRulePack(els.rulePackEditor.value);
+  const clash = pack && rulePacks.findIndex((p, i) => p.id === pack.id && i !== editingPackIndex);
+  if (pack && clash >= 0) errors.push(`Another pack already uses the id "${pack.id}".`);
+  if (errors.length) {
+    els.rulePackErrors.textContent = errors.join(' ');
+    return;
+  }
+  if (editingPackIndex >= 0) {
+    const { enabled, disabledCategories } = rulePacks[editingPackIndex];
+    rulePacks[editingPackIndex] = { ...pack, enabled, disabledCategories };
+  } else {
+    rulePacks.push({ ...pack, enabled: true });
+  }
+  closeRulePackEditor();
+  await persistRulePacks('Rule pack saved');
+}
+
+async function importRulePackFile() {
+  const file = els.rulePackFile.files && els.rulePackFile.files[0];
+  els.rulePackFile.value = '';
+  if (!file) return;
+  const { pack, errors } = await parseRulePack(await file.text());
+  if (errors.length) {
+    toast(`Import failed: ${errors[0]}`);
+    return;
+  }
+  const existing = rulePacks.findIndex(p => p.id === pack.id);
+  if (existing >= 0) {
+    rulePacks[existing] = { ...pack, enabled: rulePacks[existing].enabled, disabledCategories: rulePacks[existing].disabledCategories };
+  } else {
+    rulePacks.push({ ...pack, enabled: true });
+  }
+  await persistRulePacks(existing >= 0 ? `Replaced pack "${pack.name || pack.id}"` : `Imported pack "${pack.name || pack.id}"`);
+}
+
+function exportRulePack(pack) {
+  const { enabled, disabledCategories, ...doc } = pack;
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${pack.id}.rules.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function removeRulePack(index) {
+  const pack = rulePacks[index];
+  if (!pack || !confirm(`Remove rule pack "${pack.name || pack.id}"?`)) return;
+  rulePacks.splice(index, 1);
+  if (editingPackIndex === index) closeRulePackEditor();
+  await persistRulePacks('Rule pack removed');
+}
+
+async function restoreBuiltInPack() {
+  const { DEFAULT_RULE_PACK } = await rulePackModule;
+  const builtIn = { ...structuredClone(DEFAULT_RULE_PACK), enabled: true };
+  const existing = rulePacks.findIndex(p => p.id === DEFAULT_RULE_PACK.id);
+  if (existing >= 0) rulePacks[existing] = builtIn; else rulePacks.unshift(builtIn);
+  closeRulePackEditor();
+  await persistRulePacks('Built-in rules restored');
+}
+
 async function saveApiSettings() {
+  const classifierBackend = els.classifierBackend.value || 'on-device';
+  const values = backendFormValues();
+  const { localEndpointError } = await backendsModule;
+  const endpointProblem = localEndpointError(values.localEndpoint);
+  if (endpointProblem) {
+    toast(`Not saved: ${endpointProblem}`);
+    return;
+  }
   const payload = {
-    modelId: els.modelId.value.trim() || 'gemini-nano'
+    ...values,
+    classifierBackend,
+    // Kept in sync for code paths that still read the old toggle.
+    enablePromptApi: classifierBackend !== 'heuristic'
   };
   await chrome.storage.local.set(payload);
-  toast('Model settings saved');
+  toast('Backend settings saved');
+}
+
+async function testBackend() {
+  const backendId = els.classifierBackend.value;
+  els.testBackend.disabled = true;
+  els.backendTestResult.textContent = 'Testing…';
+  try {
+    const resp = await chrome.runtime.sendMessage({
+      type: 'TEST_BACKEND',
+      version: 1,
+      payload: { backendId, settings: backendFormValues() }
+    });
+    if (!resp || !resp.ok) {
+      els.backendTestResult.textContent = `Test failed: ${resp?.error?.message || 'no response'}`;
+      return;
+    }
+    const { label, latencyMs, items } = resp.result;
+    const first = items && items[0];
+    const verdict = first
+      ? `${first.category}${typeof first.confidence === 'number' ? ` (${Math.round(first.confidence * 100)}%)` : ''}`
+      : 'neutral';
+    els.backendTestResult.textContent = `${label} answered in ${Math.round(latencyMs)} ms • sample classified as ${verdict}`;
+  } catch (err) {
+    els.backendTestResult.textContent = `Test failed: ${err?.message || err}`;
+  } finally {
+    els.testBackend.disabled = false;
+  }
 }
 
 async function saveBehaviorSettings() {
+  const { selectors, errors } = parseContentSelectors(els.mainContentSelectors.value);
+  if (errors.length) {
+    toast(`Not saved: ${errors[0]}`);
+    return;
+  }
   const maxSent = clampInt(els.maxSentences.value, 1, 500, 60);
   const batch = clampInt(els.batchSize.value, 1, 200, 20);
   const data = {
-    enablePromptApi: els.enablePromptApi.checked,
     privacyMode: els.privacyMode.checked,
+    showInconclusive: els.showInconclusive.checked,
     debugLogging: els.debugLogging.checked,
     maxSentences: maxSent,
+    lazyClassification: els.lazyClassification.checked,
+    sentenceBudget: clampInt(els.sentenceBudget.value, 1, 5000, 300),
+    mainContentDetection: els.mainContentDetection.checked,
+    mainContentSelectors: selectors,
+    excludedLanguages: parseLanguageList(els.excludedLanguages.value),
+    highlightRenderer: els.highlightRenderer.value === 'highlight-api' ? 'highlight-api' : 'spans',
     batchSize: batch
   };
   await chrome.storage.local.set(data);
+  els.sentenceBudget.value = data.sentenceBudget;
+  els.excludedLanguages.value = data.excludedLanguages.join(', ');
   toast('Behavior saved');
 }
 
+// "de, fr-CA, Spanish" -> ['de', 'fr']; entries that are not language codes are dropped.
+function parseLanguageList(text) {
+  const codes = String(text || '').split(/[\s,;]+/)
+    .map(part => part.trim().toLowerCase().split('-')[0])
+    .filter(code => /^[a-z]{2,3}$/.test(code));
+  return [...new Set(codes)];
+}
+
+// "host selector" per line; the selector is checked here so a typo fails on save
+// rather than silently on the site.
+function parseContentSelectors(text) {
+  const selectors = {};
+  const errors = [];
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach((line, i) => {
+    const match = line.match(/^(\S+)\s+(.+)$/);
+    if (!match) {
+      errors.push(`line ${i + 1} needs a host and a selector`);
+      return;
+    }
+    const host = match[1].toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    try {
+      document.createDocumentFragment().querySelector(match[2]);
+    } catch (err) {
+      errors.push(`invalid selector for ${host}`);
+      return;
+    }
+    selectors[host] = match[2];
+  });
+  return { selectors, errors };
+}
+
 async function savePromptTemplate() {
   const val = els.promptTemplate.value.trim() || DEFAULT_PROMPT_TEMPLATE;
   await chrome.storage.local.set({ promptTemplate: val });
@@ -280,8 +722,335 @@ async function resetPromptTemplate() {
   toast('Template reset');
 }
 
+async function saveCacheSettings() {
+  const data = {
+    cacheMaxEntries: clampInt(els.cacheMaxEntries.value, 100, 100000, 5000),
+    cacheTtlHours: clampInt(els.cacheTtlHours.value, 1, 24 * 30, 24)
+  };
+  await chrome.storage.local.set(data);
+  els.cacheMaxEntries.value = data.cacheMaxEntries;
+  els.cacheTtlHours.value = data.cacheTtlHours;
+  toast('Cache settings saved');
+}
+
+async function loadUsage() {
+  const resp = await chrome.runtime.sendMessage({
+    type: 'GET_USAGE_METRICS',
+    version: 1,
+    payload: { sinceDays: Number(els.usageRange.value) || 30 }
+  }).catch(() => null);
+  if (!resp || !resp.ok) {
+    usageSummary = null;
+    els.usageTotals.textContent = `Usage data unavailable: ${resp?.error?.message || 'no response'}`;
+    els.usageByDay.innerHTML = '';
+    els.usageByDomain.innerHTML = '';
+    return;
+  }
+  usageSummary = resp.result.summary;
+  renderUsageTotals();
+  renderUsageCharts();
+}
+
+function formatCount(value) {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e4) return `${Math.round(value / 1e3)}k`;
+  return String(Math.round(value));
+}
+
+function formatUsageValue(metric, value) {
+  if (metric === 'cacheHitRate') return `${Math.round(value * 100)}%`;
+  if (metric === 'avgLatencyMs') return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`;
+  return formatCount(value);
+}
+
+function renderUsageTotals() {
+  const totals = usageSummary.totals;
+  els.usageTotals.innerHTML = '';
+  if (!totals.runs) {
+    els.usageTotals.innerHTML = '<span class="prompt-note">No runs recorded in this range yet.</span>';
+    return;
+  }
+  const tiles = [
+    ['Page runs', formatCount(totals.runs)],
+    ['Sentences / page', String(totals.sentencesPerPage)],
+    ['Classified (uncached)', formatCount(totals.evaluated)],
+    ['Cache hit rate', formatUsageValue('cacheHitRate', totals.cacheHitRate)],
+    ['Avg latency', formatUsageValue('avgLatencyMs', totals.avgLatencyMs)],
+    ['Tokens', formatCount(totals.tokens)],
+    ['Fallbacks', formatCount(totals.fallbacks)]
+  ];
+  for (const [label, value] of tiles) {
+    const tile = document.createElement('div');
+    tile.className = 'usage-tile';
+    const caption = document.createElement('span');
+    caption.textContent = label;
+    const strong = document.createElement('strong');
+    strong.textContent = value;
+    tile.append(caption, strong);
+    els.usageTotals.appendChild(tile);
+  }
+  const modes = Object.entries(usageSummary.modes || {}).sort((a, b) => b[1] - a[1]);
+  if (modes.length) {
+    const note = document.createElement('span');
+    note.className = 'prompt-note';
+    note.textContent = `Runs by mode: ${modes.map(([mode, runs]) => `${mode} ${runs}`).join(' • ')}`;
+    els.usageTotals.appendChild(note);
+  }
+}
+
+function renderUsageCharts() {
+  els.usageByDay.innerHTML = '';
+  els.usageByDomain.innerHTML = '';
+  if (!usageSummary || !usageSummary.totals.runs) return;
+  const metric = els.usageMetric.value;
+
+  // One bar per calendar day in range, so quiet days show as gaps.
+  const byDay = new Map(usageSummary.byDay.map(bucket => [bucket.key, bucket]));
+  const rangeDays = Number(els.usageRange.value) || 30;
+  const days = [];
+  for (let i = rangeDays - 1; i >= 0; i--) {
+    const d = new Date();
+    d.setDate(d.getDate() - i);
+    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    days.push({ key, value: byDay.get(key)?.[metric] || 0 });
+  }
+  const dayMax = Math.max(...days.map(d => d.value)) || 1;
+  for (const day of days) {
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.style.height = `${Math.max(day.value ? 2 : 0, (day.value / dayMax) * 100)}%`;
+    bar.title = `${day.key}: ${formatUsageValue(metric, day.value)}`;
+    els.usageByDay.appendChild(bar);
+  }
+
+  const domains = usageSummary.byDomain
+    .map(bucket => ({ key: bucket.key, value: bucket[metric] || 0 }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 10);
+  const domainMax = Math.max(...domains.map(d => d.value)) || 1;
+  for (const domain of domains) {
+    const row = document.createElement('div');
+    row.className = 'usage-domain-row';
+    const name = document.createElement('span');
+    name.textContent = domain.key;
+    name.title = domain.key;
+    const track = document.createElement('div');
+    track.className = 'track';
+    const fill = document.createElement('div');
+    fill.className = 'fill';
+    fill.style.width = `${(domain.value / domainMax) * 100}%`;
+    track.appendChild(fill);
+    const value = document.createElement('span');
+    value.textContent = formatUsageValue(metric, domain.value);
+    row.append(name, track, value);
+    els.usageByDomain.appendChild(row);
+  }
+}
+
+async function exportUsage() {
+  const resp = await chrome.runtime.sendMessage({
+    type: 'GET_USAGE_METRICS',
+    version: 1,
+    payload: { includeRuns: true }
+  }).catch(() => null);
+  if (!resp || !resp.ok) {
+    toast(`Export failed: ${resp?.error?.message || 'no response'}`);
+    return;
+  }
+  const blob = new Blob([JSON.stringify(resp.result, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `debatable-usage-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function clearUsage() {
+  if (!confirm('Delete all recorded usage history?')) return;
+  const resp = await chrome.runtime.sendMessage({ type: 'CLEAR_USAGE_METRICS', version: 1 }).catch(() => null);
+  if (!resp || !resp.ok) {
+    toast(`Clear failed: ${resp?.error?.message || 'no response'}`);
+    return;
+  }
+  toast('Usage history cleared');
+  loadUsage();
+}
+
+// One textarea per category, a sentence per line; corrections are counted, not listed.
+function renderExampleBank() {
+  // Keep unsaved edits across re-renders (categories saved, corrections reloaded).
+  els.exampleBankList.querySelectorAll('textarea[data-category]').forEach(area => {
+    exampleBank[area.dataset.category] = area.value.split('\n');
+  });
+  els.exampleBankList.innerHTML = '';
+  const corrections = new Map();
+  for (const record of overrideRecords) {
+    const category = record.action === 'dismiss' ? 'neutral' : record.category;
+    corrections.set(category, (corrections.get(category) || 0) + 1);
+  }
+  for (const cls of editableClasses) {
+    const field = document.createElement('label');
+    field.className = 'field';
+    const title = document.createElement('strong');
+    title.textContent = cls.label || cls.id;
+    const area = document.createElement('textarea');
+    area.className = 'compact';
+    area.dataset.category = cls.id;
+    area.placeholder = `One ${cls.label || cls.id} sentence per line`;
+    area.value = (exampleBank[cls.id] || []).join('\n').trim();
+    const note = document.createElement('span');
+    note.className = 'prompt-note';
+    const count = corrections.get(cls.id) || 0;
+    note.textContent = count ? `+ ${count} from your corrections` : '';
+    field.append(title, area, note);
+    els.exampleBankList.appendChild(field);
+  }
+}
+
+async function saveExampleBank() {
+  const bank = {};
+  els.exampleBankList.querySelectorAll('textarea[data-category]').forEach(area => {
+    const lines = [...new Set(area.value.split('\n').map(line => line.trim()).filter(Boolean))];
+    if (lines.length) bank[area.dataset.category] = lines;
+  });
+  const data = {
+    exampleBank: bank,
+    exampleTokenBudget: clampInt(els.exampleTokenBudget.value, 0, 4000, 300),
+    learnFromCorrections: els.learnFromCorrections.checked
+  };
+  await chrome.storage.local.set(data);
+  exampleBank = bank;
+  els.exampleTokenBudget.value = data.exampleTokenBudget;
+  renderExampleBank();
+  toast('Examples saved');
+}
+
+async function loadOverrides() {
+  const resp = await chrome.runtime.sendMessage({ type: 'LIST_OVERRIDES', version: 1 }).catch(() => null);
+  els.overrideList.innerHTML = '';
+  if (!resp || !resp.ok) {
+    els.overrideList.textContent = `Corrections unavailable: ${resp?.error?.message || 'no response'}`;
+    return;
+  }
+  const overrides = resp.result.overrides || [];
+  overrideRecords = overrides;
+  renderExampleBank();
+  loadCalibration();
+  if (!overrides.length) {
+    const empty = document.createElement('span');
+    empty.className = 'prompt-note';
+    empty.textContent = 'No corrections yet. Use the buttons on a highlight\'s tooltip or in the panel.';
+    els.overrideList.appendChild(empty);
+    return;
+  }
+  const labelOf = id => editableClasses.find(c => c.id === id)?.label || id;
+  for (const record of overrides) {
+    const row = document.createElement('div');
+    row.className = 'pack-row override-row';
+    const head = document.createElement('div');
+    head.className = 'pack-head';
+    const action = document.createElement('strong');
+    action.textContent = record.action === 'dismiss'
+      ? 'Dismissed'
+      : record.action === 'confirm' ? `Confirmed as ${labelOf(record.category)}` : `Moved to ${labelOf(record.category)}`;
+    const meta = document.createElement('span');
+    meta.className = 'prompt-note';
+    const was = record.modelCategory && record.action !== 'confirm' ? ` • model said ${labelOf(record.modelCategory)}` : '';
+    meta.textContent = `${record.pattern}${was} • ${new Date(record.ts).toLocaleDateString()}`;
+    const text = document.createElement('span');
+    text.className = 'override-text';
+    text.textContent = record.text || record.sentenceId;
+    head.append(action, meta, packButton('Remove', 'danger', () => removeOverride(record.key)), text);
+    row.appendChild(head);
+    els.overrideList.appendChild(row);
+  }
+}
+
+async function loadCalibration() {
+  const resp = await chrome.runtime.sendMessage({
+    type: 'GET_CALIBRATION',
+    version: 1,
+    payload: { includeReliability: true }
+  }).catch(() => null);
+  els.reliabilityList.innerHTML = '';
+  if (!resp || !resp.ok) {
+    els.reliabilityList.textContent = `Calibration unavailable: ${resp?.error?.message || 'no response'}`;
+    return;
+  }
+  const reliability = resp.result.reliability || [];
+  if (!reliability.length) {
+    const empty = document.createElement('span');
+    empty.className = 'prompt-note';
+    empty.textContent = 'No corrections with a model confidence yet.';
+    els.reliabilityList.appendChild(empty);
+    return;
+  }
+  const labelOf = id => editableClasses.find(c => c.id === id)?.label || id;
+  const pct = value => `${Math.round(value * 100)}%`;
+  for (const entry of reliability) {
+    const block = document.createElement('div');
+    const title = document.createElement('h3');
+    const backend = [...els.classifierBackend.options].find(option => option.value === entry.backend);
+    title.textContent = `${backend ? backend.textContent : entry.backend} • ${labelOf(entry.category)}`;
+    const chart = document.createElement('div');
+    chart.className = 'reliability-chart';
+    for (const bin of entry.bins) {
+      const column = document.createElement('div');
+      column.className = 'reliability-bin';
+      column.title = bin.count
+        ? `${pct(bin.from)}–${pct(bin.to)}: ${bin.count} corrections, ${pct(bin.acceptRate)} confirmed, calibrated ${pct(bin.calibrated)}`
+        : `${pct(bin.from)}–${pct(bin.to)}: no corrections`;
+      if (bin.count) {
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.height = pct(bin.acceptRate);
+        const raw = document.createElement('div');
+        raw.className = 'mark raw';
+        raw.style.bottom = pct(bin.meanConfidence);
+        const calibrated = document.createElement('div');
+        calibrated.className = 'mark calibrated';
+        calibrated.style.bottom = pct(bin.calibrated);
+        column.append(bar, raw, calibrated);
+      }
+      chart.appendChild(column);
+    }
+    const note = document.createElement('span');
+    note.className = 'prompt-note';
+    const fit = entry.model ? (entry.model.kind === 'isotonic' ? 'isotonic fit' : 'logistic fit') : 'not calibrated yet';
+    note.textContent = `${entry.samples} correction${entry.samples === 1 ? '' : 's'} • ${fit}`;
+    block.append(title, chart, note);
+    els.reliabilityList.appendChild(block);
+  }
+}
+
+async function removeOverride(key) {
+  const resp = await chrome.runtime.sendMessage({ type: 'DELETE_OVERRIDE', version: 1, payload: { key } }).catch(() => null);
+  if (!resp || !resp.ok) {
+    toast(`Remove failed: ${resp?.error?.message || 'no response'}`);
+    return;
+  }
+  toast('Correction removed');
+  loadOverrides();
+}
+
+async function clearAllOverrides() {
+  if (!confirm('Delete all of your corrections?')) return;
+  const resp = await chrome.runtime.sendMessage({ type: 'CLEAR_OVERRIDES', version: 1 }).catch(() => null);
+  if (!resp || !resp.ok) {
+    toast(`Clear failed: ${resp?.error?.message || 'no response'}`);
+    return;
+  }
+  toast('Corrections cleared');
+  loadOverrides();
+}
+
 async function purgeCache() {
-  await chrome.runtime.sendMessage({ type: 'PURGE_CACHE' });
+  const resp = await chrome.runtime.sendMessage({ type: 'PURGE_CACHE', version: 1 });
+  if (!resp || !resp.ok) {
+    toast(`Purge failed: ${resp?.error?.message || 'no response'}`);
+    return;
+  }
   toast('Cache purged');
 }
 
@@ -11,15 +11,27 @@ const progressCard = document.getElementById('progressCard');
 const progressLabel = document.getElementById('progressLabel');
 const progressEta = document.getElementById('progressEta');
 const progressFill = document.getElementById('progressFill');
+const progressActions = document.getElementById('progressActions');
+const pauseBtn = document.getElementById('pauseBtn');
+const cancelRunBtn = document.getElementById('cancelRunBtn');
 const errorCard = document.getElementById('errorCard');
 const modePill = document.getElementById('modePill');
+const dismissedCard = document.getElementById('dismissedCard');
+const dismissedList = document.getElementById('dismissedList');
+const dismissedCount = document.getElementById('dismissedCount');
+const inconclusiveCard = document.getElementById('inconclusiveCard');
+const inconclusiveList = document.getElementById('inconclusiveList');
+const inconclusiveCount = document.getElementById('inconclusiveCount');
 const state = {
   statements: [],
+  dismissed: [],
+  inconclusive: [],
   meta: null,
   progress: null,
   classes: [],
   errors: [],
   total: 0,
+  // Categories with highlights on the page; the legend chips and these filters share it.
   activeFilters: new Set()
 };
 
@@ -30,7 +42,7 @@ window.addEventListener('message', event => {
   if (!event || event.source !== window.parent) return;
   const { type, payload, id } = event.data || {};
   if (type === 'FACT_PANEL_STATE' && payload) {
-    syncState(payload, { preserveFilters: true });
+    syncState(payload);
     render();
   } else if (type === 'FACT_PANEL_SCROLL_TO' && id) {
     requestPanelFocus(id);
@@ -53,10 +65,36 @@ closeBtn.addEventListener('click', () => {
   closePanel();
 });
 
+pauseBtn.addEventListener('click', () => {
+  const type = state.progress?.status === 'paused' ? 'FACT_PANEL_RESUME' : 'FACT_PANEL_PAUSE';
+  runControl(type);
+});
+
+cancelRunBtn.addEventListener('click', () => {
+  runControl('FACT_PANEL_CANCEL');
+});
+
+async function runControl(type) {
+  pauseBtn.disabled = true;
+  cancelRunBtn.disabled = true;
+  try {
+    const resp = await sendToContent({ type });
+    if (resp.progress) {
+      state.progress = resp.progress;
+      renderProgress();
+    }
+  } catch (err) {
+    console.warn('Run control failed', err);
+  } finally {
+    pauseBtn.disabled = false;
+    cancelRunBtn.disabled = false;
+  }
+}
+
 async function fetchData() {
   try {
     const data = await sendToContent({ type: 'FACT_PANEL_REQUEST_DATA' });
-    syncState(data, { preserveFilters: state.activeFilters.size > 0 });
+    syncState(data);
     render();
   } catch (err) {
     errorCard.classList.remove('hidden');
@@ -64,22 +102,18 @@ async function fetchData() {
   }
 }
 
-function syncState(data, { preserveFilters = false } = {}) {
-  const prevFilters = preserveFilters ? new Set(state.activeFilters) : new Set();
+function syncState(data) {
   state.statements = data.statements || [];
+  state.dismissed = data.dismissed || [];
+  state.inconclusive = data.inconclusive || [];
   state.meta = data.meta || null;
   state.progress = data.progress || null;
   state.classes = normalizeClasses(data.classes || []);
   state.errors = data.errors || [];
   state.total = data.total || 0;
 
-  const classIds = new Set(state.classes.map(c => c.id));
-  const nextFilters = new Set([...prevFilters].filter(id => classIds.has(id)));
-  if (nextFilters.size === 0) {
-    const defaults = state.classes.filter(c => c.id !== 'neutral').map(c => c.id);
-    defaults.forEach(id => nextFilters.add(id));
-  }
-  state.activeFilters = nextFilters;
+  const hidden = new Set(data.hiddenCategories || []);
+  state.activeFilters = new Set(state.classes.filter(c => c.id !== 'neutral' && !hidden.has(c.id)).map(c => c.id));
   if (pendingFocusId) {
     ensureFiltersInclude(pendingFocusId);
   }
@@ -88,6 +122,8 @@ function syncState(data, { preserveFilters = false } = {}) {
 function render() {
   renderFilters();
   renderList();
+  renderDismissed();
+  renderInconclusive();
   renderStats();
   renderProgress();
   renderErrors();
@@ -109,14 +145,10 @@ function renderFilters() {
       ? applyAlpha(cls.color, 0.28)
       : applyAlpha(cls.color, 0.12);
     btn.textContent = cls.label || cls.id;
+    btn.setAttribute('aria-pressed', String(state.activeFilters.has(cls.id)));
     btn.addEventListener('click', () => {
-      if (state.activeFilters.has(cls.id)) {
-        state.activeFilters.delete(cls.id);
-      } else {
-        state.activeFilters.add(cls.id);
-      }
-      renderList();
-      renderStats();
+      setCategoryVisible(cls.id, !state.activeFilters.has(cls.id));
+      render();
     });
     filtersEl.appendChild(btn);
   });
@@ -124,7 +156,7 @@ function renderFilters() {
 
 function renderList() {
   listEl.innerHTML = '';
-  const items = state.statements.filter(stmt => state.activeFilters.size === 0 || state.activeFilters.has(stmt.category));
+  const items = state.statements.filter(stmt => state.activeFilters.has(stmt.category));
   if (items.length === 0) {
     emptyEl.style.display = 'block';
     return;
@@ -147,12 +179,14 @@ function renderList() {
     const meta = document.createElement('div');
     meta.className = 'meta';
     const confidence = typeof stmt.confidence === 'number'
-      ? `${Math.round(stmt.confidence * 100)}%`
+      ? `${Math.round(stmt.confidence * 100)}%${stmt.calibrated ? ' (calibrated)' : ''}`
       : 'N/A';
-    meta.textContent = `Confidence ${confidence} • ${stmt.rationale || 'No rationale provided.'}`;
+    const source = stmt.frameUrl ? ` • in frame ${frameHost(stmt.frameUrl)}` : '';
+    meta.textContent = `Confidence ${confidence} • ${stmt.rationale || 'No rationale provided.'}${source}`;
     card.appendChild(badge);
     card.appendChild(text);
     card.appendChild(meta);
+    card.appendChild(renderItemActions(stmt, classMap));
     card.addEventListener('mouseenter', () => highlightInPage(stmt.id, true));
     card.addEventListener('mouseleave', () => highlightInPage(stmt.id, false));
     card.addEventListener('click', async () => {
@@ -170,6 +204,101 @@ function renderList() {
   }
 }
 
+function overrideNote(stmt, classMap) {
+  if (stmt.override === 'confirm') return 'Confirmed by you';
+  if (stmt.override === 'recategorize') {
+    const was = classMap.get(stmt.modelCategory);
+    return `Moved by you (was ${was?.label || stmt.modelCategory})`;
+  }
+  return '';
+}
+
+// Corrections from the panel go through the content script, which stores them and repaints.
+function renderItemActions(stmt, classMap) {
+  const row = document.createElement('div');
+  row.className = 'item-actions';
+  // The card itself jumps to the sentence; its controls must not.
+  row.addEventListener('click', event => event.stopPropagation());
+  const note = overrideNote(stmt, classMap);
+  if (note) {
+    const tag = document.createElement('span');
+    tag.className = 'override-tag';
+    tag.textContent = note;
+    row.appendChild(tag);
+    row.appendChild(actionButton('Undo', () => overrideInPage(stmt.id, 'clear')));
+    return row;
+  }
+  // A low-confidence sentence without a category has nothing to confirm.
+  if (stmt.category !== 'neutral') row.appendChild(actionButton('Confirm', () => overrideInPage(stmt.id, 'confirm')));
+  row.appendChild(actionButton('Dismiss', () => overrideInPage(stmt.id, 'dismiss')));
+  const select = document.createElement('select');
+  select.add(new Option('Move to…', ''));
+  state.classes
+    .filter(cls => cls.id !== 'neutral' && cls.id !== stmt.category)
+    .forEach(cls => select.add(new Option(cls.label || cls.id, cls.id)));
+  select.addEventListener('change', () => {
+    if (select.value) overrideInPage(stmt.id, 'recategorize', select.value);
+  });
+  if (select.options.length > 1) row.appendChild(select);
+  return row;
+}
+
+function actionButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function renderDismissed() {
+  dismissedList.innerHTML = '';
+  dismissedCard.style.display = state.dismissed.length ? 'block' : 'none';
+  dismissedCount.textContent = state.dismissed.length ? `(${state.dismissed.length})` : '';
+  for (const stmt of state.dismissed) {
+    const row = document.createElement('div');
+    row.className = 'dismissed-item';
+    const text = document.createElement('span');
+    text.textContent = stmt.text;
+    row.appendChild(text);
+    row.appendChild(actionButton('Undo', () => overrideInPage(stmt.id, 'clear')));
+    dismissedList.appendChild(row);
+  }
+}
+
+function inconclusiveNote(stmt, classMap) {
+  if (stmt.inconclusive === 'parse-error') return 'The model\'s answer could not be read';
+  if (stmt.inconclusive === 'unrecognized') return 'The model answered with an unknown category';
+  const cls = classMap.get(stmt.category);
+  const pct = typeof stmt.confidence === 'number' ? ` at ${Math.round(stmt.confidence * 100)}%` : '';
+  return `${cls?.label || stmt.category}${pct}, just under its minimum confidence`;
+}
+
+// Results the classifier did not settle; confirming or moving one makes it a regular flag.
+function renderInconclusive() {
+  inconclusiveList.innerHTML = '';
+  inconclusiveCard.style.display = state.inconclusive.length ? 'block' : 'none';
+  inconclusiveCount.textContent = state.inconclusive.length ? `(${state.inconclusive.length})` : '';
+  const classMap = new Map(state.classes.map(cls => [cls.id, cls]));
+  for (const stmt of state.inconclusive) {
+    const row = document.createElement('div');
+    row.className = 'inconclusive-item';
+    const text = document.createElement('div');
+    text.className = 'item-text';
+    text.textContent = stmt.text;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = inconclusiveNote(stmt, classMap);
+    row.appendChild(text);
+    row.appendChild(meta);
+    row.appendChild(renderItemActions(stmt, classMap));
+    row.addEventListener('mouseenter', () => highlightInPage(stmt.id, true));
+    row.addEventListener('mouseleave', () => highlightInPage(stmt.id, false));
+    row.addEventListener('click', () => focusInPage(stmt.id));
+    inconclusiveList.appendChild(row);
+  }
+}
+
 function renderStats() {
   const filteredCount = listEl.childElementCount;
   const totalFlagged = state.statements.length;
@@ -187,21 +316,36 @@ function renderStats() {
 
 function renderProgress() {
   const progress = state.progress;
-  if (!progress || !progress.total || progress.status === 'done') {
+  // Lazy coverage stays visible between chunks; a first-N run hides once done.
+  if (!progress || !progress.total || (progress.status === 'done' && !progress.lazy)) {
     progressCard.style.display = 'none';
     return;
   }
   progressCard.style.display = 'grid';
   const pct = Math.min(100, Math.max(0, (progress.completed / progress.total) * 100));
   progressFill.style.width = `${pct}%`;
+  const active = ['pending', 'running', 'paused'].includes(progress.status);
+  progressActions.style.display = active ? 'flex' : 'none';
+  pauseBtn.textContent = progress.status === 'paused' ? 'Resume' : 'Pause';
   if (progress.status === 'error') {
     progressLabel.textContent = `Processing failed (${progress.completed}/${progress.total})`;
+  } else if (progress.status === 'cancelled') {
+    progressLabel.textContent = `Cancelled • ${progress.completed}/${progress.total}`;
+  } else if (progress.status === 'paused') {
+    progressLabel.textContent = `Paused • ${progress.completed}/${progress.total}`;
+  } else if (progress.queuePosition > 0) {
+    progressLabel.textContent = `Queued #${progress.queuePosition} • ${progress.completed}/${progress.total}`;
   } else if (progress.status === 'pending') {
     progressLabel.textContent = `Waiting • ${progress.completed}/${progress.total}`;
+  } else if (progress.lazy) {
+    const budgetNote = progress.budgetLeft > 0 ? `${progress.budgetLeft} left in page budget` : 'page budget used';
+    progressLabel.textContent = progress.completed < progress.total
+      ? `Covered ${progress.completed}/${progress.total} • ${budgetNote}`
+      : `Covered ${progress.completed}/${progress.total}`;
   } else {
     progressLabel.textContent = `${progress.completed}/${progress.total} processed`;
   }
-  progressEta.textContent = progress.etaMs > 0 ? `ETA ${formatEta(progress.etaMs)}` : '';
+  progressEta.textContent = progress.etaMs > 0 && progress.status !== 'paused' ? `ETA ${formatEta(progress.etaMs)}` : '';
 }
 
 function renderErrors() {
@@ -216,7 +360,7 @@ function renderErrors() {
 
 function mapModeToLabel(mode) {
   switch (mode) {
-    case 'remote': return 'Prompt API';
+    case 'remote': return 'Local API';
     case 'heuristic-fallback': return 'Fallback';
     case 'heuristic': return 'Heuristic';
     case 'on-device': return 'On-device';
@@ -229,7 +373,8 @@ function mapModeToLabel(mode) {
 function normalizeClasses(classes) {
   return (classes || []).map(cls => ({
     id: String(cls.id || '').trim().toLowerCase(),
-    label: cls.label || cls.id || '',
+    // The page has already picked the translation for the browser's language.
+    label: cls.displayLabel || cls.label || cls.id || '',
     color: cls.color || '#64748b',
     textColor: cls.textColor || '#e2e8f0'
   })).filter(cls => cls.id);
@@ -244,6 +389,14 @@ function formatEta(ms) {
   return rem ? `${mins}m ${rem}s` : `${mins}m`;
 }
 
+function frameHost(url) {
+  try {
+    return new URL(url).host || url;
+  } catch (err) {
+    return url;
+  }
+}
+
 function applyAlpha(hex, alpha) {
   if (!/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(hex)) return `rgba(100,116,139,${alpha})`;
   const clean = hex.replace('#', '');
@@ -267,11 +420,12 @@ function escapeHtml(str = '') {
   });
 }
 
+// Always the top frame: it owns the panel and relays statements that live in subframes.
 function sendToContent(message) {
   return new Promise((resolve, reject) => {
     chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
       if (!tabs.length) return reject(new Error('No active tab detected'));
-      chrome.tabs.sendMessage(tabs[0].id, message, resp => {
+      chrome.tabs.sendMessage(tabs[0].id, message, { frameId: 0 }, resp => {
         if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
         if (resp && resp.error) return reject(new Error(resp.error));
         resolve(resp || {});
@@ -284,6 +438,13 @@ function highlightInPage(id, on) {
   return sendToContent({ type: 'FACT_PANEL_HOVER', id, on }).catch(()=>{});
 }
 
+// The page pushes fresh state once the correction is applied.
+function overrideInPage(id, action, category = null) {
+  return sendToContent({ type: 'FACT_PANEL_OVERRIDE', id, action, category }).catch(err => {
+    console.warn('Override failed', err);
+  });
+}
+
 function focusInPage(id) {
   return sendToContent({ type: 'FACT_PANEL_FOCUS', id }).catch(()=>{});
 }
@@ -301,14 +462,24 @@ function requestPanelFocus(id) {
 }
 
 function ensureFiltersInclude(id) {
-  if (!id || state.activeFilters.size === 0) return false;
+  if (!id) return false;
   const stmt = state.statements.find(s => s.id === id);
   if (!stmt) return false;
   if (state.activeFilters.has(stmt.category)) return false;
-  state.activeFilters.add(stmt.category);
+  setCategoryVisible(stmt.category, true);
   return true;
 }
 
+// Applied here right away; the page then hides or shows the highlights, updates its
+// legend chips and pushes its state back.
+function setCategoryVisible(category, visible) {
+  if (visible) state.activeFilters.add(category);
+  else state.activeFilters.delete(category);
+  sendToContent({ type: 'FACT_PANEL_TOGGLE_CATEGORY', category, visible }).catch(err => {
+    console.warn('Category toggle failed', err);
+  });
+}
+
 function applyPendingFocus() {
   if (!pendingFocusId) return;
   const selectorId = escapeSelector(pendingFocusId);
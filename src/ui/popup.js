@@ -1,7 +1,11 @@
 // popup.js - basic controls
 
 document.getElementById('purgeBtn').addEventListener('click', async () => {
-  await sendBg({ type: 'PURGE_CACHE' });
+  try {
+    await sendBg({ type: 'PURGE_CACHE' });
+  } catch (err) {
+    console.warn('Purge failed', err);
+  }
   window.close();
 });
 
@@ -17,22 +21,24 @@ if (openOptsBtn) {
 }
 
 const apiStatusEl = document.getElementById('apiStatus');
-chrome.storage.local.get(['enablePromptApi','modelId'], data => {
+chrome.storage.local.get(['enablePromptApi','modelId','classifierBackend','localModel'], data => {
   if (!apiStatusEl) return;
-  const enabled = data.enablePromptApi ?? true;
-  const model = data.modelId || 'gemini-nano';
-  if (!enabled) {
-    apiStatusEl.textContent = 'On-device model disabled – using heuristic fallback.';
+  const backend = data.classifierBackend || ((data.enablePromptApi ?? true) ? 'on-device' : 'heuristic');
+  if (backend === 'heuristic') {
+    apiStatusEl.textContent = 'Heuristic rules only – no model in use.';
+  } else if (backend === 'openai-compatible') {
+    apiStatusEl.textContent = `Local server model: ${data.localModel || 'llama3.1'}`;
   } else {
-    apiStatusEl.textContent = `On-device model: ${model}`;
+    apiStatusEl.textContent = `On-device model: ${data.modelId || 'gemini-nano'}`;
   }
 });
 
 async function sendBg(message) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(message, resp => {
+    chrome.runtime.sendMessage({ version: 1, ...message }, resp => {
       if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
-      resolve(resp);
+      if (!resp || !resp.ok) return reject(new Error(resp?.error?.message || 'Unknown error'));
+      resolve(resp.result);
     });
   });
 }
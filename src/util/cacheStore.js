@@ -0,0 +1,126 @@
+// cacheStore.js - persistent classification cache backed by IndexedDB.
+// Survives service worker restarts; entries are evicted least-recently-used first
+// once the store grows past its size cap, and expire after the configured TTL.
+
+import { databaseOpener, requestToPromise, transactionDone } from './idb.js';
+
+const DB_NAME = 'debatable-cache';
+const DB_VERSION = 1;
+const STORE = 'classifications';
+
+export const DEFAULT_CACHE_MAX_ENTRIES = 5000;
+
+const openDb = databaseOpener(DB_NAME, DB_VERSION, db => {
+  if (!db.objectStoreNames.contains(STORE)) {
+    const store = db.createObjectStore(STORE, { keyPath: 'key' });
+    store.createIndex('lastAccess', 'lastAccess');
+  }
+});
+
+/**
+ * Reads the given keys, dropping expired records and refreshing lastAccess on hits.
+ * Resolves to a Map of key -> { ts, data }.
+ */
+export async function cacheGetMany(keys, ttlMs) {
+  const found = new Map();
+  if (!Array.isArray(keys) || !keys.length) return found;
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const now = Date.now();
+  await Promise.all(keys.map(async key => {
+    const record = await requestToPromise(store.get(key));
+    if (!record) return;
+    if (now - record.ts >= ttlMs) {
+      store.delete(key);
+      return;
+    }
+    record.lastAccess = now;
+    store.put(record);
+    found.set(key, { ts: record.ts, data: record.data });
+  }));
+  await transactionDone(tx);
+  return found;
+}
+
+/**
+ * Writes entries ({ key, ts, data }) and trims the store back to maxEntries.
+ */
+export async function cachePutMany(entries, maxEntries = DEFAULT_CACHE_MAX_ENTRIES) {
+  if (!Array.isArray(entries) || !entries.length) return;
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const now = Date.now();
+  for (const entry of entries) {
+    store.put({ key: entry.key, ts: entry.ts, data: entry.data, lastAccess: now });
+  }
+  await transactionDone(tx);
+  await cacheEvict(maxEntries);
+}
+
+/**
+ * Deletes least-recently-used records until at most maxEntries remain.
+ * Resolves to the number of records removed.
+ */
+export async function cacheEvict(maxEntries = DEFAULT_CACHE_MAX_ENTRIES) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const count = await requestToPromise(store.count());
+  let excess = count - Math.max(0, maxEntries);
+  let removed = 0;
+  if (excess > 0) {
+    await new Promise((resolve, reject) => {
+      const cursorReq = store.index('lastAccess').openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor || excess <= 0) return resolve();
+        cursor.delete();
+        excess--;
+        removed++;
+        cursor.continue();
+      };
+      cursorReq.onerror = () => reject(cursorReq.error);
+    });
+  }
+  await transactionDone(tx);
+  return removed;
+}
+
+/**
+ * Returns the most recently used, unexpired records (newest first) for warming
+ * the in-memory tier after a worker restart.
+ */
+export async function cacheRecent(limit, ttlMs) {
+  const out = [];
+  if (!(limit > 0)) return out;
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const now = Date.now();
+  await new Promise((resolve, reject) => {
+    const cursorReq = tx.objectStore(STORE).index('lastAccess').openCursor(null, 'prev');
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor || out.length >= limit) return resolve();
+      const record = cursor.value;
+      if (now - record.ts < ttlMs) {
+        out.push({ key: record.key, ts: record.ts, data: record.data });
+      }
+      cursor.continue();
+    };
+    cursorReq.onerror = () => reject(cursorReq.error);
+  });
+  await transactionDone(tx);
+  return out;
+}
+
+export async function cacheClear() {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const count = await requestToPromise(store.count());
+  store.clear();
+  await transactionDone(tx);
+  return count;
+}
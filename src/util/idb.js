@@ -0,0 +1,52 @@
+// idb.js - the IndexedDB plumbing shared by the cache, metrics and override stores.
+// Each store keeps its own database; this module only wraps requests and transactions
+// in promises and opens a database lazily, once per worker lifetime.
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Returns an openDb() for database `name`. The database is opened (and `upgrade(db)`
+ * run on a version bump) on the first call only, so a worker that never uses a store
+ * never touches IndexedDB. A failed open is retried by the next call.
+ */
+export function databaseOpener(name, version, upgrade) {
+  let dbPromise = null;
+  return function openDb() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB unavailable'));
+    }
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context upgraded the schema; drop our handle so the next call reopens.
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+    return dbPromise;
+  };
+}
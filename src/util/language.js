@@ -0,0 +1,142 @@
+// language.js - language detection for extracted text blocks.
+// A classic content script like segmenter.js, loaded before contentScript.js, so its
+// top-level names share that global scope: constants carry a LANGUAGE_ prefix and the
+// rest have "language" in their names. Chrome's on-device LanguageDetector is used when
+// it is ready; otherwise a small local guesser looks at the writing system and, for
+// Latin text, at common function words. Codes are bare ISO 639-1 ("pt", not
+// "pt-BR"); "und" means undetermined.
+
+const LANGUAGE_UNDETERMINED = 'und';
+// Below this, a detector's guess loses to the page's declared lang attribute.
+const LANGUAGE_MIN_CONFIDENCE = 0.5;
+const LANGUAGE_MIN_WORDS = 4;
+
+// Writing systems that pin the language down on their own (near enough). Kana is checked
+// before Han so Japanese is not taken for Chinese.
+const LANGUAGE_SCRIPTS = [
+  ['ja', /[぀-ヿ]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['th', /\p{Script=Thai}/gu]
+];
+
+const LANGUAGE_FUNCTION_WORDS = {
+  en: 'the and of to in is that it was for on are with as be this by have not from they he she',
+  es: 'el la de que y en los se del las un por con una para es no al lo como pero más su',
+  fr: 'le la les de des et est un une du en que qui dans pour pas sur au ne se ce avec',
+  de: 'der die und das ist nicht ein eine zu den mit von sich des auf für im dem auch wird',
+  it: 'il di che la e un una per non del della le sono con si nel è gli da al anche',
+  pt: 'o a de que e do da em um uma para com não os as se na no por mais foi',
+  nl: 'de het een en van is dat in op te zijn niet met voor die er aan ook maar'
+};
+
+const languageWordSets = Object.fromEntries(
+  Object.entries(LANGUAGE_FUNCTION_WORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+function languageBase(code) {
+  const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(base) ? base : LANGUAGE_UNDETERMINED;
+}
+
+/**
+ * Local guess for `text`: { language, confidence }. Short or mixed text comes back
+ * undetermined with confidence 0.
+ */
+function guessLanguageLocally(text) {
+  const value = String(text || '');
+  const letters = (value.match(/\p{L}/gu) || []).length;
+  if (!letters) return { language: LANGUAGE_UNDETERMINED, confidence: 0 };
+  for (const [code, pattern] of LANGUAGE_SCRIPTS) {
+    const count = (value.match(pattern) || []).length;
+    // Any kana at all marks Japanese, which mixes it with Han.
+    if (code === 'ja' ? count > 0 && count / letters > 0.05 : count / letters > 0.5) {
+      return { language: code, confidence: Math.min(1, count / letters + 0.2) };
+    }
+  }
+  const words = value.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < LANGUAGE_MIN_WORDS) return { language: LANGUAGE_UNDETERMINED, confidence: 0 };
+  const scores = Object.entries(languageWordSets)
+    .map(([code, set]) => [code, words.filter(word => set.has(word)).length / words.length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, second]] = scores;
+  if (top < 0.08) return { language: LANGUAGE_UNDETERMINED, confidence: 0 };
+  // A clear lead over the runner-up matters more than the raw share.
+  return { language: best, confidence: Math.min(1, 0.4 + (top - second) * 4) };
+}
+
+let languageDetectorPromise = null;
+
+// Only an already-downloaded model is used; a download needs a user gesture.
+function onDeviceLanguageDetector() {
+  if (languageDetectorPromise) return languageDetectorPromise;
+  if (typeof LanguageDetector === 'undefined' || typeof LanguageDetector.create !== 'function') {
+    languageDetectorPromise = Promise.resolve(null);
+    return languageDetectorPromise;
+  }
+  languageDetectorPromise = Promise.resolve()
+    .then(() => LanguageDetector.availability())
+    .then(availability => (availability === 'available' ? LanguageDetector.create() : null))
+    .catch(err => {
+      console.warn('[AccuracyHighlighter] LanguageDetector unavailable, using local detection', err);
+      return null;
+    });
+  return languageDetectorPromise;
+}
+
+async function detectLanguage(text) {
+  const detector = await onDeviceLanguageDetector();
+  if (detector) {
+    try {
+      const [top] = await detector.detect(String(text || ''));
+      if (top) return { language: languageBase(top.detectedLanguage), confidence: top.confidence ?? 0 };
+    } catch (err) {
+      console.warn('[AccuracyHighlighter] Language detection failed', err);
+    }
+  }
+  return guessLanguageLocally(text);
+}
+
+/**
+ * Language of a text block: the detector's answer when it is confident, else the
+ * nearest lang attribute (across shadow boundaries), else the detector's weak guess.
+ */
+async function detectBlockLanguage(el, text) {
+  const detected = await detectLanguage(text);
+  if (detected.language !== LANGUAGE_UNDETERMINED && detected.confidence >= LANGUAGE_MIN_CONFIDENCE) {
+    return detected.language;
+  }
+  for (let node = el; node; node = node.parentElement || node.getRootNode?.().host || null) {
+    if (node.lang) return languageBase(node.lang);
+  }
+  return detected.language;
+}
+
+// "German (de)"; unknown codes stay as they are.
+function languageDisplayName(code) {
+  try {
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+    return name && name !== code ? `${name} (${code})` : code;
+  } catch (err) {
+    return code;
+  }
+}
+
+/**
+ * Prompt text for a batch's languages, most frequent first: "German (de), English (en)".
+ * Matches languageHint() in src/classifier/prompt.js, which the worker uses.
+ */
+function describeLanguages(codes) {
+  const counts = new Map();
+  for (const code of codes || []) {
+    if (!code || code === LANGUAGE_UNDETERMINED) continue;
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  if (!counts.size) return 'unknown';
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([code]) => languageDisplayName(code)).join(', ');
+}
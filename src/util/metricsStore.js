@@ -0,0 +1,140 @@
+// metricsStore.js - local usage and performance history, one record per page run.
+// Lives in its own IndexedDB database so purging the classification cache never
+// wipes usage history (and vice versa). Nothing here leaves the device.
+
+import { databaseOpener, requestToPromise, transactionDone } from './idb.js';
+
+const DB_NAME = 'debatable-metrics';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+export const METRICS_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+export const METRICS_MAX_RUNS = 20000;
+
+const openDb = databaseOpener(DB_NAME, DB_VERSION, db => {
+  if (!db.objectStoreNames.contains(STORE)) {
+    const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('ts', 'ts');
+  }
+});
+
+/**
+ * Appends a run record and drops records past the retention window or the run cap.
+ */
+export async function recordRun(run) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  store.add(run);
+  const expired = store.index('ts').openKeyCursor(IDBKeyRange.upperBound(Date.now() - METRICS_RETENTION_MS, true));
+  expired.onsuccess = () => {
+    const cursor = expired.result;
+    if (!cursor) return;
+    store.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  await trimRuns(METRICS_MAX_RUNS);
+}
+
+async function trimRuns(maxRuns) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  let excess = (await requestToPromise(store.count())) - maxRuns;
+  if (excess > 0) {
+    await new Promise((resolve, reject) => {
+      const cursorReq = store.openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor || excess <= 0) return resolve();
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+      cursorReq.onerror = () => reject(cursorReq.error);
+    });
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Run records with ts >= sinceTs, oldest first.
+ */
+export async function listRuns(sinceTs = 0) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const runs = await requestToPromise(tx.objectStore(STORE).index('ts').getAll(IDBKeyRange.lowerBound(sinceTs)));
+  await transactionDone(tx);
+  return runs;
+}
+
+export async function clearRuns() {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const count = await requestToPromise(store.count());
+  store.clear();
+  await transactionDone(tx);
+  return count;
+}
+
+function emptyBucket(key) {
+  return {
+    key,
+    runs: 0,
+    sentences: 0,
+    evaluated: 0,
+    cacheHits: 0,
+    fallbacks: 0,
+    tokens: 0,
+    latencyMs: 0
+  };
+}
+
+function addToBucket(bucket, run) {
+  bucket.runs++;
+  bucket.sentences += run.sentences || 0;
+  bucket.evaluated += run.evaluated || 0;
+  bucket.cacheHits += run.cacheHits || 0;
+  bucket.fallbacks += run.fallbacks || 0;
+  bucket.tokens += run.tokens?.totalTokens || 0;
+  bucket.latencyMs += run.latencyMs || 0;
+}
+
+function finishBucket(bucket) {
+  const lookups = bucket.cacheHits + bucket.evaluated;
+  return {
+    ...bucket,
+    latencyMs: Math.round(bucket.latencyMs),
+    avgLatencyMs: bucket.runs ? Math.round(bucket.latencyMs / bucket.runs) : 0,
+    sentencesPerPage: bucket.runs ? Number((bucket.sentences / bucket.runs).toFixed(1)) : 0,
+    cacheHitRate: lookups ? Number((bucket.cacheHits / lookups).toFixed(3)) : 0
+  };
+}
+
+/**
+ * Rolls run records up into totals, per-day (oldest first) and per-domain (busiest
+ * first) buckets, plus a count of runs per mode.
+ */
+export function summarizeRuns(runs) {
+  const totals = emptyBucket('all');
+  const days = new Map();
+  const domains = new Map();
+  const modes = {};
+  for (const run of runs) {
+    addToBucket(totals, run);
+    if (!days.has(run.day)) days.set(run.day, emptyBucket(run.day));
+    addToBucket(days.get(run.day), run);
+    const domain = run.domain || '(unknown)';
+    if (!domains.has(domain)) domains.set(domain, emptyBucket(domain));
+    addToBucket(domains.get(domain), run);
+    modes[run.mode || 'unknown'] = (modes[run.mode || 'unknown'] || 0) + 1;
+  }
+  return {
+    totals: finishBucket(totals),
+    modes,
+    byDay: [...days.values()].sort((a, b) => a.key.localeCompare(b.key)).map(finishBucket),
+    byDomain: [...domains.values()].sort((a, b) => b.runs - a.runs).map(finishBucket)
+  };
+}
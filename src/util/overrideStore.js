@@ -0,0 +1,174 @@
+// overrideStore.js - the user's corrections to classifier results.
+// An override says "on pages matching this URL pattern, this sentence is X": confirmed
+// as classified, dismissed (shown as neutral) or moved to another category. Records are
+// keyed by pattern, sentence hash (the content script's sentence id) and text, and keep
+// what the classifier said at the time, so the history can later teach the prompt and
+// tune confidences. Own IndexedDB database, like the metrics store; nothing leaves the
+// device.
+
+import { databaseOpener, requestToPromise, transactionDone } from './idb.js';
+
+const DB_NAME = 'debatable-overrides';
+const DB_VERSION = 1;
+const STORE = 'overrides';
+
+export const OVERRIDE_ACTIONS = ['confirm', 'dismiss', 'recategorize'];
+
+const openDb = databaseOpener(DB_NAME, DB_VERSION, db => {
+  if (!db.objectStoreNames.contains(STORE)) {
+    const store = db.createObjectStore(STORE, { keyPath: 'key' });
+    store.createIndex('host', 'host');
+    store.createIndex('ts', 'ts');
+  }
+});
+
+// "news.example.com/world/story?id=1" -> "news.example.com/world/story"; www. is dropped.
+function urlTarget(pageUrl) {
+  try {
+    const url = new URL(pageUrl);
+    return `${url.hostname.replace(/^www\./, '')}${url.pathname}`;
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Default pattern for a correction made on `pageUrl`: the whole site, so the same
+ * sentence on another article of the site (a recurring claim, a syndicated paragraph)
+ * gets the same treatment. The sentence id is a short hash that other sentences of a
+ * large site can share, so a record also keeps the text and applies only to a
+ * sentence that reads the same (see overrideText).
+ */
+export function sitePattern(pageUrl) {
+  const target = urlTarget(pageUrl);
+  return target ? `${target.split('/')[0]}/*` : '';
+}
+
+/**
+ * Whether `pattern` (host and path, `*` matching anything) covers `pageUrl`.
+ */
+export function patternMatches(pattern, pageUrl) {
+  const target = urlTarget(pageUrl);
+  if (!pattern || !target) return false;
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(target);
+}
+
+function patternHost(pattern) {
+  return String(pattern).split('/')[0].toLowerCase();
+}
+
+/**
+ * Why `pattern` cannot be stored, or ''. Records are found through their exact host,
+ * so the host part must not contain a wildcard; the path may.
+ */
+export function overridePatternError(pattern) {
+  const host = patternHost(pattern || '');
+  if (!host) return 'The pattern needs a host, e.g. "example.com/*"';
+  if (host.includes('*')) return `Wildcards are not supported in the host ("${host}"); use one pattern per host`;
+  return '';
+}
+
+/**
+ * The stored form of a corrected sentence: whitespace collapsed, at most 1000
+ * characters. The content script compares sentences in the same form (contentScript.js
+ * overrideKey()).
+ */
+export function overrideText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, 1000);
+}
+
+/**
+ * Stores (or replaces) the override for one sentence under one pattern and returns
+ * the stored record.
+ */
+export async function saveOverride({ sentenceId, pattern, ...fields }) {
+  const invalid = overridePatternError(pattern);
+  if (invalid) throw new Error(invalid);
+  const text = overrideText(fields.text);
+  const record = {
+    ...fields,
+    text,
+    key: `${pattern} ${sentenceId} ${text}`,
+    host: patternHost(pattern),
+    pattern,
+    sentenceId,
+    ts: Date.now()
+  };
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  tx.objectStore(STORE).put(record);
+  await transactionDone(tx);
+  return record;
+}
+
+/**
+ * Removes the overrides of a sentence that apply to `pageUrl` (all of them when
+ * `pageUrl` is empty). With `text`, records of another sentence sharing the id are
+ * kept. Resolves with the number removed.
+ */
+export async function deleteOverride(sentenceId, pageUrl = '', text = null) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const records = await requestToPromise(store.getAll());
+  let removed = 0;
+  for (const record of records) {
+    if (record.sentenceId !== sentenceId) continue;
+    if (pageUrl && !patternMatches(record.pattern, pageUrl)) continue;
+    if (text != null && overrideText(record.text) !== overrideText(text)) continue;
+    store.delete(record.key);
+    removed++;
+  }
+  await transactionDone(tx);
+  return removed;
+}
+
+/**
+ * Overrides that apply on `pageUrl`, one per sentence (id and text); a longer (more
+ * specific) pattern wins over a site-wide one.
+ */
+export async function overridesForPage(pageUrl) {
+  const host = patternHost(urlTarget(pageUrl));
+  if (!host) return [];
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const records = await requestToPromise(tx.objectStore(STORE).index('host').getAll(IDBKeyRange.only(host)));
+  await transactionDone(tx);
+  const bySentence = new Map();
+  for (const record of records) {
+    if (!patternMatches(record.pattern, pageUrl)) continue;
+    const sentence = `${record.sentenceId} ${overrideText(record.text)}`;
+    const current = bySentence.get(sentence);
+    if (!current || record.pattern.length > current.pattern.length) bySentence.set(sentence, record);
+  }
+  return [...bySentence.values()];
+}
+
+/**
+ * Every override, newest first.
+ */
+export async function listOverrides() {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const records = await requestToPromise(tx.objectStore(STORE).index('ts').getAll());
+  await transactionDone(tx);
+  return records.reverse();
+}
+
+export async function removeOverrideByKey(key) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  tx.objectStore(STORE).delete(key);
+  await transactionDone(tx);
+}
+
+export async function clearOverrides() {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const count = await requestToPromise(store.count());
+  store.clear();
+  await transactionDone(tx);
+  return count;
+}
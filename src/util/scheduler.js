@@ -0,0 +1,170 @@
+// scheduler.js - cross-tab queue for model work in the service worker.
+// Every tab asks for the model as soon as it loads; without a queue, ten background
+// articles compete with the one being read. Jobs are grouped by backend, each backend
+// runs at most `concurrency` jobs at once, and the next job is the oldest one from the
+// highest-priority tab (see setTabPriorityResolver). Jobs of a closed or navigated tab,
+// or of a page run the user cancelled, are rejected with code 'CANCELLED' before they
+// reach the model.
+
+const queues = new Map(); // backendKey -> { running, queued: [job] }
+// Tab ids are never reused within a browser session, so entries are never stale; the
+// set only has to outlive requests still in flight when a tab closed, so keep the
+// most recent ones and let the oldest go.
+const closedTabs = new Set();
+const CLOSED_TABS_LIMIT = 200;
+let nextJobId = 1;
+let priorityOf = () => 0;
+let queueListener = null;
+
+function queueFor(backendKey) {
+  let queue = queues.get(backendKey);
+  if (!queue) {
+    queue = { running: 0, queued: [] };
+    queues.set(backendKey, queue);
+  }
+  return queue;
+}
+
+function cancelledError(reason) {
+  const err = new Error(reason || 'Queued work was cancelled');
+  err.code = 'CANCELLED';
+  return err;
+}
+
+/**
+ * Lower numbers run first. Called on every pick, so priorities follow tab focus
+ * without re-sorting the queue.
+ */
+export function setTabPriorityResolver(fn) {
+  priorityOf = typeof fn === 'function' ? fn : () => 0;
+}
+
+/**
+ * Receives Map(tabId -> position) whenever queue positions change. Position is the
+ * 1-based rank of the tab's first waiting job within its backend queue; tabs whose
+ * work is all running or finished map to 0.
+ */
+export function onQueueChange(fn) {
+  queueListener = typeof fn === 'function' ? fn : null;
+}
+
+function pickNext(queue) {
+  let best = -1;
+  let bestPriority = Infinity;
+  queue.queued.forEach((job, i) => {
+    const priority = priorityOf(job.tabId);
+    if (priority < bestPriority) {
+      best = i;
+      bestPriority = priority;
+    }
+  });
+  return best < 0 ? null : queue.queued.splice(best, 1)[0];
+}
+
+function ordered(queue) {
+  return queue.queued
+    .map((job, i) => ({ job, i, priority: priorityOf(job.tabId) }))
+    .sort((a, b) => a.priority - b.priority || a.i - b.i)
+    .map(entry => entry.job);
+}
+
+const lastPositions = new Map();
+
+function notifyPositions() {
+  if (!queueListener) return;
+  const positions = new Map();
+  for (const queue of queues.values()) {
+    ordered(queue).forEach((job, i) => {
+      if (job.tabId == null) return;
+      const current = positions.get(job.tabId);
+      if (!current || i + 1 < current) positions.set(job.tabId, i + 1);
+    });
+  }
+  const changed = new Map();
+  for (const [tabId, position] of positions) {
+    if (lastPositions.get(tabId) !== position) changed.set(tabId, position);
+  }
+  for (const tabId of lastPositions.keys()) {
+    if (!positions.has(tabId)) changed.set(tabId, 0);
+  }
+  lastPositions.clear();
+  for (const [tabId, position] of positions) lastPositions.set(tabId, position);
+  if (changed.size) queueListener(changed);
+}
+
+/**
+ * Re-sends queue positions after a priority input (focus, visibility) changed.
+ */
+export function refreshQueuePositions() {
+  notifyPositions();
+}
+
+function pump(backendKey) {
+  const queue = queueFor(backendKey);
+  while (queue.running < queue.concurrency && queue.queued.length) {
+    const job = pickNext(queue);
+    queue.running++;
+    Promise.resolve()
+      .then(() => job.run())
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        queue.running--;
+        pump(backendKey);
+      });
+  }
+  notifyPositions();
+}
+
+/**
+ * Queues `run` (an async function) behind other work for the same backend and
+ * resolves with its result. tabId may be null for work not tied to a page; runId
+ * tags the page run that asked, so one run can be cancelled without its successor.
+ */
+export function scheduleJob({ tabId = null, runId = null, backendKey, concurrency = 1, run }) {
+  if (tabId != null && closedTabs.has(tabId)) return Promise.reject(cancelledError('Tab closed'));
+  return new Promise((resolve, reject) => {
+    const queue = queueFor(backendKey);
+    queue.concurrency = Math.max(1, concurrency);
+    queue.queued.push({ id: nextJobId++, tabId, runId, run, resolve, reject });
+    pump(backendKey);
+  });
+}
+
+function rememberClosedTab(tabId) {
+  closedTabs.delete(tabId);
+  closedTabs.add(tabId);
+  while (closedTabs.size > CLOSED_TABS_LIMIT) {
+    closedTabs.delete(closedTabs.values().next().value);
+  }
+}
+
+/**
+ * Rejects every queued job of a tab, or only those of one run when `runId` is given.
+ * Jobs already running are left to finish; their results are simply not used by the
+ * departed page. With `closed`, work the tab submits later (requests still in flight
+ * when it closed) is rejected as well.
+ */
+export function cancelTabJobs(tabId, reason, { closed = false, runId = null } = {}) {
+  if (closed) rememberClosedTab(tabId);
+  let dropped = 0;
+  for (const queue of queues.values()) {
+    queue.queued = queue.queued.filter(job => {
+      if (job.tabId !== tabId) return true;
+      if (runId != null && job.runId !== runId) return true;
+      job.reject(cancelledError(reason));
+      dropped++;
+      return false;
+    });
+  }
+  if (dropped) notifyPositions();
+  return dropped;
+}
+
+export function queueSnapshot() {
+  return [...queues.entries()].map(([backendKey, queue]) => ({
+    backendKey,
+    running: queue.running,
+    concurrency: queue.concurrency,
+    queued: ordered(queue).map(job => ({ id: job.id, tabId: job.tabId, runId: job.runId, priority: priorityOf(job.tabId) }))
+  }));
+}
@@ -0,0 +1,190 @@
+// segmenter.js - sentence segmentation for text extracted from the page.
+// A classic script rather than an ES module: the manifest loads it into every frame just
+// ahead of contentScript.js, which calls segmentSentences() and uniqueSentences(). Its
+// top-level names share the content script's global scope, hence the SEGMENTER_ prefix on
+// its constants; the functions are named for what they do and must not clash either.
+// tests/segmentation.spec.mjs loads it the same way, through node:vm.
+//
+// Intl.Segmenter (UAX #29) proposes the boundaries where available, together with a
+// punctuation scan that is also the fallback. Either way, proposals are then vetoed when they fall after an abbreviation
+// or initial, inside an open quote or bracket, or before text that cannot start a
+// sentence; pieces shorter than the minimum length are dropped.
+
+const SEGMENTER_MIN_LENGTH = 25;
+// Chinese and Japanese pack a sentence into far fewer characters.
+const SEGMENTER_MIN_LENGTH_CJK = 10;
+const SEGMENTER_CJK_LOCALES = new Set(['ja', 'zh']);
+// A stray quote or bracket would otherwise swallow the rest of the block.
+const SEGMENTER_MAX_JOIN = 600;
+
+// Never end a sentence: titles and reference words always lead into what they qualify.
+const SEGMENTER_PREFIX_ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'rev', 'hon', 'fr', 'gen', 'col', 'lt', 'capt', 'cmdr',
+  'sgt', 'adm', 'gov', 'sen', 'rep', 'pres', 'supt', 'e.g', 'i.e', 'cf', 'vs', 'viz', 'approx'
+]);
+
+// Abbreviations only before a number ("No. 5", "pp. 12"); elsewhere they are just words.
+const SEGMENTER_NUMBER_ABBREVIATIONS = new Set([
+  'no', 'nos', 'p', 'pp', 'fig', 'figs', 'eq', 'vol', 'vols', 'ch', 'sec', 'art', 'para', 'ca', 'op', 'ref', 'tel'
+]);
+
+// Often mid-sentence, but a sentence may well end on them ("… and Acme Inc."). Followed
+// by a capital, they are taken as the end.
+const SEGMENTER_TERMINAL_ABBREVIATIONS = new Set([
+  'etc', 'inc', 'ltd', 'co', 'corp', 'llc', 'plc', 'bros', 'jr', 'sr', 'al', 'esq'
+]);
+
+// Mid-sentence unless the next word is a common sentence opener: "the U.S. Senate" but
+// "in the U.S. The Senate". Initialisms ("U.S.", "Ph.D.") and single initials
+// ("John F. Kennedy") are handled the same way without being listed.
+const SEGMENTER_AMBIGUOUS_ABBREVIATIONS = new Set([
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'st', 'mt', 'ft', 'ave', 'blvd', 'rd', 'dept', 'univ', 'assn', 'est', 'govt', 'intl', 'natl'
+]);
+
+const SEGMENTER_SENTENCE_OPENERS = new Set([
+  'a', 'an', 'the', 'i', 'it', 'he', 'she', 'we', 'they', 'you', 'this', 'that', 'these', 'those',
+  'there', 'here', 'his', 'her', 'its', 'our', 'their', 'my', 'your', 'but', 'and', 'or', 'so',
+  'yet', 'in', 'on', 'at', 'for', 'as', 'if', 'when', 'while', 'after', 'before', 'since',
+  'however', 'meanwhile', 'still', 'now', 'then', 'some', 'many', 'most', 'all', 'no', 'not',
+  'what', 'why', 'how', 'who', 'where', 'one', 'each', 'both', 'neither', 'later', 'today'
+]);
+
+const SEGMENTER_PAIRS = [['(', ')'], ['[', ']'], ['“', '”'], ['«', '»']];
+
+const segmenterInstances = new Map();
+
+function sentenceSegmenterFor(locale) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  const key = locale || 'en';
+  if (!segmenterInstances.has(key)) {
+    let instance;
+    try {
+      instance = new Intl.Segmenter(key, { granularity: 'sentence' });
+    } catch (err) {
+      instance = new Intl.Segmenter('en', { granularity: 'sentence' });
+    }
+    segmenterInstances.set(key, instance);
+  }
+  return segmenterInstances.get(key);
+}
+
+// Fallback boundary proposals: terminal punctuation, any closing quotes or brackets,
+// whitespace, then something that could open a sentence. French typography puts a space
+// before the closing guillemet; CJK full stops need no space after.
+function proposeBoundariesByPunctuation(text) {
+  const pieces = [];
+  const boundary = /[.!?…]+(?:\s?["'”’)\]»])*\s+(?=["'“‘(\[«¿¡]?[\p{Lu}\p{Lt}\p{Lo}\d])|[。！？]+[」』”’）]*\s*/gu;
+  let start = 0;
+  for (let match = boundary.exec(text); match; match = boundary.exec(text)) {
+    const end = match.index + match[0].length;
+    pieces.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) pieces.push(text.slice(start));
+  return pieces;
+}
+
+// The punctuation scan also runs over Intl.Segmenter's pieces: UAX #29 misses a few
+// boundaries (a spaced closing guillemet), and false proposals are vetoed later anyway.
+function proposeBoundaries(text, locale) {
+  const segmenter = sentenceSegmenterFor(locale);
+  if (!segmenter) return proposeBoundariesByPunctuation(text);
+  return Array.from(segmenter.segment(text), part => part.segment).flatMap(proposeBoundariesByPunctuation);
+}
+
+function hasOpenPair(text) {
+  for (const [open, close] of SEGMENTER_PAIRS) {
+    let depth = 0;
+    for (const ch of text) {
+      if (ch === open) depth++;
+      else if (ch === close && depth > 0) depth--;
+    }
+    if (depth > 0) return true;
+  }
+  return (text.match(/"/g) || []).length % 2 === 1;
+}
+
+// The word before the final period, without surrounding quotes or brackets.
+function trailingAbbreviation(text) {
+  const match = text.trimEnd().match(/(?:^|[\s(\["'“‘«])((?:[\p{L}]{1,8}\.)*[\p{L}]{1,8})\.["'”’)\]»]*$/u);
+  return match ? match[1] : '';
+}
+
+function firstWord(text) {
+  const match = text.trimStart().match(/^["'“‘(\[«¿¡]*([\p{L}\d][\p{L}\d'’-]*)/u);
+  return match ? match[1] : '';
+}
+
+/**
+ * Whether the boundary proposed between `before` and `after` should be ignored.
+ */
+function continuesSentence(before, after) {
+  const next = after.trimStart();
+  if (!next) return true;
+  if (before.length + after.length <= SEGMENTER_MAX_JOIN && hasOpenPair(before)) return true;
+  const word = firstWord(next);
+  if (/^\p{Ll}/u.test(word)) return true;
+  // List markers: "1." or "(a)" on their own.
+  if (/^\(?(\d{1,3}|[a-z])[.)]$/i.test(before.trim())) return true;
+  const abbreviation = trailingAbbreviation(before);
+  if (!abbreviation) return false;
+  const lower = abbreviation.toLowerCase();
+  const opensSentence = SEGMENTER_SENTENCE_OPENERS.has(word.toLowerCase());
+  if (SEGMENTER_PREFIX_ABBREVIATIONS.has(lower)) return true;
+  if (SEGMENTER_NUMBER_ABBREVIATIONS.has(lower) || SEGMENTER_TERMINAL_ABBREVIATIONS.has(lower)) return /^\d/.test(word);
+  if (SEGMENTER_AMBIGUOUS_ABBREVIATIONS.has(lower) || /^(\p{L}\.)+\p{L}$/u.test(abbreviation) || /^\p{Lu}$/u.test(abbreviation)) {
+    return !opensSentence;
+  }
+  return false;
+}
+
+/**
+ * Splits a block of text into sentences. Blank lines always separate sentences; other
+ * whitespace is collapsed. Sentences shorter than `minLength` characters (by default
+ * lower for Chinese and Japanese), or without a letter, are dropped.
+ */
+function segmentSentences(text, { locale = 'en', minLength = null } = {}) {
+  if (minLength == null) {
+    minLength = SEGMENTER_CJK_LOCALES.has(String(locale).toLowerCase().split('-')[0]) ? SEGMENTER_MIN_LENGTH_CJK : SEGMENTER_MIN_LENGTH;
+  }
+  const out = [];
+  const paragraphs = String(text || '').split(/\n\s*\n/);
+  for (const paragraph of paragraphs) {
+    const flat = paragraph.replace(/\s+/g, ' ').trim();
+    if (!flat) continue;
+    const sentences = [];
+    for (let piece of proposeBoundaries(flat, locale)) {
+      const last = sentences.length - 1;
+      // Closing marks left at the start of a piece belong to the sentence before it.
+      const closing = last >= 0 ? piece.match(/^\s*[”’)\]»]+\s*/) : null;
+      if (closing) {
+        sentences[last] += closing[0];
+        piece = piece.slice(closing[0].length);
+        if (!piece) continue;
+      }
+      if (last >= 0 && continuesSentence(sentences[last], piece)) sentences[last] += piece;
+      else sentences.push(piece);
+    }
+    for (const sentence of sentences) {
+      const clean = sentence.trim();
+      if (clean.length < minLength || !/\p{L}/u.test(clean)) continue;
+      out.push(clean);
+    }
+  }
+  return out;
+}
+
+/**
+ * Drops repeats (case-insensitive) from `items`, keeping the first occurrence; `textOf`
+ * picks the sentence text out of an item.
+ */
+function uniqueSentences(items, textOf = item => item) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = textOf(item).toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,125 @@
+// calibration.spec.mjs - tests for confidence calibration in src/classifier/calibration.js.
+//
+//   node --test tests/calibration.spec.mjs
+//
+// Samples come from a seeded generator in which a flag at confidence p is confirmed with
+// probability p * p, so the raw scores are overconfident but still ordered.
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  ISOTONIC_MIN_SAMPLES, MIN_CALIBRATION_SAMPLES, applyCalibration, fitCalibration, fitIsotonic, fitPlatt
+} from '../src/classifier/calibration.js';
+
+function overconfidentSamples(count, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Array.from({ length: count }, () => {
+    const p = 0.3 + random() * 0.7;
+    return { p, y: random() < p * p ? 1 : 0 };
+  });
+}
+
+const grid = Array.from({ length: 101 }, (_, i) => i / 100);
+
+function assertMonotone(model) {
+  let previous = -Infinity;
+  for (const p of grid) {
+    const value = applyCalibration(model, p);
+    assert.ok(value >= 0 && value <= 1, `calibrated ${value} at ${p} is outside [0, 1]`);
+    assert.ok(value >= previous - 1e-9, `calibration drops at ${p}: ${previous} -> ${value}`);
+    previous = value;
+  }
+}
+
+const record = (p, action, extra = {}) => ({
+  source: 'heuristic', modelCategory: 'hyperbole', modelConfidence: p, action, ...extra
+});
+
+describe('fitPlatt', () => {
+  test('is monotone in the raw score and pulls overconfident scores down', () => {
+    const model = fitPlatt(overconfidentSamples(40));
+    assertMonotone(model);
+    assert.ok(applyCalibration(model, 0.8) < 0.8);
+  });
+
+  test('keeps a handful of unanimous samples away from 0 and 1', () => {
+    const confirmed = fitPlatt(Array.from({ length: MIN_CALIBRATION_SAMPLES }, () => ({ p: 0.9, y: 1 })));
+    const dismissed = fitPlatt(Array.from({ length: MIN_CALIBRATION_SAMPLES }, () => ({ p: 0.9, y: 0 })));
+    const high = applyCalibration(confirmed, 0.9);
+    const low = applyCalibration(dismissed, 0.9);
+    assert.ok(high > 0.5 && high < 0.95, `all confirmed gave ${high}`);
+    assert.ok(low < 0.5 && low > 0.05, `all dismissed gave ${low}`);
+    assertMonotone(confirmed);
+    assertMonotone(dismissed);
+  });
+});
+
+describe('fitIsotonic', () => {
+  test('returns knots that rise with the raw score', () => {
+    const { points } = fitIsotonic(overconfidentSamples(200));
+    for (let i = 1; i < points.length; i++) {
+      assert.ok(points[i][0] > points[i - 1][0]);
+      assert.ok(points[i][1] >= points[i - 1][1]);
+    }
+  });
+
+  test('is monotone when applied, including between and beyond the knots', () => {
+    assertMonotone(fitIsotonic(overconfidentSamples(200)));
+  });
+
+  test('pools samples that break the order', () => {
+    const { points } = fitIsotonic([{ p: 0.2, y: 1 }, { p: 0.4, y: 0 }, { p: 0.9, y: 1 }]);
+    assert.equal(points.length, 2);
+    assert.deepEqual(points.map(([, y]) => y), [(1 + 0.5) / 3, (1 + 0.5) / 2]);
+  });
+
+  test('shrinks block means toward one half', () => {
+    const { points } = fitIsotonic(Array.from({ length: 4 }, () => ({ p: 0.8, y: 1 })));
+    assert.deepEqual(points, [[0.8, 4.5 / 5]]);
+  });
+});
+
+describe('fitCalibration', () => {
+  const records = count => overconfidentSamples(count).map(({ p, y }) => record(p, y ? 'confirm' : 'dismiss'));
+
+  test('leaves a category with too few samples uncalibrated', () => {
+    assert.deepEqual(fitCalibration(records(MIN_CALIBRATION_SAMPLES - 1)), {});
+  });
+
+  test('fits a logistic curve first and an isotonic mapping once samples are plentiful', () => {
+    const platt = fitCalibration(records(MIN_CALIBRATION_SAMPLES)).heuristic.hyperbole;
+    const isotonic = fitCalibration(records(ISOTONIC_MIN_SAMPLES)).heuristic.hyperbole;
+    assert.equal(platt.kind, 'platt');
+    assert.equal(platt.n, MIN_CALIBRATION_SAMPLES);
+    assert.equal(isotonic.kind, 'isotonic');
+    assert.equal(isotonic.n, ISOTONIC_MIN_SAMPLES);
+  });
+
+  test('skips records without a model verdict or where the model said neutral', () => {
+    const unusable = [
+      ...Array.from({ length: 20 }, () => record(0.7, 'confirm', { modelCategory: 'neutral' })),
+      ...Array.from({ length: 20 }, () => record(null, 'dismiss')),
+      ...Array.from({ length: 20 }, () => record(0.7, 'confirm', { source: null }))
+    ];
+    assert.deepEqual(fitCalibration(unusable), {});
+  });
+});
+
+describe('applyCalibration', () => {
+  test('passes the clamped raw score through without a model', () => {
+    assert.equal(applyCalibration(null, 0.42), 0.42);
+    assert.equal(applyCalibration(null, 1.7), 1);
+    assert.equal(applyCalibration(undefined, 'not a number'), 0);
+  });
+
+  test('holds the end values outside the isotonic knots', () => {
+    const model = { kind: 'isotonic', points: [[0.4, 0.3], [0.8, 0.6]] };
+    assert.equal(applyCalibration(model, 0.1), 0.3);
+    assert.equal(applyCalibration(model, 0.95), 0.6);
+    assert.ok(Math.abs(applyCalibration(model, 0.6) - 0.45) < 1e-9);
+  });
+});
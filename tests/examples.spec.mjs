@@ -0,0 +1,87 @@
+// examples.spec.mjs - tests for the few-shot example selection in
+// src/classifier/examples.js.
+//
+//   node --test tests/examples.spec.mjs
+//
+// The module is plain ESM with no browser APIs, so it is imported directly.
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildExampleBank, estimateExampleTokens, selectExamples } from '../src/classifier/examples.js';
+
+const classDefs = [{ id: 'debated' }, { id: 'hyperbole' }];
+const example = (category, text, source = 'curated') => ({ category, text, source });
+const costOf = examples => examples.reduce((sum, ex) => sum + estimateExampleTokens(ex), 0);
+
+describe('selectExamples', () => {
+  const bank = [
+    example('debated', 'Coffee consumption raises the risk of heart disease.'),
+    example('debated', 'Remote work lowers productivity for most teams.'),
+    example('debated', 'Coffee drinkers live longer than tea drinkers.'),
+    example('hyperbole', 'This coffee is the greatest drink ever brewed.'),
+    example('hyperbole', 'The worst traffic jam in the history of mankind.'),
+    example('neutral', 'The meeting starts at nine in the morning.')
+  ];
+
+  test('takes one example per category before a second from any of them', () => {
+    const picked = selectExamples(bank, ['Is coffee good for the heart?'], { budgetTokens: 10000 });
+    assert.equal(picked.length, bank.length);
+    const firstRound = picked.slice(0, 3).map(ex => ex.category);
+    assert.deepEqual([...firstRound].sort(), ['debated', 'hyperbole', 'neutral']);
+    assert.deepEqual(picked.slice(3).map(ex => ex.category).sort(), ['debated', 'debated', 'hyperbole']);
+  });
+
+  test('leads with the category and example sharing most words with the batch', () => {
+    const picked = selectExamples(bank, ['Coffee raises the risk of heart disease, a study says.'], { budgetTokens: 10000 });
+    assert.equal(picked[0].text, 'Coffee consumption raises the risk of heart disease.');
+  });
+
+  test('stays within the token budget', () => {
+    for (const budgetTokens of [1, 20, 40, 60, 100]) {
+      const picked = selectExamples(bank, ['Coffee and traffic.'], { budgetTokens });
+      assert.ok(costOf(picked) <= budgetTokens, `budget ${budgetTokens}, spent ${costOf(picked)}`);
+    }
+  });
+
+  test('skips an example that does not fit and keeps filling with cheaper ones', () => {
+    const long = example('debated', `Coffee ${'is debated at great length by many people '.repeat(4)}today.`);
+    const short = example('hyperbole', 'Coffee is the best ever.');
+    const budgetTokens = estimateExampleTokens(short) + 1;
+    assert.deepEqual(selectExamples([long, short], ['Coffee today.'], { budgetTokens }), [short]);
+  });
+
+  test('returns nothing without a budget or a bank', () => {
+    assert.deepEqual(selectExamples(bank, ['Coffee.'], { budgetTokens: 0 }), []);
+    assert.deepEqual(selectExamples([], ['Coffee.']), []);
+    assert.deepEqual(selectExamples(null, ['Coffee.']), []);
+  });
+
+  test('never uses a statement of the batch as its own example', () => {
+    const picked = selectExamples(bank, ['coffee drinkers live  longer than tea drinkers.'], { budgetTokens: 10000 });
+    assert.ok(!picked.some(ex => ex.text === 'Coffee drinkers live longer than tea drinkers.'));
+  });
+
+  test('prefers a correction over a listed example on equal overlap', () => {
+    const built = buildExampleBank(
+      { debated: ['Electric cars pollute more overall.'] },
+      [{ action: 'recategorize', category: 'debated', text: 'Electric cars pollute less overall.' }],
+      classDefs
+    );
+    const [first] = selectExamples(built, ['Do electric cars pollute?'], { budgetTokens: 10000 });
+    assert.equal(first.source, 'correction');
+  });
+});
+
+describe('buildExampleBank', () => {
+  test('turns dismissals into neutral examples and drops unknown categories', () => {
+    const bank = buildExampleBank(
+      { Debated: ['  Taxes  are   theft. ', 'Taxes are theft.'], retired: ['Gone category.'] },
+      [{ action: 'dismiss', category: 'hyperbole', text: 'It rained a lot yesterday.' }, { action: 'confirm', category: 'retired', text: 'Old.' }],
+      classDefs
+    );
+    assert.deepEqual(bank, [
+      example('neutral', 'It rained a lot yesterday.', 'correction'),
+      example('debated', 'Taxes are theft.')
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+// scheduler.spec.mjs - tests for the cross-tab model queue in src/util/scheduler.js.
+//
+//   node --test tests/scheduler.spec.mjs
+//
+// The scheduler keeps its queues at module level, as it does in the service worker, so
+// every test uses a backend key of its own. Jobs are held open with deferred promises
+// to control when a slot frees up.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { cancelTabJobs, onQueueChange, scheduleJob, setTabPriorityResolver } from '../src/util/scheduler.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+// Lets queued .then/.finally callbacks (and the pump they trigger) run.
+const settle = () => new Promise(r => setTimeout(r, 0));
+
+let nextKey = 1;
+const freshBackend = () => `test-backend-${nextKey++}`;
+
+afterEach(() => {
+  setTabPriorityResolver(null);
+  onQueueChange(null);
+});
+
+describe('priority', () => {
+  test('runs the waiting job of the highest-priority tab first, oldest first on ties', async () => {
+    const backendKey = freshBackend();
+    setTabPriorityResolver(tabId => tabId);
+    const gate = deferred();
+    const order = [];
+    const job = (tabId, label) => scheduleJob({ tabId, backendKey, run: async () => { order.push(label); } });
+    const blocker = scheduleJob({ tabId: 9, backendKey, run: () => gate.promise });
+    const done = [job(3, 'tab 3'), job(2, 'tab 2 first'), job(1, 'tab 1'), job(2, 'tab 2 second')];
+    gate.resolve();
+    await Promise.all([blocker, ...done]);
+    assert.deepEqual(order, ['tab 1', 'tab 2 first', 'tab 2 second', 'tab 3']);
+  });
+
+  test('asks for priorities at pick time, so a focus change reorders waiting work', async () => {
+    const backendKey = freshBackend();
+    const priorities = new Map([[1, 0], [2, 1]]);
+    setTabPriorityResolver(tabId => priorities.get(tabId) ?? 5);
+    const gate = deferred();
+    const order = [];
+    const blocker = scheduleJob({ tabId: 1, backendKey, run: () => gate.promise });
+    const done = [1, 2].map(tabId => scheduleJob({ tabId, backendKey, run: async () => { order.push(tabId); } }));
+    priorities.set(2, -1);
+    gate.resolve();
+    await Promise.all([blocker, ...done]);
+    assert.deepEqual(order, [2, 1]);
+  });
+
+  test('reports each tab\'s queue position', async () => {
+    const backendKey = freshBackend();
+    setTabPriorityResolver(tabId => tabId);
+    // Only changes are reported; fold them into the latest position per tab.
+    const positions = new Map();
+    onQueueChange(changes => changes.forEach((position, tabId) => positions.set(tabId, position)));
+    const gate = deferred();
+    const blocker = scheduleJob({ tabId: 10, backendKey, run: () => gate.promise });
+    const waiting = [12, 11].map(tabId => scheduleJob({ tabId, backendKey, run: async () => {} }));
+    assert.deepEqual(Object.fromEntries(positions), { 11: 1, 12: 2 });
+    gate.resolve();
+    await Promise.all([blocker, ...waiting]);
+    await settle();
+    assert.deepEqual(Object.fromEntries(positions), { 11: 0, 12: 0 });
+  });
+});
+
+describe('concurrency', () => {
+  test('never runs more jobs of a backend at once than its cap', async () => {
+    const backendKey = freshBackend();
+    let running = 0;
+    let peak = 0;
+    const jobs = Array.from({ length: 6 }, () => scheduleJob({
+      backendKey,
+      concurrency: 2,
+      run: async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await settle();
+        running--;
+      }
+    }));
+    await Promise.all(jobs);
+    assert.equal(peak, 2);
+  });
+
+  test('caps each backend separately', async () => {
+    const first = freshBackend();
+    const second = freshBackend();
+    const gate = deferred();
+    const started = [];
+    const jobs = [first, first, second].map((backendKey, i) => scheduleJob({
+      backendKey,
+      run: () => { started.push(i); return gate.promise; }
+    }));
+    await settle();
+    assert.deepEqual(started, [0, 2]);
+    gate.resolve();
+    await Promise.all(jobs);
+    assert.deepEqual(started, [0, 2, 1]);
+  });
+});
+
+describe('cancellation', () => {
+  test('rejects a tab\'s waiting jobs with CANCELLED and lets its running job finish', async () => {
+    const backendKey = freshBackend();
+    const gate = deferred();
+    const running = scheduleJob({ tabId: 20, backendKey, run: () => gate.promise.then(() => 'finished') });
+    const waiting = [20, 20].map(tabId => scheduleJob({ tabId, backendKey, run: async () => 'ran' }));
+    const other = scheduleJob({ tabId: 21, backendKey, run: async () => 'other tab' });
+    assert.equal(cancelTabJobs(20, 'Navigated'), 2);
+    for (const job of waiting) {
+      await assert.rejects(job, err => err.code === 'CANCELLED' && err.message === 'Navigated');
+    }
+    gate.resolve();
+    assert.equal(await running, 'finished');
+    assert.equal(await other, 'other tab');
+  });
+
+  test('with a runId, drops only that run\'s waiting jobs', async () => {
+    const backendKey = freshBackend();
+    const gate = deferred();
+    const blocker = scheduleJob({ backendKey, run: () => gate.promise });
+    const oldRun = scheduleJob({ tabId: 30, runId: 1, backendKey, run: async () => 'old' });
+    const newRun = scheduleJob({ tabId: 30, runId: 2, backendKey, run: async () => 'new' });
+    assert.equal(cancelTabJobs(30, 'Re-run', { runId: 1 }), 1);
+    await assert.rejects(oldRun, { code: 'CANCELLED' });
+    gate.resolve();
+    await blocker;
+    assert.equal(await newRun, 'new');
+  });
+
+  test('rejects work a closed tab submits afterwards, but not work of other tabs', async () => {
+    const backendKey = freshBackend();
+    assert.equal(cancelTabJobs(40, 'Tab closed', { closed: true }), 0);
+    let ran = false;
+    await assert.rejects(scheduleJob({ tabId: 40, backendKey, run: async () => { ran = true; } }), { code: 'CANCELLED' });
+    assert.equal(ran, false);
+    assert.equal(await scheduleJob({ tabId: 41, backendKey, run: async () => 'ok' }), 'ok');
+  });
+
+  test('navigation alone does not block the tab\'s later work', async () => {
+    const backendKey = freshBackend();
+    cancelTabJobs(50, 'Navigated');
+    assert.equal(await scheduleJob({ tabId: 50, backendKey, run: async () => 'ok' }), 'ok');
+  });
+});
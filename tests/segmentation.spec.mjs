@@ -0,0 +1,83 @@
+// segmentation.spec.mjs - fixture-driven tests for src/util/segmenter.js and the local
+// language guesser in src/util/language.js.
+//
+//   node --test tests/segmentation.spec.mjs
+//
+// Both are classic content scripts, so they are evaluated in a vm context the way
+// Chrome injects them. Every segmentation case runs twice: with Intl.Segmenter, and with
+// it removed to exercise the punctuation fallback. Both must agree with the fixture.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import vm from 'node:vm';
+
+const source = readFileSync(new URL('../src/util/segmenter.js', import.meta.url), 'utf8');
+const languageSource = readFileSync(new URL('../src/util/language.js', import.meta.url), 'utf8');
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/segmentation.json', import.meta.url), 'utf8'));
+
+function loadScript(code, filename, prepare = null) {
+  const context = vm.createContext({});
+  if (prepare) vm.runInContext(prepare, context);
+  vm.runInContext(code, context, { filename });
+  return context;
+}
+
+function loadSegmenter({ intl }) {
+  return loadScript(source, 'segmenter.js', intl ? null : 'delete Intl.Segmenter;');
+}
+
+// Results come from another realm; compare them as plain data.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+for (const intl of [true, false]) {
+  const segmenter = loadSegmenter({ intl });
+
+  describe(`segmentSentences (${intl ? 'Intl.Segmenter' : 'punctuation fallback'})`, () => {
+    for (const { name, text, expected } of fixtures.boundaries) {
+      test(name, () => {
+        assert.deepEqual(plain(segmenter.segmentSentences(text, { minLength: 1 })), expected);
+      });
+    }
+    for (const { name, text, options, expected } of fixtures.filters) {
+      test(name, () => {
+        assert.deepEqual(plain(segmenter.segmentSentences(text, options)), expected);
+      });
+    }
+  });
+}
+
+describe('uniqueSentences', () => {
+  const segmenter = loadSegmenter({ intl: true });
+  for (const { name, input, expected } of fixtures.unique) {
+    test(name, () => {
+      assert.deepEqual(plain(segmenter.uniqueSentences(input)), expected);
+    });
+  }
+
+  test('reads text through the accessor', () => {
+    const items = [{ text: 'Same sentence here.', n: 1 }, { text: 'same sentence here.', n: 2 }];
+    assert.deepEqual(plain(segmenter.uniqueSentences(items, item => item.text)), [{ text: 'Same sentence here.', n: 1 }]);
+  });
+});
+
+describe('guessLanguageLocally', () => {
+  const language = loadScript(languageSource, 'language.js');
+  for (const { name, text, expected } of fixtures.languages) {
+    test(name, () => {
+      const guess = language.guessLanguageLocally(text);
+      assert.equal(guess.language, expected);
+      // Undetermined guesses carry no confidence; determined ones always some.
+      assert.equal(guess.confidence > 0, expected !== 'und');
+    });
+  }
+});
+
+describe('describeLanguages', () => {
+  const language = loadScript(languageSource, 'language.js');
+  for (const { name, codes, expected } of fixtures.languageNames) {
+    test(name, () => {
+      assert.equal(language.describeLanguages(codes), expected);
+    });
+  }
+});
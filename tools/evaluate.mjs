@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+// evaluate.mjs - offline evaluation of classifier backends, prompt templates and rule packs.
+//
+//   node tools/evaluate.mjs run --corpus tests/fixtures/eval/corpus.jsonl [options]
+//   node tools/evaluate.mjs diff before.json after.json
+//
+// `run` sends a labeled JSONL corpus ({ id?, text, label }) through the same backend and
+// normalizeClassification() code the service worker uses, then reports per-category
+// precision/recall/F1, a confusion matrix and confidence calibration.
+//
+// Options for `run`:
+//   --backend <id>        heuristic (default), openai-compatible or on-device
+//   --template <file>     prompt template (default: built-in)
+//   --rule-packs <file>   a rule pack or an array of packs (default: built-in pack)
+//   --classes <file>      category definitions as saved by Options (default: built-in)
+//   --batch-size <n>      statements per backend call (default 20, as in the extension)
+//   --replay <file>       answer model calls from a recording instead of a live model
+//   --record <file>       call the live model (openai-compatible only) and save its replies
+//   --endpoint/--model/--api-key   local server settings used with --record
+//   --out <file>          write results as JSON (stable order, no timestamps: safe to diff)
+//   --baseline <file>     print a diff against earlier results after the run
+//
+// Recordings are JSONL lines { key, response }, where key is the first 16 bytes (hex) of
+// the SHA-256 of the rendered prompt and response is the raw model text. A prompt with no
+// recording fails its batch, which then falls back to the heuristic backend exactly like
+// the worker does; the report counts those batches.
+
+import { createHash } from 'node:crypto';
+import { appendFile, readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { HEURISTIC_BACKEND_ID, getBackend, listBackends } from '../src/classifier/backends.js';
+import { allowedCategories, defaultPromptTemplate, normalizeClassification, normalizeStoredClasses } from '../src/classifier/prompt.js';
+import { DEFAULT_RULE_PACK, rulePacksFingerprint } from '../src/classifier/rulePacks.js';
+
+const DEFAULT_BATCH_SIZE = 20;
+const CALIBRATION_BINS = 10;
+
+function round(value, places = 4) {
+  return Number.isFinite(value) ? Number(value.toFixed(places)) : 0;
+}
+
+function promptKey(prompt) {
+  return createHash('sha256').update(prompt).digest('hex').slice(0, 32);
+}
+
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+async function readJsonl(path) {
+  const lines = (await readFile(path, 'utf8')).split(/\r?\n/);
+  const rows = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`${path}:${i + 1}: ${err.message}`);
+    }
+  });
+  return rows;
+}
+
+async function loadCorpus(path, classDefs) {
+  const allowed = new Set(allowedCategories(classDefs));
+  const rows = await readJsonl(path);
+  const unknown = new Set();
+  const corpus = rows.map((row, i) => {
+    const gold = String(row.label ?? row.category ?? '').trim().toLowerCase();
+    if (!allowed.has(gold)) unknown.add(gold || '(empty)');
+    return { id: String(row.id ?? i + 1), text: String(row.text || ''), gold };
+  });
+  if (unknown.size) {
+    throw new Error(`Corpus labels not among the categories (${[...allowed].join(', ')}): ${[...unknown].join(', ')}`);
+  }
+  return corpus;
+}
+
+// ---- Recorded-response stand-ins -------------------------------------------------
+
+async function loadRecordings(path) {
+  const map = new Map();
+  for (const row of await readJsonl(path)) {
+    if (row && typeof row.key === 'string') map.set(row.key, String(row.response ?? ''));
+  }
+  return map;
+}
+
+function recordedReply(recordings, prompt) {
+  const key = promptKey(prompt);
+  if (!recordings.has(key)) throw new Error(`No recorded response for prompt ${key}`);
+  return recordings.get(key);
+}
+
+/**
+ * Replaces fetch() and LanguageModel with replays so the real backend code (request
+ * building, JSON parsing) runs without a model.
+ */
+function installReplay(recordings) {
+  globalThis.fetch = async (_url, init = {}) => {
+    const body = JSON.parse(init.body || '{}');
+    const prompt = body.messages?.find(m => m.role === 'user')?.content || '';
+    let content;
+    try {
+      content = recordedReply(recordings, prompt);
+    } catch (err) {
+      return new Response(err.message, { status: 404 });
+    }
+    return Response.json({ choices: [{ message: { role: 'assistant', content } }] });
+  };
+  globalThis.LanguageModel = {
+    availability: async () => 'available',
+    create: async () => ({ prompt: async prompt => recordedReply(recordings, prompt) })
+  };
+}
+
+function installRecorder(path) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    const response = await realFetch(url, init);
+    if (!response.ok) return response;
+    const data = await response.clone().json();
+    const body = JSON.parse(init.body || '{}');
+    const prompt = body.messages?.find(m => m.role === 'user')?.content || '';
+    const content = data?.choices?.[0]?.message?.content ?? '';
+    await appendFile(path, `${JSON.stringify({ key: promptKey(prompt), response: content })}\n`);
+    return response;
+  };
+}
+
+// ---- Classification ----------------------------------------------------------------
+
+async function classifyCorpus(corpus, { backendId, settings, classDefs, batchSize }) {
+  const backend = getBackend(backendId);
+  const heuristic = getBackend(HEURISTIC_BACKEND_ID);
+  const predictions = [];
+  const failures = [];
+  for (let start = 0; start < corpus.length; start += batchSize) {
+    const batch = corpus.slice(start, start + batchSize);
+    const texts = batch.map(row => row.text);
+    let result;
+    try {
+      result = await backend.classify(texts, { settings, classDefs, debugEnabled: false });
+    } catch (err) {
+      failures.push({ batch: start / batchSize, error: err?.message || String(err) });
+      result = await heuristic.classify(texts, { settings, classDefs, debugEnabled: false });
+    }
+    const byIndex = new Map();
+    for (const item of result.items || []) {
+      if (Number.isInteger(item?.index) && item.index >= 0 && item.index < batch.length) byIndex.set(item.index, item);
+    }
+    batch.forEach((row, i) => {
+      // Backends omit neutral statements, as in the worker.
+      const normalized = normalizeClassification(byIndex.get(i) || { category: 'neutral' }, classDefs);
+      predictions.push({
+        id: row.id,
+        text: row.text,
+        gold: row.gold,
+        predicted: normalized.category,
+        confidence: normalized.category === 'neutral' ? null : round(normalized.confidence),
+        ...(normalized.rationale ? { rationale: normalized.rationale } : {})
+      });
+    });
+  }
+  return { predictions, failures };
+}
+
+// ---- Metrics -----------------------------------------------------------------------
+
+function computeMetrics(predictions, labels) {
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  for (const p of predictions) matrix[index.get(p.gold)][index.get(p.predicted)]++;
+
+  const perCategory = {};
+  let f1Sum = 0;
+  labels.forEach((label, i) => {
+    const tp = matrix[i][i];
+    const support = matrix[i].reduce((a, b) => a + b, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = predicted ? tp / predicted : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    f1Sum += f1;
+    perCategory[label] = { precision: round(precision), recall: round(recall), f1: round(f1), support, predicted };
+  });
+  const correct = labels.reduce((sum, _l, i) => sum + matrix[i][i], 0);
+
+  return {
+    summary: {
+      items: predictions.length,
+      accuracy: round(predictions.length ? correct / predictions.length : 0),
+      macroF1: round(labels.length ? f1Sum / labels.length : 0)
+    },
+    perCategory,
+    confusion: { rows: 'gold', columns: 'predicted', labels, matrix },
+    calibration: computeCalibration(predictions)
+  };
+}
+
+/**
+ * Reliability of the reported confidence for non-neutral verdicts: per-bin accuracy,
+ * expected calibration error and Brier score.
+ */
+function computeCalibration(predictions) {
+  const scored = predictions.filter(p => typeof p.confidence === 'number');
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    lower: round(i / CALIBRATION_BINS, 2),
+    upper: round((i + 1) / CALIBRATION_BINS, 2),
+    count: 0,
+    confidenceSum: 0,
+    correct: 0
+  }));
+  let brier = 0;
+  for (const p of scored) {
+    const hit = p.predicted === p.gold ? 1 : 0;
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(p.confidence * CALIBRATION_BINS))];
+    bin.count++;
+    bin.confidenceSum += p.confidence;
+    bin.correct += hit;
+    brier += (p.confidence - hit) ** 2;
+  }
+  let ece = 0;
+  const reported = bins.filter(bin => bin.count).map(bin => {
+    const meanConfidence = bin.confidenceSum / bin.count;
+    const accuracy = bin.correct / bin.count;
+    ece += (bin.count / scored.length) * Math.abs(accuracy - meanConfidence);
+    return { lower: bin.lower, upper: bin.upper, count: bin.count, meanConfidence: round(meanConfidence), accuracy: round(accuracy) };
+  });
+  return {
+    scored: scored.length,
+    ece: round(ece),
+    brier: round(scored.length ? brier / scored.length : 0),
+    bins: reported
+  };
+}
+
+// ---- Reporting ---------------------------------------------------------------------
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+function signed(value) {
+  const text = (value * 100).toFixed(1);
+  return `${value > 0 ? '+' : ''}${text}`.padStart(6);
+}
+
+function printReport(results) {
+  const { config, summary, perCategory, confusion, calibration } = results;
+  const lines = [];
+  lines.push(`Backend ${config.backend} • template ${config.template} (${config.templateFingerprint}) • rule packs ${config.rulePacks} (${config.rulePacksFingerprint})`);
+  lines.push(`${summary.items} items • accuracy ${pct(summary.accuracy).trim()} • macro F1 ${pct(summary.macroF1).trim()}`);
+  if (summary.fallbackBatches) lines.push(`${summary.fallbackBatches} batch(es) fell back to the heuristic backend: ${results.failures[0].error}`);
+  lines.push('');
+  const width = Math.max(9, ...confusion.labels.map(l => l.length));
+  lines.push(`${'category'.padEnd(width)}  precision  recall      F1  support`);
+  for (const label of confusion.labels) {
+    const m = perCategory[label];
+    lines.push(`${label.padEnd(width)}  ${pct(m.precision).padStart(9)}  ${pct(m.recall)}  ${pct(m.f1)}  ${String(m.support).padStart(7)}`);
+  }
+  lines.push('');
+  lines.push(`Confusion (rows = gold, columns = predicted)`);
+  lines.push(`${''.padEnd(width)}  ${confusion.labels.map(l => l.padStart(width)).join(' ')}`);
+  confusion.matrix.forEach((row, i) => {
+    lines.push(`${confusion.labels[i].padEnd(width)}  ${row.map(n => String(n).padStart(width)).join(' ')}`);
+  });
+  lines.push('');
+  lines.push(`Calibration over ${calibration.scored} scored verdicts • ECE ${calibration.ece} • Brier ${calibration.brier}`);
+  for (const bin of calibration.bins) {
+    lines.push(`  [${bin.lower.toFixed(1)}, ${bin.upper.toFixed(1)})  n=${String(bin.count).padStart(3)}  confidence ${pct(bin.meanConfidence)}  accuracy ${pct(bin.accuracy)}`);
+  }
+  console.log(lines.join('\n'));
+}
+
+function printDiff(before, after) {
+  const lines = [];
+  lines.push(`Before: ${before.config.backend} • template ${before.config.template} (${before.config.templateFingerprint}) • rule packs ${before.config.rulePacks} (${before.config.rulePacksFingerprint})`);
+  lines.push(`After:  ${after.config.backend} • template ${after.config.template} (${after.config.templateFingerprint}) • rule packs ${after.config.rulePacks} (${after.config.rulePacksFingerprint})`);
+  lines.push(`accuracy ${signed(after.summary.accuracy - before.summary.accuracy).trim()} pts • macro F1 ${signed(after.summary.macroF1 - before.summary.macroF1).trim()} pts • ECE ${signed(after.calibration.ece - before.calibration.ece).trim()} pts`);
+  lines.push('');
+  lines.push(`${'category'.padEnd(12)}  Δprecision  Δrecall     ΔF1`);
+  const labels = [...new Set([...Object.keys(before.perCategory), ...Object.keys(after.perCategory)])];
+  for (const label of labels) {
+    const a = before.perCategory[label] || { precision: 0, recall: 0, f1: 0 };
+    const b = after.perCategory[label] || { precision: 0, recall: 0, f1: 0 };
+    lines.push(`${label.padEnd(12)}  ${signed(b.precision - a.precision).padStart(10)}  ${signed(b.recall - a.recall).padStart(7)}  ${signed(b.f1 - a.f1)}`);
+  }
+  const previous = new Map(before.predictions.map(p => [p.id, p]));
+  const changed = after.predictions.filter(p => previous.has(p.id) && previous.get(p.id).predicted !== p.predicted);
+  lines.push('');
+  lines.push(`${changed.length} prediction(s) changed`);
+  for (const p of changed) {
+    const was = previous.get(p.id).predicted;
+    const mark = p.predicted === p.gold ? 'fixed' : (was === p.gold ? 'broke' : 'moved');
+    lines.push(`  ${mark.padEnd(5)} ${p.id}: ${was} -> ${p.predicted} (gold ${p.gold})  ${p.text.slice(0, 80)}`);
+  }
+  console.log(lines.join('\n'));
+}
+
+// ---- Commands ----------------------------------------------------------------------
+
+async function runCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      corpus: { type: 'string' },
+      backend: { type: 'string', default: HEURISTIC_BACKEND_ID },
+      template: { type: 'string' },
+      'rule-packs': { type: 'string' },
+      classes: { type: 'string' },
+      'batch-size': { type: 'string' },
+      replay: { type: 'string' },
+      record: { type: 'string' },
+      endpoint: { type: 'string' },
+      model: { type: 'string' },
+      'api-key': { type: 'string' },
+      out: { type: 'string' },
+      baseline: { type: 'string' }
+    }
+  });
+  if (!values.corpus) throw new Error('--corpus is required');
+  if (!getBackend(values.backend)) {
+    throw new Error(`Unknown backend "${values.backend}" (available: ${listBackends().map(b => b.id).join(', ')})`);
+  }
+  if (values.replay && values.record) throw new Error('--replay and --record are mutually exclusive');
+  if (values.record && values.backend !== 'openai-compatible') throw new Error('--record only works with --backend openai-compatible');
+
+  const classDefs = normalizeStoredClasses(values.classes ? await readJson(values.classes) : null);
+  const rawPacks = values['rule-packs'] ? await readJson(values['rule-packs']) : [DEFAULT_RULE_PACK];
+  const rulePacks = Array.isArray(rawPacks) ? rawPacks : [rawPacks];
+  const promptTemplate = values.template ? await readFile(values.template, 'utf8') : null;
+  const batchSize = Math.max(1, parseInt(values['batch-size'] || DEFAULT_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE);
+  const settings = {
+    promptTemplate,
+    rulePacks,
+    privacyMode: false,
+    modelId: 'gemini-nano',
+    localEndpoint: values.endpoint || '',
+    localModel: values.model || '',
+    localApiKey: values['api-key'] || ''
+  };
+
+  if (values.replay) installReplay(await loadRecordings(values.replay));
+  else if (values.record) installRecorder(values.record);
+
+  const corpus = await loadCorpus(values.corpus, classDefs);
+  const { predictions, failures } = await classifyCorpus(corpus, { backendId: values.backend, settings, classDefs, batchSize });
+  const metrics = computeMetrics(predictions, allowedCategories(classDefs));
+  const results = {
+    config: {
+      corpus: values.corpus,
+      backend: values.backend,
+      template: values.template || 'built-in',
+      templateFingerprint: promptKey(promptTemplate || defaultPromptTemplate()).slice(0, 8),
+      rulePacks: values['rule-packs'] || 'built-in',
+      rulePacksFingerprint: rulePacksFingerprint(rulePacks),
+      batchSize,
+      replay: values.replay || null
+    },
+    summary: { ...metrics.summary, fallbackBatches: failures.length },
+    perCategory: metrics.perCategory,
+    confusion: metrics.confusion,
+    calibration: metrics.calibration,
+    failures,
+    predictions
+  };
+
+  printReport(results);
+  if (values.out) await writeFile(values.out, `${JSON.stringify(results, null, 2)}\n`);
+  if (values.baseline) {
+    console.log('');
+    printDiff(await readJson(values.baseline), results);
+  }
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (command === 'run') return runCommand(rest);
+  if (command === 'diff' && rest.length === 2) return printDiff(await readJson(rest[0]), await readJson(rest[1]));
+  console.error('Usage:\n  node tools/evaluate.mjs run --corpus <file.jsonl> [options]\n  node tools/evaluate.mjs diff <before.json> <after.json>');
+  process.exitCode = 2;
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`evaluate: ${err.message}`);
+  process.exitCode = 1;
+});